@@ -0,0 +1,108 @@
+// lib/backend.js
+/* ------------------------------------------------------------------
+   Backend de datos: Firestore + Auth + FCM + Storage
+   ------------------------------------------------------------------
+   Las rutas hablan con esta interfaz y no con firebase-admin directo:
+     {
+       nombre:     'firebase' | 'memory',
+       db:         API de admin.firestore() (collection, doc, runTransaction, …),
+       FieldValue, Timestamp,
+       auth():      { verifyIdToken(token), getUser(uid), setCustomUserClaims(uid, claims) },
+       messaging(): { sendEachForMulticast({ tokens, notification, data }) },
+       bucket():    { file(path).save(buffer, opts) },
+     }
+   createFirebaseBackend() usa las credenciales de Google (applicationDefault).
+   createMemoryBackend() no necesita nada: Firestore en memoria, tokens
+   `dev:<uid>` y push / storage que solo guardan lo recibido. */
+import fs from 'node:fs/promises';
+import admin from 'firebase-admin';
+import { createMemoryFirestore, FieldValue, Timestamp } from './memory-firestore.js';
+
+export function createFirebaseBackend() {
+  try {
+    if (!admin.apps.length) {
+      admin.initializeApp({
+        credential: admin.credential.applicationDefault(),
+        // bucket para los comprobantes de transferencia de los checks
+        storageBucket: process.env.FIREBASE_STORAGE_BUCKET || undefined,
+      });
+    }
+  } catch (e) {
+    console.warn('[WARN] admin.initializeApp()', e?.message || e);
+  }
+
+  return {
+    nombre: 'firebase',
+    db: admin.firestore(),
+    FieldValue: admin.firestore.FieldValue,
+    Timestamp: admin.firestore.Timestamp,
+    auth: () => admin.auth(),
+    messaging: () => admin.messaging(),
+    bucket: () => admin.storage().bucket(),
+  };
+}
+
+/**
+ * Backend en memoria para correr sin credenciales (laptop, tests).
+ * `seedFile`: JSON { docs: { 'complejos/c1': {...} }, users: { uid: { email, claims } } }.
+ * Cualquier token `dev:<uid>` es válido; los claims salen de `users`
+ * (o de setCustomUserClaims).
+ */
+export async function createMemoryBackend({ seedFile } = {}) {
+  const seed = seedFile ? JSON.parse(await fs.readFile(seedFile, 'utf8')) : {};
+  const db = createMemoryFirestore({ seed: seed.docs || {} });
+  const users = new Map(Object.entries(seed.users || {}).map(([uid, u]) => [uid, { uid, email: u.email || null, customClaims: u.claims || {} }]));
+  const files = new Map();
+  const push = [];
+
+  const getUser = (uid) => users.get(String(uid)) || { uid: String(uid), email: null, customClaims: {} };
+
+  const auth = {
+    async verifyIdToken(token) {
+      const m = /^dev:([\w.@-]{1,128})$/.exec(String(token || ''));
+      if (!m) throw Object.assign(new Error('Token de desarrollo inválido (usar dev:<uid>)'), { code: 'auth/argument-error' });
+      const u = getUser(m[1]);
+      return { ...u.customClaims, uid: u.uid, email: u.email };
+    },
+    getUser: async (uid) => getUser(uid),
+    async setCustomUserClaims(uid, claims) {
+      users.set(String(uid), { ...getUser(uid), customClaims: { ...(claims || {}) } });
+    },
+  };
+
+  const messaging = {
+    async sendEachForMulticast(message) {
+      push.push(message);
+      const responses = (message.tokens || []).map(() => ({ success: true, messageId: `dev-${push.length}` }));
+      return { successCount: responses.length, failureCount: 0, responses };
+    },
+  };
+
+  const bucket = {
+    name: 'memory',
+    file: (p) => ({
+      name: p,
+      async save(buffer, opts = {}) {
+        files.set(p, { buffer: Buffer.from(buffer), contentType: opts.contentType || null, metadata: opts.metadata || {} });
+      },
+      async delete() {
+        if (!files.delete(p)) throw Object.assign(new Error(`No such object: ${p}`), { code: 404 });
+      },
+      exists: async () => [files.has(p)],
+      download: async () => [files.get(p)?.buffer],
+    }),
+  };
+
+  return {
+    nombre: 'memory',
+    db,
+    FieldValue,
+    Timestamp,
+    auth: () => auth,
+    messaging: () => messaging,
+    bucket: () => bucket,
+    // para inspeccionar en tests
+    files,
+    push,
+  };
+}
@@ -0,0 +1,340 @@
+// lib/memory-firestore.js
+/* ------------------------------------------------------------------
+   Firestore en memoria
+   ------------------------------------------------------------------
+   Implementa el subconjunto de la API de firebase-admin que usa el
+   backend: collection/doc con paths, where (==, !=, <, <=, >, >=, in,
+   not-in, array-contains), orderBy, limit, collectionGroup, get/set
+   (merge)/update (paths con puntos)/create/delete, batch y runTransaction.
+   FieldValue: serverTimestamp, increment, arrayUnion, arrayRemove, delete.
+
+   Las transacciones corren de a una (no hay reintentos por contención) y
+   exigen, como Firestore, todas las lecturas antes de la primera escritura.
+   Transacciones y batches se aplican enteros o no se aplican.
+   Los datos se guardan inmutables: cada escritura reemplaza el objeto. */
+
+const TS = Symbol('timestamp');
+const SENTINEL = Symbol('fieldValue');
+const REF = Symbol('docRef');
+
+let autoSeq = 0;
+function autoId() {
+  return `${Date.now().toString(36)}${(autoSeq++).toString(36).padStart(4, '0')}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function firestoreError(code, name, message) {
+  return Object.assign(new Error(`${code} ${name}: ${message}`), { code, details: message });
+}
+
+/* ---------- Timestamp / FieldValue ---------- */
+
+function makeTimestamp(ms) {
+  return {
+    [TS]: true,
+    seconds: Math.floor(ms / 1000),
+    nanoseconds: (ms % 1000) * 1e6,
+    toMillis: () => ms,
+    toDate: () => new Date(ms),
+    isEqual: (o) => typeof o?.toMillis === 'function' && o.toMillis() === ms,
+    // igual que el Timestamp de firebase-admin al pasar por res.json()
+    toJSON: () => ({ _seconds: Math.floor(ms / 1000), _nanoseconds: (ms % 1000) * 1e6 }),
+  };
+}
+
+export const Timestamp = {
+  now: () => makeTimestamp(Date.now()),
+  fromMillis: (ms) => makeTimestamp(Number(ms)),
+  fromDate: (d) => makeTimestamp(d.getTime()),
+};
+
+const sentinel = (kind, arg) => ({ [SENTINEL]: kind, arg });
+
+export const FieldValue = {
+  serverTimestamp: () => sentinel('serverTimestamp'),
+  increment: (n) => sentinel('increment', Number(n) || 0),
+  arrayUnion: (...values) => sentinel('arrayUnion', values),
+  arrayRemove: (...values) => sentinel('arrayRemove', values),
+  delete: () => sentinel('delete'),
+};
+
+const isTimestamp = (v) => !!v?.[TS];
+const isSentinel = (v) => !!v?.[SENTINEL];
+const isPlain = (v) => !!v && typeof v === 'object' && !Array.isArray(v)
+  && !isTimestamp(v) && !isSentinel(v) && !v[REF] && !(v instanceof Date) && !Buffer.isBuffer(v);
+
+/* ---------- valores ---------- */
+
+// copia profunda de lo que entra o sale del store; Date se guarda como Timestamp
+function clone(v) {
+  if (v instanceof Date) return Timestamp.fromDate(v);
+  if (Array.isArray(v)) return v.map(clone);
+  if (isPlain(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) if (x !== undefined) out[k] = clone(x);
+    return out;
+  }
+  return v;
+}
+
+const comparable = (v) => {
+  if (isTimestamp(v)) return v.toMillis();
+  if (v instanceof Date) return v.getTime();
+  if (v?.[REF]) return v.path;
+  return v;
+};
+
+function sameValue(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+// orden de Firestore simplificado: null < bool < número < timestamp < string < resto
+function typeRank(v) {
+  if (v == null) return 0;
+  if (typeof v === 'boolean') return 1;
+  if (typeof v === 'number') return 2;
+  if (isTimestamp(v) || v instanceof Date) return 3;
+  if (typeof v === 'string') return 4;
+  return 5;
+}
+
+function compareValues(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+/** Resuelve un valor a escribir (sentinels incluidos) sobre el valor anterior del campo. */
+function resolveValue(prev, v) {
+  if (isSentinel(v)) {
+    switch (v[SENTINEL]) {
+      case 'serverTimestamp': return Timestamp.now();
+      case 'increment': return (typeof prev === 'number' ? prev : 0) + v.arg;
+      case 'arrayUnion': {
+        const out = Array.isArray(prev) ? [...prev] : [];
+        for (const x of v.arg) if (!out.some((y) => sameValue(x, y))) out.push(clone(x));
+        return out;
+      }
+      case 'arrayRemove': return (Array.isArray(prev) ? prev : []).filter((y) => !v.arg.some((x) => sameValue(x, y)));
+      default: throw firestoreError(3, 'INVALID_ARGUMENT', `FieldValue.${v[SENTINEL]}() no se puede usar acá`);
+    }
+  }
+  if (isPlain(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) {
+      if (x === undefined || (isSentinel(x) && x[SENTINEL] === 'delete')) continue;
+      out[k] = resolveValue(undefined, x);
+    }
+    return out;
+  }
+  return clone(v);
+}
+
+// set con { merge: true }: los mapas se combinan campo a campo
+function mergeValue(prev, patch) {
+  const out = { ...prev };
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === undefined) continue;
+    if (isSentinel(v) && v[SENTINEL] === 'delete') delete out[k];
+    else if (isPlain(v) && isPlain(out[k])) out[k] = mergeValue(out[k], v);
+    else out[k] = resolveValue(out[k], v);
+  }
+  return out;
+}
+
+function getField(data, field) {
+  return String(field).split('.').reduce((o, k) => (o == null ? undefined : o[k]), data);
+}
+
+// update(): las claves son paths ('a.b.c') y reemplazan el valor entero
+function updateValue(prev, patch) {
+  const out = clone(prev);
+  for (const [field, v] of Object.entries(patch)) {
+    const parts = String(field).split('.');
+    let o = out;
+    for (const p of parts.slice(0, -1)) {
+      if (!isPlain(o[p])) o[p] = {};
+      o = o[p];
+    }
+    const last = parts[parts.length - 1];
+    if (isSentinel(v) && v[SENTINEL] === 'delete') delete o[last];
+    else o[last] = resolveValue(o[last], v);
+  }
+  return out;
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const v = getField(data, field);
+  if (v === undefined) return false;
+  switch (op) {
+    case '==': return sameValue(v, value);
+    case '!=': return v !== null && !sameValue(v, value);
+    case 'in': return value.some((x) => sameValue(v, x));
+    case 'not-in': return v !== null && !value.some((x) => sameValue(v, x));
+    case 'array-contains': return Array.isArray(v) && v.some((x) => sameValue(x, value));
+    case 'array-contains-any': return Array.isArray(v) && v.some((x) => value.some((y) => sameValue(x, y)));
+    case '<': case '<=': case '>': case '>=': {
+      // los rangos solo comparan valores del mismo tipo
+      if (typeRank(v) !== typeRank(value)) return false;
+      const c = compareValues(v, value);
+      return op === '<' ? c < 0 : op === '<=' ? c <= 0 : op === '>' ? c > 0 : c >= 0;
+    }
+    default: throw firestoreError(3, 'INVALID_ARGUMENT', `operador no soportado: ${op}`);
+  }
+}
+
+/* ---------- store ---------- */
+
+/**
+ * Crea una base en memoria. `seed`: { 'coleccion/doc': { ...campos } }.
+ * Devuelve un objeto con la misma forma que admin.firestore().
+ */
+export function createMemoryFirestore({ seed = {} } = {}) {
+  let docs = new Map();
+  let txQueue = Promise.resolve();
+
+  for (const [p, data] of Object.entries(seed)) docs.set(normalizePath(p, 'doc'), resolveValue(undefined, data));
+
+  function normalizePath(p, kind) {
+    const parts = String(p).split('/').filter(Boolean);
+    const ok = kind === 'doc' ? parts.length % 2 === 0 : parts.length % 2 === 1;
+    if (!parts.length || !ok) throw firestoreError(3, 'INVALID_ARGUMENT', `path de ${kind === 'doc' ? 'documento' : 'colección'} inválido: ${p}`);
+    return parts.join('/');
+  }
+
+  function snapshot(ref, data) {
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: (field) => (data === undefined ? undefined : clone(getField(data, field))),
+    };
+  }
+
+  function docRef(p) {
+    const path = normalizePath(p, 'doc');
+    const ref = {
+      [REF]: true,
+      id: path.split('/').pop(),
+      path,
+      get parent() { return collectionRef(path.split('/').slice(0, -1).join('/')); },
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshot(ref, docs.get(path)),
+      set: async (data, opts) => commit([{ kind: 'set', ref, data, opts }]),
+      update: async (data) => commit([{ kind: 'update', ref, data }]),
+      create: async (data) => commit([{ kind: 'create', ref, data }]),
+      delete: async () => commit([{ kind: 'delete', ref }]),
+      isEqual: (o) => o?.path === path,
+    };
+    return ref;
+  }
+
+  function query(spec) {
+    const q = {
+      where: (field, op, value) => query({ ...spec, filters: [...spec.filters, { field, op, value }] }),
+      orderBy: (field, dir = 'asc') => query({ ...spec, order: [...spec.order, { field, dir }] }),
+      limit: (n) => query({ ...spec, limit: Number(n) }),
+      get: async () => runQuery(spec),
+    };
+    return q;
+  }
+
+  function runQuery({ parent, group, filters, order, limit }) {
+    const out = [];
+    for (const [p, data] of docs) {
+      const parts = p.split('/');
+      if (group ? parts[parts.length - 2] !== group : parts.slice(0, -1).join('/') !== parent) continue;
+      if (!filters.every((f) => matchesFilter(data, f))) continue;
+      // como en Firestore, orderBy excluye los docs sin el campo
+      if (order.some((o) => getField(data, o.field) === undefined)) continue;
+      out.push({ p, data });
+    }
+    out.sort((a, b) => {
+      for (const o of order) {
+        const c = compareValues(getField(a.data, o.field), getField(b.data, o.field));
+        if (c) return o.dir === 'desc' ? -c : c;
+      }
+      return a.p < b.p ? -1 : 1;
+    });
+    const docsOut = (limit != null ? out.slice(0, limit) : out).map(({ p, data }) => snapshot(docRef(p), data));
+    return { docs: docsOut, size: docsOut.length, empty: docsOut.length === 0, forEach: (fn) => docsOut.forEach(fn) };
+  }
+
+  function collectionRef(p) {
+    const path = normalizePath(p, 'collection');
+    const parts = path.split('/');
+    return {
+      ...query({ parent: path, group: null, filters: [], order: [], limit: null }),
+      id: parts[parts.length - 1],
+      path,
+      get parent() { return parts.length > 1 ? docRef(parts.slice(0, -1).join('/')) : null; },
+      doc: (id) => docRef(`${path}/${id == null ? autoId() : id}`),
+      add: async (data) => {
+        const ref = docRef(`${path}/${autoId()}`);
+        await ref.set(data);
+        return ref;
+      },
+    };
+  }
+
+  // aplica las escrituras sobre una copia y la publica solo si todas valen
+  function commit(ops) {
+    const next = new Map(docs);
+    for (const { kind, ref, data, opts } of ops) {
+      const prev = next.get(ref.path);
+      if (kind === 'create' && prev !== undefined) throw firestoreError(6, 'ALREADY_EXISTS', `Document already exists: ${ref.path}`);
+      if (kind === 'update' && prev === undefined) throw firestoreError(5, 'NOT_FOUND', `No document to update: ${ref.path}`);
+      if (kind === 'delete') next.delete(ref.path);
+      else if (kind === 'update') next.set(ref.path, updateValue(prev, data));
+      else if (kind === 'set' && opts?.merge && prev !== undefined) next.set(ref.path, mergeValue(prev, data));
+      else next.set(ref.path, resolveValue(undefined, data));
+    }
+    docs = next;
+  }
+
+  function writer(ops, onWrite = () => {}) {
+    const w = {
+      set: (ref, data, opts) => { onWrite(); ops.push({ kind: 'set', ref, data, opts }); return w; },
+      update: (ref, data) => { onWrite(); ops.push({ kind: 'update', ref, data }); return w; },
+      create: (ref, data) => { onWrite(); ops.push({ kind: 'create', ref, data }); return w; },
+      delete: (ref) => { onWrite(); ops.push({ kind: 'delete', ref }); return w; },
+    };
+    return w;
+  }
+
+  async function runTransaction(fn) {
+    const run = async () => {
+      const ops = [];
+      const tx = writer(ops);
+      tx.get = async (refOrQuery) => {
+        if (ops.length) throw firestoreError(3, 'INVALID_ARGUMENT', 'Firestore transactions require all reads to be executed before all writes.');
+        return refOrQuery.get();
+      };
+      tx.getAll = async (...refs) => Promise.all(refs.map((r) => tx.get(r)));
+      const result = await fn(tx);
+      commit(ops);
+      return result;
+    };
+    const p = txQueue.then(run, run);
+    txQueue = p.catch(() => {});
+    return p;
+  }
+
+  return {
+    collection: (p) => collectionRef(p),
+    doc: (p) => docRef(p),
+    collectionGroup: (id) => query({ parent: null, group: String(id), filters: [], order: [], limit: null }),
+    getAll: async (...refs) => Promise.all(refs.map((r) => r.get())),
+    batch() {
+      const ops = [];
+      return Object.assign(writer(ops), { commit: async () => commit(ops) });
+    },
+    runTransaction,
+    /** Copia de todos los documentos ({ path: datos }), para inspeccionar en tests. */
+    dump: () => Object.fromEntries([...docs].map(([p, d]) => [p, clone(d)])),
+  };
+}
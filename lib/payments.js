@@ -0,0 +1,229 @@
+// lib/payments.js
+/* ------------------------------------------------------------------
+   Pasarela de pagos
+   ------------------------------------------------------------------
+   Las rutas cobran y devuelven a través de esta interfaz:
+     {
+       nombre: 'mercadopago' | 'fake',
+       createPreference(body)                      → { id, init_point, sandbox_init_point }
+       getPayment(id)                              → pago con la forma de MP (status, external_reference, metadata, …)
+       searchPayments({ begin, end, external_reference }) → [pagos] creados en el rango (ISO)
+       refund({ paymentId, amount, idempotencyKey }) → { id }; sin amount devuelve todo
+     }
+   createMercadoPagoGateway() usa el SDK v2 (y la API HTTP para la búsqueda).
+   createFakeGateway() guarda todo en memoria y además simula al comprador
+   y a MP: pay() crea el pago de una preferencia y entrega el webhook
+   (firmado si hay secreto), setStatus() lo cambia (refunded, charged_back…)
+   y vuelve a notificar. */
+import crypto from 'node:crypto';
+import { MercadoPagoConfig, Preference, Payment, PaymentRefund } from 'mercadopago';
+
+export function createMercadoPagoGateway({ accessToken, apiUrl = 'https://api.mercadopago.com' }) {
+  const config = new MercadoPagoConfig({ accessToken });
+  const baseUrl = String(apiUrl).replace(/\/+$/, '');
+
+  return {
+    nombre: 'mercadopago',
+    createPreference: (body) => new Preference(config).create({ body }),
+    getPayment: (id) => new Payment(config).get({ id }),
+    refund: ({ paymentId, amount = null, idempotencyKey }) => new PaymentRefund(config).create({
+      payment_id: paymentId,
+      body: amount == null ? {} : { amount },
+      ...(idempotencyKey ? { requestOptions: { idempotencyKey } } : {}),
+    }),
+    // va por HTTP para poder probarla contra un stub local (MP_API_URL)
+    async searchPayments({ begin, end, external_reference }) {
+      const out = [];
+      const limit = 100;
+      for (let offset = 0; ; offset += limit) {
+        const qs = new URLSearchParams({
+          sort: 'date_created',
+          criteria: 'asc',
+          range: 'date_created',
+          begin_date: begin,
+          end_date: end,
+          limit: String(limit),
+          offset: String(offset),
+        });
+        if (external_reference) qs.set('external_reference', external_reference);
+
+        const r = await fetch(`${baseUrl}/v1/payments/search?${qs}`, {
+          headers: { Authorization: `Bearer ${accessToken}` },
+        });
+        if (!r.ok) throw new Error(`MP search ${r.status}: ${await r.text()}`);
+        const data = await r.json();
+        const results = Array.isArray(data?.results) ? data.results : [];
+        out.push(...results);
+
+        const total = Number(data?.paging?.total ?? 0);
+        if (!results.length || offset + limit >= total) break;
+      }
+      return out;
+    },
+  };
+}
+
+// status_detail que manda MP para cada estado
+const FAKE_STATUS_DETAIL = {
+  approved: 'accredited',
+  pending: 'pending_waiting_payment',
+  in_process: 'pending_contingency',
+  rejected: 'cc_rejected_other_reason',
+  cancelled: 'expired',
+  refunded: 'refunded',
+  charged_back: 'settled',
+};
+
+const notFound = (what, id) => Object.assign(new Error(`${what} ${id} not found`), { status: 404 });
+
+/**
+ * Pasarela simulada. `baseUrl` es donde escucha este backend (el webhook se
+ * entrega ahí); `checkoutUrl` arma el init_point de cada preferencia. Ambos
+ * pueden ser funciones, para cuando el puerto se conoce recién al escuchar.
+ */
+export function createFakeGateway({ baseUrl: baseUrlOpt, checkoutUrl: checkoutUrlOpt, webhookSecret = '' }) {
+  const baseUrl = () => (typeof baseUrlOpt === 'function' ? baseUrlOpt() : baseUrlOpt);
+  const checkoutUrl = () => (typeof checkoutUrlOpt === 'function' ? checkoutUrlOpt() : checkoutUrlOpt);
+  const preferences = new Map();
+  const payments = new Map();
+  const refunds = new Map();
+  let seq = 0;
+  let paymentSeq = 9000000000;
+
+  const copy = (x) => JSON.parse(JSON.stringify(x));
+
+  function findPreference({ preferenceId, external_reference }) {
+    if (preferenceId) return preferences.get(String(preferenceId)) || null;
+    // la última preferencia con esa referencia (ej. reintento del jugador)
+    return [...preferences.values()].reverse().find((p) => p.body.external_reference === external_reference) || null;
+  }
+
+  async function deliverWebhook(paymentId) {
+    const p = payments.get(String(paymentId));
+    if (!p) throw notFound('Payment', paymentId);
+
+    // misma ruta (y query) que la notification_url de la preferencia, pero contra este backend
+    const pref = preferences.get(p.preference_id);
+    let target = new URL('/mp/webhook', baseUrl());
+    try {
+      const u = new URL(pref?.body?.notification_url || '/mp/webhook', baseUrl());
+      target = new URL(`${u.pathname}${u.search}`, baseUrl());
+    } catch { /* notification_url inválida: se usa la default */ }
+    target.searchParams.set('type', 'payment');
+    target.searchParams.set('data.id', String(p.id));
+
+    const requestId = crypto.randomUUID();
+    const headers = { 'content-type': 'application/json', 'x-request-id': requestId };
+    if (webhookSecret) {
+      const ts = String(Date.now());
+      const manifest = `id:${String(p.id).toLowerCase()};request-id:${requestId};ts:${ts};`;
+      headers['x-signature'] = `ts=${ts},v1=${crypto.createHmac('sha256', webhookSecret).update(manifest).digest('hex')}`;
+    }
+
+    const r = await fetch(target, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ type: 'payment', action: 'payment.updated', data: { id: String(p.id) } }),
+    });
+    return { status: r.status, body: await r.json().catch(() => null) };
+  }
+
+  return {
+    nombre: 'fake',
+
+    async createPreference(body) {
+      const id = `pref-dev-${++seq}`;
+      const init_point = `${checkoutUrl()}/${id}`;
+      preferences.set(id, { id, body: copy(body), init_point, createdAt: new Date().toISOString() });
+      return { id, init_point, sandbox_init_point: init_point };
+    },
+
+    async getPayment(id) {
+      const p = payments.get(String(id));
+      if (!p) throw notFound('Payment', id);
+      return copy(p);
+    },
+
+    async searchPayments({ begin, end, external_reference }) {
+      return [...payments.values()]
+        .filter((p) => (!begin || p.date_created >= begin) && (!end || p.date_created <= end))
+        .filter((p) => !external_reference || p.external_reference === external_reference)
+        .map(copy);
+    },
+
+    async refund({ paymentId, amount = null, idempotencyKey }) {
+      if (idempotencyKey && refunds.has(idempotencyKey)) return copy(refunds.get(idempotencyKey));
+      const p = payments.get(String(paymentId));
+      if (!p) throw notFound('Payment', paymentId);
+      if (!['approved', 'refunded'].includes(p.status)) throw Object.assign(new Error(`Payment ${paymentId} is ${p.status}`), { status: 400 });
+
+      const restante = Number((p.transaction_amount - p.transaction_amount_refunded).toFixed(2));
+      const monto = amount == null ? restante : Number(amount);
+      if (!(monto > 0) || monto > restante + 0.005) throw Object.assign(new Error(`Invalid refund amount ${monto}`), { status: 400 });
+
+      p.transaction_amount_refunded = Number((p.transaction_amount_refunded + monto).toFixed(2));
+      if (p.transaction_amount_refunded + 0.005 >= p.transaction_amount) {
+        p.status = 'refunded';
+        p.status_detail = FAKE_STATUS_DETAIL.refunded;
+      }
+      const refund = { id: ++paymentSeq, payment_id: p.id, amount: monto, status: 'approved', date_created: new Date().toISOString() };
+      p.refunds.push(refund);
+      refunds.set(idempotencyKey || `refund_${refund.id}`, refund);
+      return copy(refund);
+    },
+
+    /* ----- simulación (solo fake) ----- */
+
+    /**
+     * El comprador paga una preferencia. { preferenceId | external_reference,
+     * status = 'approved', amount } — amount distinto simula un monto alterado.
+     * Entrega el webhook salvo `webhook: false`.
+     */
+    async pay({ preferenceId, external_reference, status = 'approved', amount, webhook = true }) {
+      if (!FAKE_STATUS_DETAIL[status]) throw Object.assign(new Error(`Estado desconocido: ${status}`), { status: 400 });
+      const pref = findPreference({ preferenceId, external_reference });
+      if (!pref) throw notFound('Preference', preferenceId || external_reference);
+
+      const item = pref.body.items?.[0] || {};
+      const now = new Date().toISOString();
+      const payment = {
+        id: ++paymentSeq,
+        preference_id: pref.id,
+        status,
+        status_detail: FAKE_STATUS_DETAIL[status],
+        external_reference: pref.body.external_reference,
+        description: item.title || null,
+        transaction_amount: Number(amount ?? Number(item.unit_price) * (Number(item.quantity) || 1)),
+        transaction_amount_refunded: 0,
+        currency_id: item.currency_id || 'ARS',
+        metadata: pref.body.metadata || {},
+        payer: pref.body.payer || {},
+        payment_method_id: 'account_money',
+        payment_type_id: 'account_money',
+        date_created: now,
+        date_last_updated: now,
+        date_approved: status === 'approved' ? now : null,
+        refunds: [],
+      };
+      payments.set(String(payment.id), payment);
+      return { payment: copy(payment), webhook: webhook ? await deliverWebhook(payment.id) : null };
+    },
+
+    /** MP cambia el estado de un pago existente (devolución, contracargo…) y notifica. */
+    async setStatus(paymentId, status, { webhook = true } = {}) {
+      if (!FAKE_STATUS_DETAIL[status]) throw Object.assign(new Error(`Estado desconocido: ${status}`), { status: 400 });
+      const p = payments.get(String(paymentId));
+      if (!p) throw notFound('Payment', paymentId);
+      p.status = status;
+      p.status_detail = FAKE_STATUS_DETAIL[status];
+      p.date_last_updated = new Date().toISOString();
+      if (status === 'approved' && !p.date_approved) p.date_approved = p.date_last_updated;
+      return { payment: copy(p), webhook: webhook ? await deliverWebhook(p.id) : null };
+    },
+
+    deliverWebhook,
+    getPreference: async (id) => (preferences.has(String(id)) ? copy(preferences.get(String(id))) : null),
+    /** Todo lo que pasó por la pasarela, para inspeccionar en tests. */
+    dump: () => copy({ preferences: [...preferences.values()], payments: [...payments.values()], refunds: [...refunds.values()] }),
+  };
+}
@@ -1,33 +1,47 @@
 // server.js
 import 'dotenv/config';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
 import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
 
-// SDK v2 Mercado Pago
-import { MercadoPagoConfig, Preference, Payment } from 'mercadopago';
-
 // PDF
 import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
 
-// Firebase Admin
-import admin from 'firebase-admin';
+// Notificaciones
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
 
-try {
-  if (!admin.apps.length) {
-    admin.initializeApp({
-      credential: admin.credential.applicationDefault(),
-    });
-  }
-} catch (e) {
-  console.warn('[WARN] admin.initializeApp()', e?.message || e);
+// Datos (Firestore o en memoria) y pasarela de pagos (Mercado Pago o simulada)
+import { createFirebaseBackend, createMemoryBackend } from './lib/backend.js';
+import { createMercadoPagoGateway, createFakeGateway } from './lib/payments.js';
+
+/* OFFLINE=1 levanta todo sin credenciales: Firestore en memoria (con
+   MEMORY_SEED opcional), tokens `dev:<uid>` y MP simulado con rutas /dev/mp.
+   También se pueden elegir por separado con DATA_BACKEND / PAYMENTS_BACKEND. */
+const OFFLINE = process.env.OFFLINE === '1';
+const DATA_BACKEND = process.env.DATA_BACKEND || (OFFLINE ? 'memory' : 'firebase');
+const PAYMENTS_BACKEND = process.env.PAYMENTS_BACKEND || (OFFLINE ? 'fake' : 'mercadopago');
+
+// el MP simulado confirma reservas sin cobrar (/dev/mp sin auth, webhook sin firma):
+// nunca contra datos reales
+if (PAYMENTS_BACKEND === 'fake' && DATA_BACKEND !== 'memory') {
+  throw new Error('PAYMENTS_BACKEND=fake solo funciona con DATA_BACKEND=memory (ej. OFFLINE=1)');
 }
 
-const db = admin.firestore();
-const { FieldValue } = admin.firestore;
+const backend = DATA_BACKEND === 'memory'
+  ? await createMemoryBackend({ seedFile: process.env.MEMORY_SEED || undefined })
+  : createFirebaseBackend();
+
+const { db, FieldValue, Timestamp } = backend;
 
 const app = express();
 app.use(cors());
+// los checks traen el comprobante en base64: 4 MB de archivo son ~5,4 MB de JSON
+app.use('/checks', express.json({ limit: '6mb' }));
 app.use(express.json({ limit: '5mb' }));
 app.use(morgan('tiny'));
 
@@ -35,15 +49,79 @@ const PORT = process.env.PORT || 3000;
 const MP_ACCESS_TOKEN = process.env.MP_ACCESS_TOKEN;
 const PUBLIC_URL = process.env.PUBLIC_URL || '';
 
-// Comisión fija por transacción (tuya) — para MP
+// Comisión fija por transacción (tuya) — para MP, si el complejo no tiene `comisiones`
 const COMMISSION_FIXED = 1000;
+// Huso de los complejos (fecha/hora de las reservas son locales)
+const TZ_OFFSET = process.env.TZ_OFFSET || '-03:00';
 
-if (!MP_ACCESS_TOKEN) {
+if (!MP_ACCESS_TOKEN && PAYMENTS_BACKEND !== 'fake') {
   console.warn('[WARN] MP_ACCESS_TOKEN no está seteado. Setéalo en Render > Environment.');
 }
 
-// Cliente MP
-const mp = new MercadoPagoConfig({ accessToken: MP_ACCESS_TOKEN });
+// Pasarela de pagos: MP real o la simulada (ver "Modo offline")
+const MP_API_URL = (process.env.MP_API_URL || 'https://api.mercadopago.com').replace(/\/+$/, '');
+// puerto real una vez que escucha (los tests usan listen(0))
+let listeningPort = PORT;
+const payments = PAYMENTS_BACKEND === 'fake'
+  ? createFakeGateway({
+    baseUrl: () => `http://127.0.0.1:${listeningPort}`,
+    checkoutUrl: () => `${PUBLIC_URL || `http://localhost:${listeningPort}`}/dev/mp/checkout`,
+    webhookSecret: process.env.MP_WEBHOOK_SECRET || '',
+  })
+  : createMercadoPagoGateway({ accessToken: MP_ACCESS_TOKEN, apiUrl: MP_API_URL });
+
+/* ------------------------------------------------------------------
+   Auth: Firebase ID token + roles
+   ------------------------------------------------------------------
+   Authorization: Bearer <idToken>. Roles por custom claims:
+     admin: true            admin de la plataforma
+     complejos: ['c1', …]   staff de esos complejos
+     bot: true              cuenta de servicio (ej. el que revisa checks); queda así en la auditoría
+   Cualquier otro usuario autenticado es jugador. ADMIN_UIDS (separados por
+   coma) sirve para dar de alta al primer admin. */
+const ADMIN_UIDS = new Set(String(process.env.ADMIN_UIDS || '').split(',').map((x) => x.trim()).filter(Boolean));
+
+async function authenticate(req, res, next) {
+  try {
+    const m = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    if (!m) return res.status(401).json({ error: true, message: 'Falta el token de autenticación' });
+
+    const decoded = await backend.auth().verifyIdToken(m[1]);
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      admin: decoded.admin === true || ADMIN_UIDS.has(decoded.uid),
+      complejos: Array.isArray(decoded.complejos) ? decoded.complejos.map(String) : [],
+      bot: decoded.bot === true,
+    };
+    next();
+  } catch (e) {
+    console.warn('[auth] token inválido:', e?.code || e?.message || e);
+    res.status(401).json({ error: true, message: 'Token inválido o vencido' });
+  }
+}
+
+function isStaffOf(user, complejoId) {
+  return !!user && (user.admin || user.complejos.includes(String(complejoId)));
+}
+
+function requireAdmin(req, res, next) {
+  if (req.user?.admin) return next();
+  res.status(403).json({ error: true, message: 'Solo administradores' });
+}
+
+/** Staff del complejo indicado en req.params[param] (o admin). */
+function requireStaff(param = 'complejoId') {
+  return function requireStaffOf(req, res, next) {
+    if (isStaffOf(req.user, req.params?.[param])) return next();
+    res.status(403).json({ error: true, message: 'Sin permisos sobre este complejo' });
+  };
+}
+
+/** Dueño de la reserva o staff de su complejo. */
+function canSeeReserva(user, { complejoId, data }) {
+  return isStaffOf(user, complejoId) || (!!data?.userId && String(data.userId) === String(user?.uid));
+}
 
 /** Health / raíz */
 app.get('/', (_req, res) => res.send('OK futbol-mp-backend'));
@@ -90,346 +168,6057 @@ app.get('/mp/success', (req, res) => renderAndDeepLink(res, 'success', req));
 app.get('/mp/failure', (req, res) => renderAndDeepLink(res, 'failure', req));
 app.get('/mp/pending', (req, res) => renderAndDeepLink(res, 'pending', req));
 
+/* ============================================================
+   Precios del lado del servidor (no confiamos en el cliente)
+   ============================================================
+   Config en complejos/{id}:
+     deposit_pct: 30                       // % de seña que define el complejo
+     precios: {
+       "5": 20000,                         // precio plano por tipo, o bien:
+       "7": {
+         base: 30000,
+         franjas: [                        // la primera que matchea gana
+           { dias: [1,2,3,4,5], desde: '18:00', hasta: '24:00', precio: 38000 },
+           { dias: [0,6], precio: 35000 },
+         ],
+       },
+     }
+     recargos: [                           // hora pico / valle, la primera que matchea gana
+       { nombre: 'pico', dias: [1,2,3,4,5], desde: '19:00', hasta: '23:00', pct: 20 },
+       { nombre: 'valle', desde: '08:00', hasta: '12:00', tipos: [5], pct: -15 },
+     ]
+   dias: 0 = domingo … 6 = sábado. `hasta` es exclusivo. El recargo (pct
+   negativo = descuento) se aplica sobre el precio de la franja. */
+const DEFAULT_DEPOSIT_PCT = 30;
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  if (!Number.isFinite(h)) return NaN;
+  return h * 60 + (Number.isFinite(m) ? m : 0);
+}
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+function weekdayOf(fecha) {
+  const d = new Date(`${fecha}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) ? NaN : d.getUTCDay();
+}
+
+function tipoKey(tipo) {
+  return String(Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo));
+}
+
+function matchesFranja(f, { dia, min }) {
+  if (Array.isArray(f?.dias) && !f.dias.map(Number).includes(dia)) return false;
+  if (f?.desde != null && !(min >= toMinutes(f.desde))) return false;
+  if (f?.hasta != null && !(min < toMinutes(f.hasta))) return false;
+  return true;
+}
+
+function resolveListPrice({ complejo, tipo, fecha, hora }) {
+  const cfg = complejo?.precios?.[tipoKey(tipo)];
+  if (cfg == null) return null;
+  if (typeof cfg !== 'object') return Number(cfg) || null;
+
+  const at = { dia: weekdayOf(fecha), min: toMinutes(hora) };
+  const franja = (Array.isArray(cfg.franjas) ? cfg.franjas : []).find((f) => matchesFranja(f, at));
+
+  return Number(franja?.precio ?? cfg.base) || null;
+}
+
+/** Recargo de hora pico / valle que aplica al turno, o null. */
+function resolveRecargo({ complejo, tipo, fecha, hora }) {
+  const at = { dia: weekdayOf(fecha), min: toMinutes(hora) };
+  const r = (Array.isArray(complejo?.recargos) ? complejo.recargos : []).find((x) => {
+    if (!Number(x?.pct)) return false;
+    if (Array.isArray(x.tipos) && !x.tipos.map(tipoKey).includes(tipoKey(tipo))) return false;
+    return matchesFranja(x, at);
+  });
+  return r ? { nombre: r.nombre || (Number(r.pct) > 0 ? 'pico' : 'valle'), pct: Number(r.pct) } : null;
+}
+
+/** Precio del turno: franja + recargo de hora pico / valle. */
+function resolveBasePrice({ complejo, tipo, fecha, hora }) {
+  const lista = resolveListPrice({ complejo, tipo, fecha, hora });
+  if (!lista) return null;
+  const recargo = resolveRecargo({ complejo, tipo, fecha, hora });
+  return recargo ? round2(Math.max(0, lista * (1 + recargo.pct / 100))) || null : lista;
+}
+
 /**
- * Crea preferencia
+ * Calcula el importe a cobrar a partir de la config del complejo.
+ * Devuelve null si el complejo no tiene precio para ese tipo/horario.
  */
-app.post('/mp/create-preference', async (req, res) => {
-  try {
-    const {
-      title = 'Reserva',
-      quantity = 1,
-      unit_price = 1000,
-      external_reference,
-      notification_url,
-      payer = {},
-      payFull = false,
-      deposit_pct = 30,
+function computeReservaPrice({ complejo, tipo, fecha, hora, payFull }) {
+  const basePrice = resolveBasePrice({ complejo, tipo, fecha, hora });
+  if (!basePrice || basePrice <= 0) return null;
 
-      // extras
-      complejoId,
-      name,
-      fecha,
-      hora,
-      tipo,
-      priceNum,
-      userId,
-      userEmail,
-    } = req.body || {};
+  const cfgPct = Number(complejo?.deposit_pct ?? DEFAULT_DEPOSIT_PCT);
+  const pct = Number.isFinite(cfgPct) && cfgPct > 0 && cfgPct <= 100 ? cfgPct : DEFAULT_DEPOSIT_PCT;
+  const full = !!payFull || pct >= 100;
+  const fraction = full ? 1 : (pct / 100);
 
-    const base = Number(unit_price) || 0;
-    const pct = Number(deposit_pct) || 30;
-    const fraction = payFull ? 1 : (pct / 100);
-    const baseFractionAmount = Number((base * fraction).toFixed(2));
-    const chargedAmount = Number((baseFractionAmount + COMMISSION_FIXED).toFixed(2));
-
-    const pref = new Preference(mp);
-
-    const body = {
-      items: [
-        {
-          id: external_reference || 'booking',
-          title,
-          quantity: Number(quantity) || 1,
-          currency_id: 'ARS',
-          unit_price: chargedAmount,
-        },
-      ],
-      payer,
-      external_reference: external_reference || undefined,
-      notification_url: notification_url || `${PUBLIC_URL}/mp/webhook`,
-      back_urls: {
-        success: `${PUBLIC_URL}/mp/success`,
-        failure: `${PUBLIC_URL}/mp/failure`,
-        pending: `${PUBLIC_URL}/mp/pending`,
-      },
-      auto_return: 'approved',
-      metadata: {
-        payFull: !!payFull,
-        deposit_pct: payFull ? null : pct,
+  return {
+    basePrice,
+    payFull: full,
+    pct,
+    baseFractionAmount: Number((basePrice * fraction).toFixed(2)),
+    recargo: resolveRecargo({ complejo, tipo, fecha, hora }),
+  };
+}
+
+/** Saldo del turno: precio menos lo que ya recibió el complejo (null si no hay precio). */
+function computeSaldo(precio, pagado) {
+  if (precio == null || !Number.isFinite(Number(precio))) return null;
+  return round2(Math.max(0, Number(precio) - (Number(pagado) || 0)));
+}
+
+/* ============================================================
+   Comisión YoReservo por complejo
+   ============================================================
+   complejos/{id}.comisiones: lista de reglas con vigencia; se usa la de
+   `desde` más reciente que no sea futura (fecha de cobro, no del turno).
+   La comisión calculada queda en la metadata de la preferencia / el pago,
+   así que cambiar la regla no reescribe lo ya cobrado.
+     comisiones: [
+       { desde: '2025-01-01', modo: 'fijo', monto: 1000 },
+       { desde: '2026-03-01', modo: 'porcentaje', pct: 5, min: 800, max: 3000,
+         full: { modo: 'porcentaje', pct: 4 },    // override para pago total
+         manual: { modo: 'fijo', monto: 500 } },  // override para checks manuales
+     ]
+   Overrides posibles: deposit, full, manual, saldo (cobro online del saldo).
+   Sin regla: COMMISSION_FIXED para MP y 0 para checks manuales (como hasta ahora). */
+function tzOffsetMs() {
+  const m = /^([+-])(\d{2}):?(\d{2})$/.exec(TZ_OFFSET);
+  if (!m) return 0;
+  return (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) * 60 * 1000;
+}
+
+function localFecha(ms = Date.now()) {
+  return new Date(ms + tzOffsetMs()).toISOString().slice(0, 10);
+}
+
+function pickCommissionRule(complejo, { kind, fecha = localFecha() }) {
+  const reglas = (Array.isArray(complejo?.comisiones) ? complejo.comisiones : [])
+    .filter((r) => r && String(r.desde || '') <= fecha)
+    .sort((a, b) => String(b.desde || '').localeCompare(String(a.desde || '')));
+  const regla = reglas[0];
+  if (!regla) {
+    return kind === 'manual'
+      ? { modo: 'fijo', monto: 0, desde: null }
+      : { modo: 'fijo', monto: COMMISSION_FIXED, desde: null };
+  }
+  const override = regla[kind];
+  if (kind === 'manual' && !override) return { modo: 'fijo', monto: 0, desde: regla.desde };
+  // el override reemplaza la regla entera (modo, monto/pct, min/max)
+  return override ? { ...override, desde: regla.desde } : regla;
+}
+
+/**
+ * Comisión para un cobro de `amount` (la parte del complejo).
+ * kind: 'deposit' | 'full' | 'manual' | 'saldo'.
+ */
+function computeCommission({ complejo, kind, amount, fecha }) {
+  const rule = pickCommissionRule(complejo, { kind, fecha });
+  let commission = rule.modo === 'porcentaje'
+    ? (Number(amount) || 0) * (Number(rule.pct) || 0) / 100
+    : Number(rule.monto) || 0;
+  if (rule.min != null) commission = Math.max(commission, Number(rule.min) || 0);
+  if (rule.max != null) commission = Math.min(commission, Number(rule.max) || 0);
+
+  return {
+    commission: Number(commission.toFixed(2)),
+    rule: {
+      kind,
+      modo: rule.modo || 'fijo',
+      desde: rule.desde ?? null,
+      monto: rule.monto ?? null,
+      pct: rule.pct ?? null,
+      min: rule.min ?? null,
+      max: rule.max ?? null,
+    },
+  };
+}
+
+/* ============================================================
+   Códigos de descuento
+   ============================================================
+   complejos/{id}/promos/{CODE}:
+     { modo: 'porcentaje' | 'fijo', valor, absorbe: 'complejo' | 'plataforma',
+       desde, hasta,              // vigencia (fecha de uso, inclusive; opcionales)
+       tipos: [5, 7], dias: [1..5],  // restricciones sobre el turno (opcionales)
+       usos_max, usos_restantes,  // null = sin límite
+       usos, activo }
+   El descuento se calcula sobre el precio del turno. Quién lo absorbe:
+     complejo    baja el precio del turno (y la seña y el saldo); la comisión
+                 se recalcula sobre lo que cobra el complejo
+     plataforma  sale de la comisión de YoReservo de ese cobro y no puede
+                 superarla; el complejo cobra lo mismo que sin código
+   Solo un admin crea códigos que absorbe la plataforma.
+   El uso se descuenta al crear el hold; si el hold vence, MP falla o el pago
+   se rechaza, se devuelve (promo.liberada en la reserva). */
+const PROMO_CODE_RE = /^[A-Z0-9_-]{3,32}$/;
 
-        basePrice: base,
-        base_fraction_amount: baseFractionAmount,
-        commission_fixed: COMMISSION_FIXED,
-        total: chargedAmount,
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function promoRef(complejoId, code) {
+  return db.collection('complejos').doc(String(complejoId)).collection('promos').doc(normalizePromoCode(code));
+}
+
+/** Motivo por el que el código no aplica al turno, o null si vale. */
+function promoRejection(p, { tipo, fecha, hoy = localFecha() }) {
+  if (!p || p.activo === false) return 'Código inexistente o desactivado';
+  if (p.desde && hoy < String(p.desde)) return 'El código todavía no está vigente';
+  if (p.hasta && hoy > String(p.hasta)) return 'El código está vencido';
+  if (p.usos_restantes != null && Number(p.usos_restantes) <= 0) return 'El código ya no tiene usos disponibles';
+  if (Array.isArray(p.tipos) && p.tipos.length && !p.tipos.map(tipoKey).includes(tipoKey(tipo))) {
+    return 'El código no vale para este tipo de cancha';
+  }
+  if (Array.isArray(p.dias) && p.dias.length && !p.dias.map(Number).includes(weekdayOf(fecha))) {
+    return 'El código no vale para este día';
+  }
+  return null;
+}
+
+/**
+ * Aplica el código sobre precio y comisión ya calculados. Devuelve { price, fee }
+ * netos; price.promo detalla bruto, descuento y cuánto pone cada parte en este cobro.
+ */
+function applyPromo({ complejo, code, promo, price, fee }) {
+  const bruto = round2(price.baseFractionAmount + fee.commission);
+  const fraction = price.payFull ? 1 : price.pct / 100;
+  const sobreTurno = promo.modo === 'porcentaje'
+    ? price.basePrice * (Number(promo.valor) || 0) / 100
+    : Number(promo.valor) || 0;
+  let descuentoTurno = round2(Math.min(Math.max(sobreTurno, 0), price.basePrice));
+
+  let netPrice = price;
+  let netFee = fee;
+  if (promo.absorbe === 'plataforma') {
+    descuentoTurno = round2(Math.min(descuentoTurno, fee.commission));
+    netFee = { ...fee, commission: round2(fee.commission - descuentoTurno) };
+  } else {
+    const basePrice = round2(price.basePrice - descuentoTurno);
+    netPrice = { ...price, basePrice, baseFractionAmount: round2(basePrice * fraction) };
+    netFee = computeCommission({ complejo, kind: price.payFull ? 'full' : 'deposit', amount: netPrice.baseFractionAmount });
+  }
 
-        complejoId, name, fecha, hora, tipo, priceNum, userId, userEmail,
+  const descuento_complejo = round2(price.baseFractionAmount - netPrice.baseFractionAmount);
+  const descuento_plataforma = round2(fee.commission - netFee.commission);
+  return {
+    price: {
+      ...netPrice,
+      promo: {
+        code,
+        modo: promo.modo,
+        valor: Number(promo.valor) || 0,
+        absorbe: promo.absorbe === 'plataforma' ? 'plataforma' : 'complejo',
+        precio_lista: price.basePrice,
+        descuento_turno: descuentoTurno,
+        bruto,
+        descuento: round2(descuento_complejo + descuento_plataforma),
+        descuento_complejo,
+        descuento_plataforma,
       },
-    };
+    },
+    fee: netFee,
+  };
+}
+
+/** Devuelve el uso del código de una reserva que no llegó a confirmarse. Idempotente. */
+async function releasePromoUse({ complejoId, reservaId }) {
+  const resRef = reservaRef(complejoId, reservaId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(resRef);
+    const r = snap.data() || {};
+    if (!r.promo?.code || r.promo.liberada) return { ok: false };
+    const ref = promoRef(complejoId, r.promo.code);
+    const p = (await tx.get(ref)).data();
+    if (p) {
+      tx.set(ref, {
+        usos: Math.max(0, (Number(p.usos) || 0) - 1),
+        ...(p.usos_restantes != null ? { usos_restantes: Number(p.usos_restantes) + 1 } : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+    tx.set(resRef, { promo: { liberada: true } }, { merge: true });
+    return { ok: true };
+  }).catch((e) => {
+    console.warn('[promo] release warn:', reservaId, e?.message || e);
+    return { ok: false };
+  });
+}
 
-    const result = await pref.create({ body });
+/**
+ * Alta o edición de un código.
+ * Body: { code, modo, valor, absorbe, desde, hasta, tipos, dias, usos_max, activo }
+ */
+app.post('/complejos/:complejoId/promos', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId } = req.params;
+    const b = req.body || {};
+    const code = normalizePromoCode(b.code);
+    if (!PROMO_CODE_RE.test(code)) return res.status(400).json({ error: true, message: 'Código inválido (3 a 32 letras, números, - o _)' });
+    if (!['porcentaje', 'fijo'].includes(b.modo)) return res.status(400).json({ error: true, message: 'modo debe ser porcentaje o fijo' });
+    const valor = Number(b.valor);
+    if (!(valor > 0) || (b.modo === 'porcentaje' && valor > 100)) return res.status(400).json({ error: true, message: 'valor inválido' });
+    const absorbe = b.absorbe || 'complejo';
+    if (!['complejo', 'plataforma'].includes(absorbe)) return res.status(400).json({ error: true, message: 'absorbe debe ser complejo o plataforma' });
+    if (absorbe === 'plataforma' && !req.user.admin) {
+      return res.status(403).json({ error: true, message: 'Solo un admin crea códigos a cargo de la plataforma' });
+    }
+    for (const f of ['desde', 'hasta']) {
+      if (b[f] != null && !isFecha(b[f])) return res.status(400).json({ error: true, message: `${f} debe ser YYYY-MM-DD` });
+    }
+    const usosMax = b.usos_max == null ? null : Number(b.usos_max);
+    if (usosMax != null && !(Number.isInteger(usosMax) && usosMax > 0)) return res.status(400).json({ error: true, message: 'usos_max inválido' });
 
-    return res.status(200).json({
-      id: result.id,
-      init_point: result.init_point,
-      sandbox_init_point: result.sandbox_init_point,
-      pct_applied: payFull ? 100 : pct,
-      charged_amount: chargedAmount,
-      base_fraction_amount: baseFractionAmount,
-      commission_fixed: COMMISSION_FIXED,
+    const ref = promoRef(complejoId, code);
+    const out = await db.runTransaction(async (tx) => {
+      const prev = (await tx.get(ref)).data();
+      if (prev?.absorbe === 'plataforma' && !req.user.admin) return { forbidden: true };
+      const usos = Number(prev?.usos) || 0;
+      const data = {
+        code,
+        modo: b.modo,
+        valor,
+        absorbe,
+        desde: b.desde || null,
+        hasta: b.hasta || null,
+        tipos: Array.isArray(b.tipos) && b.tipos.length ? b.tipos.map((t) => (Number.isFinite(Number(t)) ? Number(t) : String(t))) : null,
+        dias: Array.isArray(b.dias) && b.dias.length ? b.dias.map(Number).filter((d) => d >= 0 && d <= 6) : null,
+        usos_max: usosMax,
+        // al editar, los usos ya hechos siguen contando
+        usos_restantes: usosMax == null ? null : Math.max(0, usosMax - usos),
+        usos,
+        activo: b.activo !== false,
+        updatedAt: FieldValue.serverTimestamp(),
+        updatedBy: req.user.uid,
+        ...(prev ? {} : { createdAt: FieldValue.serverTimestamp() }),
+      };
+      tx.set(ref, data, { merge: true });
+      return { ...data, creado: !prev };
     });
-  } catch (err) {
-    console.error('create-preference error:', err);
-    return res.status(500).json({ error: true, message: String(err?.message || err) });
+
+    if (out.forbidden) return res.status(403).json({ error: true, message: 'Solo un admin modifica códigos a cargo de la plataforma' });
+    res.status(out.creado ? 201 : 200).json({ ok: true, promo: { ...out, updatedAt: undefined, createdAt: undefined } });
+  } catch (e) {
+    console.error('promos upsert error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+app.get('/complejos/:complejoId/promos', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const snap = await db.collection('complejos').doc(String(req.params.complejoId)).collection('promos').get();
+    res.json({ ok: true, items: snap.docs.map((d) => ({ id: d.id, ...d.data() })) });
+  } catch (e) {
+    console.error('promos list error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+app.delete('/complejos/:complejoId/promos/:code', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const ref = promoRef(req.params.complejoId, req.params.code);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Código no encontrado' });
+    if (snap.data()?.absorbe === 'plataforma' && !req.user.admin) {
+      return res.status(403).json({ error: true, message: 'Solo un admin modifica códigos a cargo de la plataforma' });
+    }
+    // se desactiva en vez de borrar: las reservas lo siguen referenciando
+    await ref.set({ activo: false, updatedAt: FieldValue.serverTimestamp(), updatedBy: req.user.uid }, { merge: true });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('promos delete error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
   }
 });
 
 /* ============================================================
-   Liquidación diaria (idempotente por pago/operación)
-   ============================================================ */
-async function upsertDailySettlement({ complejoId, fecha, paymentInfo }) {
-  if (!complejoId || !fecha || !paymentInfo) return;
-  const {
-    id: mp_payment_id,
-    status,
-    transaction_amount,
-    metadata = {},
-  } = paymentInfo;
+   Canchas con nombre
+   ============================================================
+   complejos/{id}.canchas_fisicas: [
+     { id: 'cancha-2', nombre: 'Cancha 2', tipo: 5, activa: true,
+       fuera_de_servicio: [{ desde: '2026-11-03', hasta: '2026-11-05', motivo: 'Césped' }] },
+   ]
+   Si un tipo tiene canchas cargadas, su capacidad es la cantidad de canchas
+   activas y en servicio ese día (reemplaza a canchas["<tipo>"], que se
+   mantiene sincronizado para las apps viejas). Al confirmar (pago, cuotas,
+   check aprobado, turno fijo) se asigna la primera cancha libre del slot;
+   el staff la puede cambiar. Las reservas legacy y las anteriores a esta
+   config quedan sin cancha hasta que el staff asigne una. */
+const CANCHA_ID_RE = /^[a-z0-9_-]{1,40}$/;
 
-  const isFull = !!metadata?.payFull;
-  const commission = Number(metadata?.commission_fixed ?? 0) || 0; // 👈 en manual dejamos 0
-  const baseFraction = Number(metadata?.base_fraction_amount ?? metadata?.manual_amount ?? 0) || 0;
-  const totalCharged = Number(metadata?.total ?? transaction_amount ?? baseFraction) || 0;
+function slugCancha(nombre) {
+  return String(nombre || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
 
-  const dayDoc = db.collection('liquidaciones')
-    .doc(String(complejoId))
-    .collection('days')
-    .doc(String(fecha));
+function fueraDeServicio(cancha, fecha) {
+  return (Array.isArray(cancha?.fuera_de_servicio) ? cancha.fuera_de_servicio : [])
+    .find((p) => p?.desde && String(fecha) >= String(p.desde) && String(fecha) <= String(p.hasta || p.desde)) || null;
+}
 
-  const pagoDoc = dayDoc.collection('pagos').doc(String(mp_payment_id));
+/** Canchas cargadas para el tipo (activas o no); [] si el tipo usa solo el conteo. */
+function canchasDelTipo(complejo, tipo) {
+  return (Array.isArray(complejo?.canchas_fisicas) ? complejo.canchas_fisicas : [])
+    .filter((c) => c?.id && tipoKey(c.tipo) === tipoKey(tipo));
+}
 
-  await db.runTransaction(async (tx) => {
-    const pagoSnap = await tx.get(pagoDoc);
-    if (pagoSnap.exists) return;
+function canchasEnServicio(complejo, { fecha, tipo }) {
+  return canchasDelTipo(complejo, tipo).filter((c) => c.activa !== false && !fueraDeServicio(c, fecha));
+}
 
-    tx.set(pagoDoc, {
-      mp_payment_id,
-      status,
-      createdAt: FieldValue.serverTimestamp(),
-      total_charged: totalCharged,
-      commission,
-      base_fraction: baseFraction,
-      payFull: isFull,
-      deposit_pct: isFull ? null : (Number(metadata?.deposit_pct ?? 0) || null),
-      manual: !!metadata?.manual,
+/** Primera cancha en servicio del slot que no tiene otra reserva; null si no hay canchas cargadas. */
+function pickCancha(slot) {
+  const c = slot.canchas.find((x) => !slot.asignadas.has(x.id));
+  return c ? { id: c.id, nombre: c.nombre } : null;
+}
+
+/** Reservas confirmadas desde hoy en esa cancha que quedaron en una fecha sin servicio. */
+async function reservasAfectadas(complejoId, cancha) {
+  const snap = await db.collection('complejos').doc(String(complejoId)).collection('reservas')
+    .where('cancha.id', '==', cancha.id)
+    .where('fecha', '>=', localFecha())
+    .get();
+  return snap.docs
+    .map((d) => ({ reservaId: d.id, ...d.data() }))
+    .filter((r) => r.estado === 'confirmada'
+      && (cancha.activa === false || tipoKey(r.tipo) !== tipoKey(cancha.tipo) || fueraDeServicio(cancha, r.fecha)))
+    .map((r) => ({ reservaId: r.reservaId, fecha: r.fecha, hora: r.hora, tipo: r.tipo }));
+}
+
+// canchas["<tipo>"] = canchas activas, para quien siga leyendo el conteo
+function syncConteoCanchas(fisicas) {
+  const out = {};
+  fisicas.forEach((c) => {
+    const k = tipoKey(c.tipo);
+    out[k] = (out[k] || 0) + (c.activa !== false ? 1 : 0);
+  });
+  return out;
+}
+
+app.get('/complejos/:complejoId/canchas', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const snap = await db.collection('complejos').doc(String(req.params.complejoId)).get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Complejo no encontrado' });
+    res.json({ ok: true, items: snap.data()?.canchas_fisicas || [] });
+  } catch (e) {
+    console.error('canchas list error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/**
+ * Alta o edición de una cancha.
+ * Body: { id?, nombre, tipo, activa, fuera_de_servicio: [{ desde, hasta, motivo }] }
+ * Sin id se deriva del nombre. Devuelve las reservas que hay que reasignar.
+ */
+app.post('/complejos/:complejoId/canchas', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId } = req.params;
+    const b = req.body || {};
+    const nombre = String(b.nombre || '').trim();
+    if (!nombre) return res.status(400).json({ error: true, message: 'Falta nombre' });
+    const id = b.id != null ? String(b.id) : slugCancha(nombre);
+    if (!CANCHA_ID_RE.test(id)) return res.status(400).json({ error: true, message: 'id inválido (minúsculas, números, - o _)' });
+    if (b.tipo == null || b.tipo === '') return res.status(400).json({ error: true, message: 'Falta tipo' });
+    const periodos = Array.isArray(b.fuera_de_servicio) ? b.fuera_de_servicio : [];
+    for (const p of periodos) {
+      const hasta = p?.hasta ?? p?.desde;
+      if (!isFecha(p?.desde) || !isFecha(hasta) || hasta < p.desde) {
+        return res.status(400).json({ error: true, message: 'fuera_de_servicio: desde/hasta deben ser YYYY-MM-DD' });
+      }
+    }
+
+    const cancha = {
+      id,
+      nombre,
+      tipo: Number.isFinite(Number(b.tipo)) ? Number(b.tipo) : String(b.tipo),
+      activa: b.activa !== false,
+      fuera_de_servicio: periodos.map((p) => ({ desde: p.desde, hasta: p.hasta || p.desde, motivo: p.motivo || null })),
+    };
+
+    const ref = db.collection('complejos').doc(String(complejoId));
+    const creada = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return null;
+      const prev = snap.data()?.canchas_fisicas || [];
+      const fisicas = prev.some((c) => c.id === id) ? prev.map((c) => (c.id === id ? cancha : c)) : [...prev, cancha];
+      tx.set(ref, {
+        canchas_fisicas: fisicas,
+        canchas: syncConteoCanchas(fisicas),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return !prev.some((c) => c.id === id);
     });
+    if (creada == null) return res.status(404).json({ error: true, message: 'Complejo no encontrado' });
 
-    const daySnap = await tx.get(dayDoc);
-    if (!daySnap.exists) {
-      tx.set(dayDoc, {
+    res.status(creada ? 201 : 200).json({ ok: true, cancha, afectadas: await reservasAfectadas(complejoId, cancha) });
+  } catch (e) {
+    console.error('canchas upsert error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+app.delete('/complejos/:complejoId/canchas/:canchaId', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId, canchaId } = req.params;
+    const ref = db.collection('complejos').doc(String(complejoId));
+    const cancha = await db.runTransaction(async (tx) => {
+      const fisicas = (await tx.get(ref)).data()?.canchas_fisicas || [];
+      const c = fisicas.find((x) => x.id === canchaId);
+      if (!c) return null;
+      // se desactiva en vez de borrar: las reservas la siguen referenciando
+      const next = fisicas.map((x) => (x.id === canchaId ? { ...x, activa: false } : x));
+      tx.set(ref, { canchas_fisicas: next, canchas: syncConteoCanchas(next), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      return { ...c, activa: false };
+    });
+    if (!cancha) return res.status(404).json({ error: true, message: 'Cancha no encontrada' });
+    res.json({ ok: true, afectadas: await reservasAfectadas(complejoId, cancha) });
+  } catch (e) {
+    console.error('canchas delete error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** Reasigna la cancha de una reserva confirmada (staff). Body { canchaId } */
+app.post('/reservas/:complejoId/:reservaId/cancha', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId, reservaId } = req.params;
+    const canchaId = String(req.body?.canchaId || '');
+    if (!canchaId) return res.status(400).json({ error: true, message: 'Falta canchaId' });
+
+    const result = await db.runTransaction(async (tx) => {
+      const resRef = reservaRef(complejoId, reservaId);
+      const snap = await tx.get(resRef);
+      if (!snap.exists) return { status: 404, message: 'Reserva no encontrada' };
+      const r = snap.data() || {};
+      if (r.estado !== 'confirmada') return { status: 409, message: `La reserva está ${r.estado}` };
+      if (r.cancha?.id === canchaId) return { status: 200, cancha: r.cancha };
+
+      const slot = await readSlotCapacity(tx, { complejoId, fecha: r.fecha, hora: r.hora, tipo: r.tipo, excludeId: reservaId });
+      const c = canchasDelTipo(slot.complejo, r.tipo).find((x) => x.id === canchaId);
+      if (!c) return { status: 404, message: `No hay una cancha ${canchaId} de F${r.tipo}` };
+      if (c.activa === false) return { status: 409, message: `${c.nombre} está deshabilitada` };
+      const fuera = fueraDeServicio(c, r.fecha);
+      if (fuera) return { status: 409, message: `${c.nombre} está fuera de servicio (${fuera.motivo || `${fuera.desde} a ${fuera.hasta}`})` };
+      if (slot.asignadas.has(c.id)) return { status: 409, message: `${c.nombre} ya tiene otra reserva en ese horario` };
+
+      const cancha = { id: c.id, nombre: c.nombre };
+      writeAudit(tx, {
         complejoId,
-        fecha,
-        createdAt: FieldValue.serverTimestamp(),
-        updatedAt: FieldValue.serverTimestamp(),
-        pagado: false,
-        pagadoAt: null,
+        entidad: 'reserva',
+        entidadId: reservaId,
+        accion: 'cancha_asignada',
+        actor: actorOf(req.user, complejoId),
+        antes: { cancha: r.cancha || null },
+        despues: { cancha },
+      });
+      tx.set(resRef, { cancha, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      touchSlotLock(tx, slot);
+      return { status: 200, cancha };
+    });
 
-        count_total: 0,
-        count_full: 0,
-        count_deposit: 0,
-        sum_total_charged: 0,
-        sum_commission: 0,
-        sum_base_fraction: 0,
-        sum_net_to_complex: 0,
-      }, { merge: true });
-    }
+    const { status, ...body } = result;
+    if (status !== 200) return res.status(status).json({ error: true, message: body.message });
+    res.json({ ok: true, ...body });
+  } catch (e) {
+    console.error('reasignar cancha error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
 
-    tx.set(dayDoc, {
-      updatedAt: FieldValue.serverTimestamp(),
-      count_total: FieldValue.increment(1),
-      count_full: FieldValue.increment(isFull ? 1 : 0),
-      count_deposit: FieldValue.increment(isFull ? 0 : 1),
-      sum_total_charged: FieldValue.increment(totalCharged),
-      sum_commission: FieldValue.increment(commission),
-      sum_base_fraction: FieldValue.increment(baseFraction),
-      sum_net_to_complex: FieldValue.increment(baseFraction),
+/* ============================================================
+   Cupos por slot (confirmadas + holds vigentes)
+   ============================================================
+   Un slot es complejo + fecha + tipo + hora. Ocupan cupo las reservas
+   `confirmada` y las `pending` cuyo hold (holdUntil) sigue vigente.
+   Toda transacción que ocupa cupo escribe el doc complejos/{id}/slots/{key}
+   para que dos transacciones sobre el mismo slot se serialicen. */
+const HOLD_MINUTES = Number(process.env.HOLD_MINUTES) || 15;
+const PENDING_STATES = ['pending', 'pendiente'];
+
+function normalizeTipoVariants(tipo) {
+  const out = [];
+  const n = Number(tipo);
+  if (Number.isFinite(n)) out.push(n);
+  out.push(String(tipo));
+  // quitar duplicados
+  return Array.from(new Set(out));
+}
+
+function toMillis(v) {
+  if (!v) return 0;
+  if (typeof v.toMillis === 'function') return v.toMillis();
+  const n = new Date(v).getTime();
+  return Number.isFinite(n) ? n : 0;
+}
+
+function occupiesSlot(r, now = Date.now()) {
+  if (r?.estado === 'confirmada') return true;
+  return PENDING_STATES.includes(r?.estado) && toMillis(r?.holdUntil) > now;
+}
+
+/* Horarios y bloqueos en complejos/{id}:
+     horarios: {
+       default: { desde: '08:00', hasta: '24:00' },
+       "0": { desde: '10:00', hasta: '22:00' },   // domingo
+       "1": null,                                  // lunes cerrado
+     }
+     bloqueos: [
+       { desde: '2026-12-24', hasta: '2026-12-25', motivo: 'Navidad' },
+       { desde: '2026-11-03', hasta: '2026-11-03', tipo: 7, horas: ['18:00'], motivo: 'Mantenimiento' },
+     ]
+   Sin `horarios` no se restringe la hora (compatibilidad con complejos viejos). */
+const DEFAULT_HORARIO = { desde: '08:00', hasta: '24:00' };
+
+function horarioDelDia(complejo, fecha) {
+  const h = complejo?.horarios;
+  if (!h || typeof h !== 'object') return undefined;
+  const dia = String(weekdayOf(fecha));
+  return Object.prototype.hasOwnProperty.call(h, dia) ? h[dia] : (h.default ?? DEFAULT_HORARIO);
+}
+
+function closedReason(complejo, { fecha, hora, tipo }) {
+  const bloqueo = (Array.isArray(complejo?.bloqueos) ? complejo.bloqueos : []).find((b) => {
+    if (!b?.desde || String(fecha) < String(b.desde)) return false;
+    if (String(fecha) > String(b.hasta || b.desde)) return false;
+    if (b.tipo != null && (tipo == null || tipoKey(b.tipo) !== tipoKey(tipo))) return false;
+    if (Array.isArray(b.horas) && (hora == null || !b.horas.map(String).includes(String(hora)))) return false;
+    return true;
+  });
+  if (bloqueo) return bloqueo.motivo || 'Bloqueado';
+
+  const horario = horarioDelDia(complejo, fecha);
+  if (horario === undefined) return null;
+  if (!horario || horario.cerrado) return 'Cerrado';
+  if (hora != null) {
+    const min = toMinutes(hora);
+    if (!(min >= toMinutes(horario.desde)) || !(min < toMinutes(horario.hasta))) return 'Fuera de horario';
+  }
+  return null;
+}
+
+/** Canchas disponibles para el slot según config (0 si está cerrado/bloqueado). */
+function slotTotal(complejo, { fecha, hora, tipo }) {
+  const motivo = closedReason(complejo, { fecha, hora, tipo });
+  if (motivo) return { total: 0, motivo };
+  if (canchasDelTipo(complejo, tipo).length) {
+    const total = canchasEnServicio(complejo, { fecha, tipo }).length;
+    return total ? { total, motivo: null } : { total: 0, motivo: 'Canchas fuera de servicio' };
+  }
+  // total canchas por tipo (mapa canchas["<tipo>"])
+  const map = complejo?.canchas || {};
+  return { total: Number(map?.[tipoKey(tipo)] ?? 0) || 1, motivo: null };
+}
+
+/**
+ * Lee (dentro de `tx`) la capacidad del slot. Solo hace lecturas: el caller
+ * tiene que escribir `lockRef` si va a ocupar o liberar cupo.
+ * `excludeId` permite no contar a la propia reserva (ej. al confirmar un hold).
+ */
+async function readSlotCapacity(tx, { complejoId, fecha, hora, tipo, excludeId }) {
+  const complejoRef = db.collection('complejos').doc(String(complejoId));
+  const complejoSnap = await tx.get(complejoRef);
+  if (!complejoSnap.exists) throw new Error('Complejo no encontrado');
+  const complejo = complejoSnap.data() || {};
+
+  const key = `${fecha}|${tipoKey(tipo)}|${hora}`;
+  const lockRef = complejoRef.collection('slots').doc(key);
+  await tx.get(lockRef);
+
+  const { total, motivo } = slotTotal(complejo, { fecha, hora, tipo });
+
+  const reservasRef = complejoRef.collection('reservas');
+  const snap = await tx.get(reservasRef
+    .where('fecha', '==', String(fecha))
+    .where('hora', '==', String(hora))
+    .where('tipo', 'in', normalizeTipoVariants(tipo)));
+
+  const now = Date.now();
+  const ocupan = snap.docs.filter((d) => d.id !== excludeId && occupiesSlot(d.data(), now));
+  const ocupadas = ocupan.length;
+
+  return {
+    key,
+    complejo,
+    complejoRef,
+    reservasRef,
+    lockRef,
+    total,
+    ocupadas,
+    libres: Math.max(total - ocupadas, 0),
+    motivo,
+    // canchas con nombre: las en servicio y las que ya tienen reserva (ver pickCancha)
+    canchas: canchasEnServicio(complejo, { fecha, tipo }),
+    asignadas: new Set(ocupan.map((d) => d.data()?.cancha?.id).filter(Boolean)),
+  };
+}
+
+function touchSlotLock(tx, slot) {
+  tx.set(slot.lockRef, { key: slot.key, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+}
+
+/* ============================================================
+   Disponibilidad: GET /complejos/:id/availability
+   ============================================================
+   ?fecha=YYYY-MM-DD  o  ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD  [&tipo=5]
+   Usa las mismas reglas que readSlotCapacity (slotTotal + occupiesSlot). */
+const AVAILABILITY_MAX_DAYS = 31;
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** YYYY-MM-DD que además existe (2026-02-30 no). */
+function isFecha(v) {
+  const s = String(v ?? '');
+  if (!FECHA_RE.test(s)) return false;
+  const t = Date.parse(`${s}T00:00:00Z`);
+  return Number.isFinite(t) && new Date(t).toISOString().slice(0, 10) === s;
+}
+
+/** Días de desde a hasta, ambos incluidos, sin armar la lista (para validar el rango antes de eachFecha). */
+function diasEnRango(desde, hasta) {
+  return Math.round((Date.parse(`${hasta}T00:00:00Z`) - Date.parse(`${desde}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+function eachFecha(desde, hasta) {
+  const out = [];
+  const end = new Date(`${hasta}T00:00:00Z`).getTime();
+  for (let t = new Date(`${desde}T00:00:00Z`).getTime(); t <= end; t += 24 * 60 * 60 * 1000) {
+    out.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+function horasDelDia(complejo, fecha) {
+  const cfg = horarioDelDia(complejo, fecha);
+  const horario = cfg === undefined ? DEFAULT_HORARIO : cfg;
+  if (!horario || horario.cerrado) return [];
+  const out = [];
+  for (let m = toMinutes(horario.desde); m < toMinutes(horario.hasta); m += 60) {
+    out.push(`${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`);
+  }
+  return out;
+}
+
+app.get('/complejos/:id/availability', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { fecha, tipo } = req.query || {};
+    const desde = String(req.query?.desde || fecha || '');
+    const hasta = String(req.query?.hasta || fecha || desde);
+
+    if (!isFecha(desde) || !isFecha(hasta) || hasta < desde) {
+      return res.status(400).json({ error: true, message: 'Fecha inválida (usar fecha o desde/hasta YYYY-MM-DD)' });
+    }
+    if (diasEnRango(desde, hasta) > AVAILABILITY_MAX_DAYS) {
+      return res.status(400).json({ error: true, message: `Rango máximo: ${AVAILABILITY_MAX_DAYS} días` });
+    }
+    const fechas = eachFecha(desde, hasta);
+
+    const complejoRef = db.collection('complejos').doc(String(id));
+    const complejoSnap = await complejoRef.get();
+    if (!complejoSnap.exists) return res.status(404).json({ error: true, message: 'Complejo no encontrado' });
+    const complejo = complejoSnap.data() || {};
+
+    const tipos = tipo != null && tipo !== ''
+      ? [tipoKey(tipo)]
+      : Object.keys(complejo.canchas || {});
+
+    // ocupación: una sola query por rango, agrupada por fecha|tipo|hora
+    const snap = await complejoRef.collection('reservas')
+      .where('fecha', '>=', desde)
+      .where('fecha', '<=', hasta)
+      .get();
+    const now = Date.now();
+    const ocupacion = new Map();
+    const asignadas = new Map();
+    snap.docs.forEach((d) => {
+      const r = d.data() || {};
+      if (!occupiesSlot(r, now)) return;
+      const k = `${r.fecha}|${tipoKey(r.tipo)}|${r.hora}`;
+      ocupacion.set(k, (ocupacion.get(k) || 0) + 1);
+      if (r.cancha?.id) asignadas.set(k, new Set([...(asignadas.get(k) || []), r.cancha.id]));
+    });
+
+    const dias = fechas.map((f) => {
+      const diaCerrado = closedReason(complejo, { fecha: f });
+      const slots = [];
+      for (const hora of horasDelDia(complejo, f)) {
+        for (const t of tipos) {
+          const { total, motivo } = slotTotal(complejo, { fecha: f, hora, tipo: t });
+          const k = `${f}|${t}|${hora}`;
+          const ocupadas = ocupacion.get(k) || 0;
+          const libres = Math.max(total - ocupadas, 0);
+          // con canchas con nombre: cuáles quedan (los holds todavía no tienen cancha)
+          const canchas = !motivo && canchasDelTipo(complejo, t).length
+            ? canchasEnServicio(complejo, { fecha: f, tipo: t })
+              .filter((c) => !asignadas.get(k)?.has(c.id))
+              .slice(0, libres)
+              .map((c) => ({ id: c.id, nombre: c.nombre }))
+            : null;
+          slots.push({
+            hora,
+            tipo: Number.isFinite(Number(t)) ? Number(t) : t,
+            total,
+            ocupadas,
+            libres,
+            ...(canchas ? { canchas_libres: canchas } : {}),
+            ...(motivo ? { motivo } : {}),
+          });
+        }
+      }
+      return { fecha: f, abierto: !diaCerrado, motivo: diaCerrado || undefined, slots };
+    });
+
+    res.json({ complejoId: id, desde, hasta, dias });
+  } catch (e) {
+    console.error('availability error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** Importes que viajan en la metadata de la preferencia de una reserva (los lee el webhook). */
+function reservaPreferenceMetadata({ price, fee, reservaId }) {
+  return {
+    payFull: price.payFull,
+    deposit_pct: price.payFull ? null : price.pct,
+
+    basePrice: price.basePrice,
+    base_fraction_amount: price.baseFractionAmount,
+    commission: fee.commission,
+    commission_rule: fee.rule,
+    total: Number((price.baseFractionAmount + fee.commission).toFixed(2)),
+    reservaId,
+    ...(price.recargo ? { recargo: price.recargo } : {}),
+    // bruto - descuento = total; lo lee la liquidación
+    ...(price.promo ? {
+      promo: { code: price.promo.code, absorbe: price.promo.absorbe },
+      bruto: price.promo.bruto,
+      descuento: price.promo.descuento,
+      descuento_complejo: price.promo.descuento_complejo,
+      descuento_plataforma: price.promo.descuento_plataforma,
+    } : {}),
+  };
+}
+
+/** Body de una preferencia de MP con las back_urls y el vencimiento comunes. */
+function preferenceBody({ external_reference, title, amount, payer = {}, expiresAt, metadata, notification_url }) {
+  return {
+    items: [
+      {
+        id: external_reference,
+        title,
+        quantity: 1,
+        currency_id: 'ARS',
+        unit_price: amount,
+      },
+    ],
+    payer,
+    external_reference,
+    notification_url: notification_url || `${PUBLIC_URL}/mp/webhook`,
+    back_urls: {
+      success: `${PUBLIC_URL}/mp/success`,
+      failure: `${PUBLIC_URL}/mp/failure`,
+      pending: `${PUBLIC_URL}/mp/pending`,
+    },
+    auto_return: 'approved',
+    // que MP no acepte pagos una vez vencido el plazo
+    expires: true,
+    expiration_date_to: new Date(expiresAt).toISOString(),
+    metadata,
+  };
+}
+
+/**
+ * Crea preferencia
+ * El importe se calcula en el backend; unit_price / deposit_pct del body se ignoran.
+ * Con `split` (cantidad de cuotas o { cuotas, jugadores, minutos }) se arma una
+ * preferencia por jugador; ver "Pagos divididos".
+ * `promo_code` aplica un código del complejo; ver "Códigos de descuento".
+ */
+app.post('/mp/create-preference', authenticate, async (req, res) => {
+  try {
+    const {
+      title = 'Reserva',
+      notification_url,
+      payer = {},
+      payFull = false,
+
+      // extras
+      complejoId,
+      name,
+      fecha,
+      hora,
+      tipo,
+    } = req.body || {};
+    // la reserva queda a nombre del usuario del token, no del body
+    const userId = req.user.uid;
+    const userEmail = req.user.email || req.body?.userEmail || null;
+
+    if (!complejoId || !fecha || !hora || tipo == null) {
+      return res.status(400).json({ error: true, message: 'Faltan complejoId, fecha, hora o tipo' });
+    }
+    if (req.body?.unit_price != null || req.body?.deposit_pct != null) {
+      console.warn('[create-preference] se ignoran importes enviados por el cliente', {
+        unit_price: req.body.unit_price,
+        deposit_pct: req.body.deposit_pct,
+      });
+    }
+
+    const split = parseSplit(req.body?.split, { fecha, hora });
+    if (split?.error) return res.status(400).json({ error: true, message: split.error });
+    const promoCode = req.body?.promo_code ? normalizePromoCode(req.body.promo_code) : null;
+    if (promoCode != null && !PROMO_CODE_RE.test(promoCode)) {
+      return res.status(422).json({ error: true, reason: 'promo', message: 'Código inexistente o desactivado' });
+    }
+
+    // hold atómico: crea la reserva pending solo si hay cupo (y descuenta el uso del código)
+    const hold = await db.runTransaction(async (tx) => {
+      const slot = await readSlotCapacity(tx, { complejoId, fecha, hora, tipo });
+      const promoSnap = promoCode ? await tx.get(promoRef(complejoId, promoCode)) : null;
+
+      let price = computeReservaPrice({ complejo: slot.complejo, tipo, fecha, hora, payFull });
+      if (!price) return { ok: false, reason: 'price' };
+      if (slot.libres <= 0) {
+        return { ok: false, reason: 'capacity', total: slot.total, ocupadas: slot.ocupadas, motivo: slot.motivo };
+      }
+
+      let fee = computeCommission({
+        complejo: slot.complejo,
+        kind: price.payFull ? 'full' : 'deposit',
+        amount: price.baseFractionAmount,
+      });
+
+      const promo = promoSnap?.data();
+      if (promoCode) {
+        const motivo = promoRejection(promo, { tipo, fecha });
+        if (motivo) return { ok: false, reason: 'promo', message: motivo };
+        ({ price, fee } = applyPromo({ complejo: slot.complejo, code: promoCode, promo, price, fee }));
+        if (price.baseFractionAmount + fee.commission <= 0) {
+          return { ok: false, reason: 'promo', message: 'El código no puede cubrir el total del cobro' };
+        }
+        tx.set(promoSnap.ref, {
+          usos: (Number(promo.usos) || 0) + 1,
+          ...(promo.usos_restantes != null ? { usos_restantes: Number(promo.usos_restantes) - 1 } : {}),
+          updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+      }
+
+      // en grupo el hold dura hasta el deadline de las cuotas
+      const holdUntil = Timestamp.fromMillis(split ? split.deadline : Date.now() + HOLD_MINUTES * 60 * 1000);
+      const resRef = slot.reservasRef.doc();
+      const cuotas = split ? buildCuotas({ split, price, fee }) : null;
+      tx.set(resRef, {
+        key: `${fecha}|${tipo}|${hora}`,
+        fecha: String(fecha),
+        hora: String(hora),
+        tipo: Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo),
+        userId: String(userId),
+        nombre: name || null,
+        email: userEmail || null,
+        estado: 'pending',
+        holdUntil,
+        precio: price.basePrice,
+        // vale recién cuando se confirma; el resto se cobra con /saldo
+        saldo_pendiente: computeSaldo(price.basePrice, price.baseFractionAmount),
+        ...(price.recargo ? { recargo: price.recargo } : {}),
+        ...(price.promo ? { promo: { ...price.promo, liberada: false } } : {}),
+        createdAt: FieldValue.serverTimestamp(),
+        createdBy: String(userId),
+        channel: 'mp',
+        ...(split ? {
+          split: {
+            cuotas: split.cuotas,
+            requerido: price.baseFractionAmount,
+            comision: fee.commission,
+            basePrice: price.basePrice,
+            payFull: price.payFull,
+            deposit_pct: price.payFull ? null : price.pct,
+            deadline: holdUntil,
+            pagado: 0,
+            cobrado: 0,
+            pagadas: 0,
+          },
+        } : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'reserva',
+        entidadId: resRef.id,
+        reservaId: resRef.id,
+        accion: 'creada',
+        actor: actorOf(req.user, complejoId),
+        antes: null,
+        despues: auditReserva({ estado: 'pending', holdUntil, precio: price.basePrice, saldo_pendiente: computeSaldo(price.basePrice, price.baseFractionAmount) }),
+        detalle: {
+          channel: 'mp',
+          ...(split ? { cuotas: split.cuotas } : {}),
+          ...(price.promo ? { promo_code: price.promo.code } : {}),
+        },
+      });
+      for (const c of cuotas || []) {
+        tx.set(resRef.collection('cuotas').doc(String(c.n)), {
+          ...c,
+          estado: 'pendiente',
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      }
+      touchSlotLock(tx, slot);
+
+      return { ok: true, price, fee, reservaId: resRef.id, resRef, holdUntil, cuotas };
+    });
+
+    if (!hold.ok && hold.reason === 'price') {
+      return res.status(422).json({ error: true, message: 'El complejo no tiene precio configurado para ese turno' });
+    }
+    if (!hold.ok && hold.reason === 'promo') {
+      return res.status(422).json({ error: true, reason: 'promo', message: hold.message });
+    }
+    if (!hold.ok && hold.reason === 'capacity') {
+      return res.status(409).json({
+        error: true,
+        message: 'Sin disponibilidad',
+        total: hold.total,
+        ocupadas: hold.ocupadas,
+        libres: 0,
+        motivo: hold.motivo || undefined,
+      });
+    }
+
+    const { price, fee } = hold;
+    const base = price.basePrice;
+    const pct = price.pct;
+    const baseFractionAmount = price.baseFractionAmount;
+    const { commission } = fee;
+    const chargedAmount = reservaPreferenceMetadata({ price, fee }).total;
+    const external_reference = `${complejoId}|${fecha}|${tipoKey(tipo)}|${hora}|${hold.reservaId}`;
+
+    const buildBody = ({ ref, itemTitle, amount, itemPayer, metadata }) => preferenceBody({
+      external_reference: ref,
+      title: itemTitle,
+      amount,
+      payer: itemPayer,
+      notification_url,
+      expiresAt: hold.holdUntil.toMillis(),
+      metadata: {
+        ...reservaPreferenceMetadata({ price, fee, reservaId: hold.reservaId }),
+        complejoId, name, fecha, hora, tipo, priceNum: base, userId, userEmail,
+        ...metadata,
+      },
+    });
+
+    // si MP falla liberamos el cupo (y el uso del código) enseguida en vez de esperar al sweep
+    const releaseHold = () => {
+      const batch = db.batch();
+      batch.set(hold.resRef, { estado: 'expirada', holdUntil: null, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      writeAudit(batch, {
+        complejoId, entidad: 'reserva', entidadId: hold.reservaId, accion: 'expirada',
+        actor: actorOf(req.user, complejoId),
+        antes: { estado: 'pending' }, despues: { estado: 'expirada', holdUntil: null },
+        detalle: { motivo: 'falló la preferencia de MP' },
+      });
+      return batch.commit()
+        .then(() => (price.promo ? releasePromoUse({ complejoId, reservaId: hold.reservaId }) : null))
+        .catch(() => {});
+    };
+
+    const common = {
+      reservaId: hold.reservaId,
+      hold_until: hold.holdUntil.toDate().toISOString(),
+      pct_applied: price.payFull ? 100 : pct,
+      base_price: base,
+      charged_amount: chargedAmount,
+      base_fraction_amount: baseFractionAmount,
+      commission,
+      // compat: versiones viejas de la app leen commission_fixed
+      commission_fixed: commission,
+      ...(price.recargo ? { recargo: price.recargo } : {}),
+      ...(price.promo ? {
+        promo: {
+          code: price.promo.code,
+          absorbe: price.promo.absorbe,
+          bruto: price.promo.bruto,
+          descuento: price.promo.descuento,
+          neto: chargedAmount,
+          precio_lista: price.promo.precio_lista,
+          descuento_turno: price.promo.descuento_turno,
+        },
+      } : {}),
+    };
+
+    if (hold.cuotas) {
+      const links = [];
+      try {
+        for (const c of hold.cuotas) {
+          const r = await payments.createPreference(buildBody({
+            ref: `${external_reference}|${c.n}`,
+            itemTitle: `${title} (cuota ${c.n}/${hold.cuotas.length})`,
+            amount: c.monto,
+            itemPayer: c.jugador?.email ? { email: c.jugador.email, name: c.jugador.nombre || undefined } : {},
+            metadata: c.metadata,
+          }));
+          links.push({ n: c.n, monto: c.monto, jugador: c.jugador, id: r.id, init_point: r.init_point, sandbox_init_point: r.sandbox_init_point });
+        }
+      } catch (err) {
+        await releaseHold();
+        throw err;
+      }
+
+      await Promise.all(links.map((l) => hold.resRef.collection('cuotas').doc(String(l.n)).set({
+        mp_preference_id: l.id,
+        init_point: l.init_point,
+        sandbox_init_point: l.sandbox_init_point || null,
+      }, { merge: true })));
+
+      return res.status(200).json({ ...common, split: { cuotas: links.length, deadline: common.hold_until, links } });
+    }
+
+    let result;
+    try {
+      result = await payments.createPreference(
+        buildBody({ ref: external_reference, itemTitle: title, amount: chargedAmount, itemPayer: payer }),
+      );
+    } catch (err) {
+      await releaseHold();
+      throw err;
+    }
+
+    await hold.resRef.set({ mp_preference_id: result.id }, { merge: true });
+
+    return res.status(200).json({
+      id: result.id,
+      init_point: result.init_point,
+      sandbox_init_point: result.sandbox_init_point,
+      ...common,
+    });
+  } catch (err) {
+    console.error('create-preference error:', err);
+    return res.status(500).json({ error: true, message: String(err?.message || err) });
+  }
+});
+
+/* ============================================================
+   Vencimiento de holds
+   ============================================================
+   El cupo de un hold vencido ya no cuenta (ver occupiesSlot); el sweep
+   además pasa esas reservas a `expirada` para que no queden colgadas.
+   En las grupales que vencen sin completarse devuelve las cuotas pagas (y
+   reintenta las devoluciones que fallaron, split.reembolso_pendiente).
+   Cada hold vencido devuelve el uso de su código de descuento y le ofrece
+   el slot al siguiente de la lista de espera.
+   Se puede llamar desde un cron externo o activar el timer interno con
+   HOLD_SWEEP_INTERVAL_MS. */
+async function sweepExpiredHolds({ limit = 200 } = {}) {
+  const now = Timestamp.now();
+  const snap = await db.collectionGroup('reservas')
+    .where('estado', 'in', PENDING_STATES)
+    .where('holdUntil', '<=', now)
+    .limit(limit)
+    .get();
+
+  let expiradas = 0;
+  const grupales = [];
+  for (const d of snap.docs) {
+    const expirada = await db.runTransaction(async (tx) => {
+      const cur = await tx.get(d.ref);
+      const r = cur.data() || {};
+      if (!canTransition(r.estado, 'expirada') || occupiesSlot(r)) return null;
+      const cobrado = Number(r.split?.cobrado) || 0;
+      writeAudit(tx, {
+        complejoId: d.ref.parent.parent.id,
+        entidad: 'reserva',
+        entidadId: d.id,
+        reservaId: d.id,
+        accion: 'expirada',
+        actor: ACTOR_SWEEP,
+        antes: auditReserva(r),
+        despues: auditReserva({ ...r, estado: 'expirada' }),
+        ...(cobrado > 0 ? { detalle: { split_cobrado: cobrado } } : {}),
+      });
+      tx.set(d.ref, {
+        estado: 'expirada',
+        expiredAt: FieldValue.serverTimestamp(),
+        ...(cobrado > 0 ? {
+          split: { reembolso_pendiente: true },
+          reembolso: { estado: 'procesando', monto: cobrado, politica: 'grupo_incompleto', manual: false },
+        } : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return r;
+    });
+    if (!expirada) continue;
+    expiradas += 1;
+
+    // el slot pasa al siguiente de la lista de espera
+    const complejoId = d.ref.parent.parent.id;
+    if (expirada.promo) await releasePromoUse({ complejoId, reservaId: d.id });
+    await closeWaitlistOffer({ complejoId, reserva: expirada, estado: 'vencida', motivo: 'no pagó a tiempo' })
+      .catch((e) => console.warn('[waitlist] close warn:', e?.message || e));
+    await offerFreedSlot({ complejoId, fecha: expirada.fecha, hora: expirada.hora, tipo: expirada.tipo });
+  }
+
+  const pendientes = await db.collectionGroup('reservas')
+    .where('split.reembolso_pendiente', '==', true)
+    .limit(limit)
+    .get();
+  for (const d of pendientes.docs) {
+    const r = d.data() || {};
+    // las canceladas se reintentan desde /cancel, con su política de devolución
+    if (!['expirada', 'sin_cupo'].includes(r.estado)) continue;
+    const out = await refundSplitCuotas({
+      complejoId: d.ref.parent.parent.id, reservaId: d.id, fecha: r.fecha, kind: 'split_vencido',
+    });
+    grupales.push({ reservaId: d.id, ok: out.ok, monto: out.monto });
+  }
+  return { revisadas: snap.size, expiradas, reembolsos_grupales: grupales };
+}
+
+app.post('/holds/sweep', authenticate, requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, ...(await sweepExpiredHolds()) });
+  } catch (e) {
+    console.error('holds/sweep error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+const HOLD_SWEEP_INTERVAL_MS = Number(process.env.HOLD_SWEEP_INTERVAL_MS) || 0;
+if (HOLD_SWEEP_INTERVAL_MS > 0) {
+  setInterval(() => {
+    sweepExpiredHolds().catch((e) => console.warn('[holds] sweep warn:', e?.message || e));
+  }, HOLD_SWEEP_INTERVAL_MS).unref();
+}
+
+/* ============================================================
+   Estados de reserva y transiciones permitidas
+   ============================================================
+   pending/pendiente  hold activo esperando el pago
+   confirmada         pago aprobado (o check manual aprobado)
+   rechazada          el pago fue rechazado/cancelado en MP; libera el cupo
+   expirada           venció el hold sin pago
+   sin_cupo           pago aprobado tarde, el slot ya estaba ocupado (se devuelve solo)
+   cancelada          cancelada por el jugador o el complejo
+   reembolsada        MP devolvió el pago
+   contracargo        el pagador desconoció el pago con la tarjeta
+   Un pago aprobado tarde puede confirmar una reserva expirada o rechazada
+   (MP deja reintentar con otro medio sobre la misma preferencia). */
+const RESERVA_TRANSITIONS = {
+  pending: ['confirmada', 'rechazada', 'expirada', 'sin_cupo', 'cancelada'],
+  pendiente: ['confirmada', 'rechazada', 'expirada', 'sin_cupo', 'cancelada'],
+  expirada: ['confirmada', 'rechazada', 'sin_cupo'],
+  rechazada: ['confirmada', 'sin_cupo'],
+  confirmada: ['cancelada', 'reembolsada', 'contracargo'],
+  sin_cupo: ['reembolsada', 'contracargo'],
+  cancelada: ['reembolsada', 'contracargo'],
+  reembolsada: [],
+  contracargo: [],
+};
+
+function canTransition(from, to) {
+  return (RESERVA_TRANSITIONS[from] || []).includes(to);
+}
+
+// status de MP → estado de la reserva (null = solo se actualiza pago.status)
+const MP_STATUS_TO_ESTADO = {
+  approved: 'confirmada',
+  authorized: null,
+  pending: null,
+  in_process: null,
+  in_mediation: null,
+  rejected: 'rechazada',
+  cancelled: 'rechazada',
+  refunded: 'reembolsada',
+  charged_back: 'contracargo',
+};
+
+// estados que revierten la línea de liquidación del pago
+const REVERSAL_KIND = {
+  reembolsada: 'refund',
+  contracargo: 'chargeback',
+};
+
+/* ============================================================
+   Auditoría
+   ============================================================
+   auditoria/{id}: una entrada por cambio de estado, solo se crea; ningún
+   endpoint la modifica ni la borra. Se escribe con la misma
+   transacción o batch que el cambio: no hay cambio sin entrada.
+     { at, complejoId, entidad: reserva | check | liquidacion | payout,
+       entidadId, reservaId, accion, origen, actor, mp_payment_id,
+       antes, despues, detalle }
+   origen: webhook | sweep | reconcile | staff | admin | jugador | check-bot
+   (tokens con claim bot) | sistema. actor: uid del token, null si no hubo uno. */
+const ACTOR_WEBHOOK = { origen: 'webhook', uid: null };
+const ACTOR_SWEEP = { origen: 'sweep', uid: null };
+const ACTOR_SISTEMA = { origen: 'sistema', uid: null };
+const ACTOR_RECONCILE = { origen: 'reconcile', uid: null };
+
+function actorOf(user, complejoId, { bot = 'bot' } = {}) {
+  if (!user) return ACTOR_SISTEMA;
+  let origen = 'jugador';
+  if (user.bot) origen = bot;
+  else if (user.admin) origen = 'admin';
+  else if (complejoId && isStaffOf(user, complejoId)) origen = 'staff';
+  return { origen, uid: user.uid || null };
+}
+
+/** Lo que se audita de una reserva (sin sentinels de FieldValue). */
+function auditReserva(r) {
+  if (!r) return null;
+  return {
+    estado: r.estado ?? null,
+    holdUntil: r.holdUntil ?? null,
+    precio: r.precio ?? null,
+    saldo_pendiente: r.saldo_pendiente ?? null,
+    pago_status: r.pago?.status ?? null,
+    mp_payment_id: r.pago?.mp_payment_id ?? null,
+    monto: r.pago?.amount_total ?? r.pago?.amount ?? null,
+    cancha: r.cancha?.id ?? null,
+  };
+}
+
+const AUDIT_DAY_FIELDS = ['count_total', 'sum_total_charged', 'sum_commission', 'sum_base_fraction', 'sum_net_to_complex'];
+
+/** Totales del día de liquidación, con `delta` aplicado. */
+function auditDay(day, delta = {}) {
+  return Object.fromEntries(AUDIT_DAY_FIELDS.map((f) => [f, round2((Number(day?.[f]) || 0) + (Number(delta[f]) || 0))]));
+}
+
+/** Agrega la entrada a `w` (transacción o batch). */
+function writeAudit(w, { complejoId, entidad, entidadId, reservaId = null, accion, actor = ACTOR_SISTEMA, mp_payment_id = null, antes = null, despues = null, detalle = null }) {
+  w.create(db.collection('auditoria').doc(), {
+    at: FieldValue.serverTimestamp(),
+    complejoId: complejoId != null ? String(complejoId) : null,
+    entidad,
+    entidadId: String(entidadId),
+    reservaId: reservaId != null ? String(reservaId) : (entidad === 'reserva' ? String(entidadId) : null),
+    accion,
+    origen: actor.origen,
+    actor: actor.uid ?? null,
+    mp_payment_id: mp_payment_id != null ? String(mp_payment_id) : null,
+    antes,
+    despues,
+    detalle,
+  });
+}
+
+/**
+ * Consulta de la auditoría. Query: complejoId | reservaId (uno de los dos),
+ * desde, hasta (YYYY-MM-DD), entidad, limit.
+ */
+app.get('/admin/auditoria', authenticate, async (req, res) => {
+  try {
+    const { complejoId, reservaId, desde, hasta, entidad } = req.query || {};
+    if (!complejoId && !reservaId) return res.status(400).json({ error: true, message: 'Falta complejoId o reservaId' });
+    for (const f of [desde, hasta]) {
+      if (f != null && !isFecha(f)) return res.status(400).json({ error: true, message: 'desde/hasta deben ser YYYY-MM-DD' });
+    }
+    // staff ve lo de su complejo; sin complejoId (solo reservaId) es solo para admin
+    if (!(complejoId ? isStaffOf(req.user, complejoId) : req.user.admin)) {
+      return res.status(403).json({ error: true, message: 'Sin permisos sobre este complejo' });
+    }
+    const limit = Math.min(Number(req.query?.limit) || 100, 500);
+
+    let q = db.collection('auditoria');
+    if (complejoId) q = q.where('complejoId', '==', String(complejoId));
+    if (reservaId) q = q.where('reservaId', '==', String(reservaId));
+    if (entidad) q = q.where('entidad', '==', String(entidad));
+    if (desde) q = q.where('at', '>=', new Date(`${desde}T00:00:00.000${TZ_OFFSET}`));
+    if (hasta) q = q.where('at', '<=', new Date(`${hasta}T23:59:59.999${TZ_OFFSET}`));
+    const snap = await q.orderBy('at', 'desc').limit(limit).get();
+
+    res.json({
+      ok: true,
+      items: snap.docs.map((d) => {
+        const x = d.data();
+        return { id: d.id, ...x, at: x.at ? new Date(toMillis(x.at)).toISOString() : null };
+      }),
+    });
+  } catch (e) {
+    console.error('auditoria error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* ============================================================
+   Liquidación diaria (idempotente por pago/operación)
+   ============================================================ */
+// Un día ya incluido en un lote de pago no se modifica: las líneas nuevas quedan como ajuste
+function isDayInPayout(day) {
+  return !!(day?.pagado || day?.payoutId);
+}
+
+/* desglose del día por origen del cobro (sin saldos, que van en sum_saldo_*):
+   deposit = seña online, full = pago total online, manual = check verificado.
+   Los días creados antes del desglose no lo tienen; se arma desde las líneas. */
+const CATEGORIAS_INGRESO = ['deposit', 'full', 'manual'];
+
+function categoriaIngreso({ manual, payFull }) {
+  if (manual) return 'manual';
+  return payFull ? 'full' : 'deposit';
+}
+
+async function upsertDailySettlement({ complejoId, fecha, paymentInfo, actor = ACTOR_WEBHOOK }) {
+  if (!complejoId || !fecha || !paymentInfo) return;
+  const {
+    id: mp_payment_id,
+    status,
+    transaction_amount,
+    metadata = {},
+  } = paymentInfo;
+
+  const isFull = !!metadata?.payFull;
+  // cobro del saldo: online (MP) o en el complejo; no cuenta como seña ni pago total
+  const saldo = metadata?.concepto === 'saldo' ? (metadata.cobrado_en === 'complejo' ? 'complejo' : 'online') : null;
+  // commission_fixed: preferencias creadas antes de las comisiones por complejo
+  const commission = Number(metadata?.commission ?? metadata?.commission_fixed ?? 0) || 0;
+  const baseFraction = Number(metadata?.base_fraction_amount ?? metadata?.manual_amount ?? 0) || 0;
+  const totalCharged = Number(metadata?.total ?? transaction_amount ?? baseFraction) || 0;
+  // código de descuento: bruto - descuento = total_charged
+  const descuento = metadata?.promo ? {
+    complejo: Number(metadata.descuento_complejo) || 0,
+    plataforma: Number(metadata.descuento_plataforma) || 0,
+  } : null;
+
+  const dayDoc = db.collection('liquidaciones')
+    .doc(String(complejoId))
+    .collection('days')
+    .doc(String(fecha));
+
+  const pagoDoc = dayDoc.collection('pagos').doc(String(mp_payment_id));
+
+  await db.runTransaction(async (tx) => {
+    // Firestore exige todas las lecturas antes de cualquier escritura
+    const pagoSnap = await tx.get(pagoDoc);
+    if (pagoSnap.exists) return;
+    const daySnap = await tx.get(dayDoc);
+    const afterPayout = isDayInPayout(daySnap.data());
+    const conDesglose = !daySnap.exists || !!daySnap.data()?.desglose;
+    const categoria = saldo ? null : categoriaIngreso({ manual: metadata?.manual, payFull: isFull });
+
+    writeAudit(tx, {
+      complejoId,
+      entidad: 'liquidacion',
+      entidadId: `${fecha}/${mp_payment_id}`,
+      reservaId: metadata?.reservaId ?? null,
+      accion: 'linea',
+      actor,
+      mp_payment_id: metadata?.mp_payment_id ?? mp_payment_id,
+      antes: auditDay(daySnap.data()),
+      despues: auditDay(daySnap.data(), {
+        count_total: 1,
+        sum_total_charged: totalCharged,
+        sum_commission: commission,
+        sum_base_fraction: baseFraction,
+        sum_net_to_complex: baseFraction,
+      }),
+      detalle: { total_charged: totalCharged, commission, base_fraction: baseFraction, concepto: saldo ? 'saldo' : 'reserva', after_payout: afterPayout },
+    });
+    tx.set(pagoDoc, {
+      mp_payment_id,
+      status,
+      createdAt: FieldValue.serverTimestamp(),
+      total_charged: totalCharged,
+      commission,
+      commission_rule: metadata?.commission_rule ?? null,
+      base_fraction: baseFraction,
+      payFull: isFull,
+      deposit_pct: isFull ? null : (Number(metadata?.deposit_pct ?? 0) || null),
+      manual: !!metadata?.manual,
+      after_payout: afterPayout,
+      ...(saldo ? { concepto: 'saldo', cobrado_en: saldo, reservaId: metadata.reservaId ?? null } : {}),
+      ...(metadata?.serieId ? { serieId: metadata.serieId, reservaId: metadata.reservaId ?? null, mp_payment: metadata.mp_payment_id ?? null } : {}),
+      ...(metadata?.split ? { reservaId: metadata.reservaId ?? null, cuota: metadata.cuota ?? null, cuotas: metadata.cuotas ?? null } : {}),
+      ...(descuento ? {
+        promo_code: metadata.promo.code ?? null,
+        descuento_absorbe: metadata.promo.absorbe ?? null,
+        bruto: round2(totalCharged + descuento.complejo + descuento.plataforma),
+        descuento: round2(descuento.complejo + descuento.plataforma),
+        descuento_complejo: descuento.complejo,
+        descuento_plataforma: descuento.plataforma,
+      } : {}),
+    });
+
+    if (!daySnap.exists) {
+      tx.set(dayDoc, {
+        complejoId,
+        fecha,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+        pagado: false,
+        pagadoAt: null,
+
+        count_total: 0,
+        count_full: 0,
+        count_deposit: 0,
+        sum_total_charged: 0,
+        sum_commission: 0,
+        sum_base_fraction: 0,
+        sum_net_to_complex: 0,
+        desglose: Object.fromEntries(CATEGORIAS_INGRESO.map((c) => [c, { count: 0, cobrado: 0, neto: 0 }])),
+      }, { merge: true });
+    }
+
+    tx.set(dayDoc, {
+      updatedAt: FieldValue.serverTimestamp(),
+      count_total: FieldValue.increment(1),
+      count_full: FieldValue.increment(!saldo && isFull ? 1 : 0),
+      count_deposit: FieldValue.increment(!saldo && !isFull ? 1 : 0),
+      ...(saldo ? {
+        [`count_saldo_${saldo}`]: FieldValue.increment(1),
+        [`sum_saldo_${saldo}`]: FieldValue.increment(totalCharged),
+      } : {}),
+      sum_total_charged: FieldValue.increment(totalCharged),
+      sum_commission: FieldValue.increment(commission),
+      sum_base_fraction: FieldValue.increment(baseFraction),
+      sum_net_to_complex: FieldValue.increment(baseFraction),
+      ...(descuento ? {
+        count_promo: FieldValue.increment(1),
+        sum_descuento_complejo: FieldValue.increment(descuento.complejo),
+        sum_descuento_plataforma: FieldValue.increment(descuento.plataforma),
+      } : {}),
+      ...(conDesglose && categoria ? {
+        desglose: { [categoria]: { count: FieldValue.increment(1), cobrado: FieldValue.increment(totalCharged), neto: FieldValue.increment(baseFraction) } },
+      } : {}),
+      ...(afterPayout ? { ajuste_pendiente: true } : {}),
+    }, { merge: true });
+  });
+}
+
+/**
+ * Revierte la línea de un pago con otra línea negativa en el mismo día
+ * (pagos/{mp_payment_id}_refund o _chargeback). Idempotente; si el pago nunca
+ * se liquidó no hace nada. `amounts` permite una reversión parcial
+ * (ej. cancelación tardía que retiene la seña); por defecto revierte todo.
+ */
+async function reverseDailySettlement({ complejoId, fecha, mp_payment_id, kind, status, amounts, extra = {}, actor = ACTOR_WEBHOOK }) {
+  if (!complejoId || !fecha || !mp_payment_id || !kind) return { ok: false };
+
+  const dayDoc = db.collection('liquidaciones')
+    .doc(String(complejoId))
+    .collection('days')
+    .doc(String(fecha));
+  const origDoc = dayDoc.collection('pagos').doc(String(mp_payment_id));
+  // cancelación y devolución de MP comparten id para no descontar dos veces
+  const revDoc = dayDoc.collection('pagos').doc(`${mp_payment_id}_${kind === 'chargeback' ? 'chargeback' : 'refund'}`);
+
+  return db.runTransaction(async (tx) => {
+    const [origSnap, revSnap, daySnap] = [await tx.get(origDoc), await tx.get(revDoc), await tx.get(dayDoc)];
+    // la reserva cambió (devolución, contracargo) aunque no haya línea que revertir
+    tx.delete(statsDiaRef(complejoId, fecha));
+    if (!origSnap.exists) return { ok: false, reason: 'not_settled' };
+    if (revSnap.exists) return { ok: true, already: true };
+
+    const o = origSnap.data() || {};
+    const totalCharged = Number(amounts?.total_charged ?? o.total_charged) || 0;
+    const commission = Number(amounts?.commission ?? o.commission) || 0;
+    const baseFraction = Number(amounts?.base_fraction ?? o.base_fraction) || 0;
+
+    writeAudit(tx, {
+      complejoId,
+      entidad: 'liquidacion',
+      entidadId: `${fecha}/${revDoc.id}`,
+      reservaId: o.reservaId ?? extra.reservaId ?? null,
+      accion: kind,
+      actor,
+      mp_payment_id: o.mp_payment ?? mp_payment_id,
+      antes: auditDay(daySnap.data()),
+      despues: auditDay(daySnap.data(), {
+        count_total: -1,
+        sum_total_charged: -totalCharged,
+        sum_commission: -commission,
+        sum_base_fraction: -baseFraction,
+        sum_net_to_complex: -baseFraction,
+      }),
+      detalle: { reverses: String(mp_payment_id), total_charged: -totalCharged, commission: -commission, base_fraction: -baseFraction, parcial: !!amounts },
+    });
+    tx.set(revDoc, {
+      mp_payment_id,
+      reverses: String(mp_payment_id),
+      kind,
+      status: status || kind,
+      createdAt: FieldValue.serverTimestamp(),
+      total_charged: -totalCharged,
+      commission: -commission,
+      base_fraction: -baseFraction,
+      payFull: !!o.payFull,
+      deposit_pct: o.deposit_pct ?? null,
+      manual: !!o.manual,
+      // si el día ya estaba en un lote de pago, va como ajuste en el próximo
+      after_payout: isDayInPayout(daySnap.data()),
+      ...(o.concepto ? { concepto: o.concepto, cobrado_en: o.cobrado_en ?? null } : {}),
+      // el descuento se revierte solo si se revierte el cobro entero
+      ...(o.promo_code ? {
+        promo_code: o.promo_code,
+        descuento_absorbe: o.descuento_absorbe ?? null,
+        ...(amounts ? {} : {
+          bruto: -(Number(o.bruto) || 0),
+          descuento: -(Number(o.descuento) || 0),
+          descuento_complejo: -(Number(o.descuento_complejo) || 0),
+          descuento_plataforma: -(Number(o.descuento_plataforma) || 0),
+        }),
+      } : {}),
+      ...extra,
+    });
+
+    const saldo = o.concepto === 'saldo' ? o.cobrado_en : null;
+    const categoria = saldo ? null : categoriaIngreso(o);
+    tx.set(dayDoc, {
+      updatedAt: FieldValue.serverTimestamp(),
+      count_total: FieldValue.increment(-1),
+      count_full: FieldValue.increment(!saldo && o.payFull ? -1 : 0),
+      count_deposit: FieldValue.increment(!saldo && !o.payFull ? -1 : 0),
+      ...(saldo ? {
+        [`count_saldo_${saldo}`]: FieldValue.increment(-1),
+        [`sum_saldo_${saldo}`]: FieldValue.increment(-totalCharged),
+      } : {}),
+      count_reversed: FieldValue.increment(1),
+      sum_total_charged: FieldValue.increment(-totalCharged),
+      sum_commission: FieldValue.increment(-commission),
+      sum_base_fraction: FieldValue.increment(-baseFraction),
+      sum_net_to_complex: FieldValue.increment(-baseFraction),
+      ...(o.promo_code && !amounts ? {
+        count_promo: FieldValue.increment(-1),
+        sum_descuento_complejo: FieldValue.increment(-(Number(o.descuento_complejo) || 0)),
+        sum_descuento_plataforma: FieldValue.increment(-(Number(o.descuento_plataforma) || 0)),
+      } : {}),
+      ...(daySnap.data()?.desglose && categoria ? {
+        desglose: { [categoria]: { count: FieldValue.increment(-1), cobrado: FieldValue.increment(-totalCharged), neto: FieldValue.increment(-baseFraction) } },
+      } : {}),
+      ...(isDayInPayout(daySnap.data()) ? { ajuste_pendiente: true } : {}),
+    }, { merge: true });
+
+    return { ok: true };
+  });
+}
+
+function buildPagoFromPayment(info) {
+  const m = info?.metadata || {};
+  return {
+    mp_payment_id: info.id,
+    status: info.status,
+    status_detail: info.status_detail || null,
+    date_approved: info.date_approved || (info.status === 'approved' ? FieldValue.serverTimestamp() : null),
+    amount: info.transaction_amount,
+    amount_base: m.basePrice ?? null,
+    amount_base_fraction: m.base_fraction_amount ?? null,
+    commission: m.commission ?? m.commission_fixed ?? COMMISSION_FIXED,
+    amount_total: m.total ?? info.transaction_amount,
+    payFull: m.payFull ?? null,
+    deposit_pct: m.deposit_pct ?? null,
+    ...(m.promo ? { promo_code: m.promo.code ?? null, amount_gross: m.bruto ?? null, discount: m.descuento ?? null } : {}),
+    manual: false,
+  };
+}
+
+/**
+ * Confirma la reserva creada por /mp/create-preference. Se vuelve a chequear
+ * el cupo: si el hold venció y otro ocupó el slot, queda `sin_cupo`.
+ */
+async function confirmHeldReserva({ complejoId, reservaId, info }) {
+  return db.runTransaction(async (tx) => {
+    const resRef = db.collection('complejos').doc(String(complejoId))
+      .collection('reservas').doc(String(reservaId));
+    const snap = await tx.get(resRef);
+    if (!snap.exists) return { ok: false, reason: 'not_found' };
+
+    const r = snap.data() || {};
+    if (r.estado === 'confirmada') {
+      // reentrega del mismo pago: idempotente. Otro pago aprobado es un cobro doble
+      // (segundo pago de la preferencia, checkout reintentado): no se liquida, se devuelve
+      if (r.pago?.mp_payment_id != null && String(r.pago.mp_payment_id) === String(info.id)) return { ok: true, already: true };
+      return { ok: false, reason: 'duplicate', estado: r.estado };
+    }
+    // reentrega de un pago que ya se aplicó (ej. aprobado tras devolución parcial de una cancelación)
+    if (r.pago?.mp_payment_id != null && String(r.pago.mp_payment_id) === String(info.id)) {
+      // sin_cupo cuya devolución falló: la reentrega la reintenta
+      return { ok: false, reason: 'stale', estado: r.estado, reembolsoPendiente: r.estado === 'sin_cupo' && r.reembolso?.estado !== 'emitido' };
+    }
+    if (!canTransition(r.estado, 'confirmada')) {
+      return { ok: false, reason: 'transition', from: r.estado, otroPago: r.pago?.mp_payment_id != null };
+    }
+
+    // pago tarde sobre un hold que ya había devuelto el uso del código: se vuelve a descontar
+    const promoSnap = r.promo?.liberada ? await tx.get(promoRef(complejoId, r.promo.code)) : null;
+    const slot = await readSlotCapacity(tx, {
+      complejoId, fecha: r.fecha, hora: r.hora, tipo: r.tipo, excludeId: reservaId,
+    });
+    touchSlotLock(tx, slot);
+
+    const pago = buildPagoFromPayment(info);
+    const estado = slot.libres <= 0 ? 'sin_cupo' : 'confirmada';
+    const cancha = estado === 'confirmada' ? pickCancha(slot) : null;
+    writeAudit(tx, {
+      complejoId,
+      entidad: 'reserva',
+      entidadId: reservaId,
+      reservaId,
+      accion: estado,
+      actor: ACTOR_WEBHOOK,
+      mp_payment_id: info.id,
+      antes: auditReserva(r),
+      despues: auditReserva({ ...r, estado, pago, holdUntil: null, ...(cancha ? { cancha } : {}) }),
+    });
+
+    if (slot.libres <= 0) {
+      tx.set(resRef, {
+        estado: 'sin_cupo',
+        pago,
+        holdUntil: null,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { ok: false, reason: 'capacity' };
+    }
+
+    tx.set(resRef, {
+      estado: 'confirmada',
+      pago,
+      holdUntil: null,
+      confirmedAt: FieldValue.serverTimestamp(),
+      ...(cancha ? { cancha } : {}),
+      ...(promoSnap ? { promo: { liberada: false } } : {}),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    if (promoSnap?.exists) {
+      const p = promoSnap.data() || {};
+      tx.set(promoSnap.ref, {
+        usos: (Number(p.usos) || 0) + 1,
+        ...(p.usos_restantes != null ? { usos_restantes: Math.max(0, Number(p.usos_restantes) - 1) } : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+    return { ok: true, waitlistId: r.waitlistId };
+  });
+}
+
+/**
+ * Segundo pago aprobado sobre una reserva que ya tiene otro (confirmada, o
+ * cancelada con su propio reembolso): se devuelve entero (idempotente por
+ * pago) y queda registrado en `pagos_duplicados`.
+ */
+async function refundDuplicatePayment({ complejoId, reservaId, info }) {
+  const out = await payments.refund({ paymentId: info.id, idempotencyKey: `dup_${info.id}` })
+    .then((r) => ({ ok: true, refund_id: r?.id ?? null }), (e) => ({ ok: false, error: String(e?.message || e) }));
+
+  const resRef = db.collection('complejos').doc(String(complejoId)).collection('reservas').doc(String(reservaId));
+  const batch = db.batch();
+  batch.set(resRef, {
+    pagos_duplicados: {
+      [String(info.id)]: {
+        amount: info.transaction_amount ?? null,
+        estado: out.ok ? 'reembolsada' : 'error',
+        refund_id: out.refund_id ?? null,
+        error: out.error ?? null,
+      },
+    },
+    updatedAt: FieldValue.serverTimestamp(),
+  }, { merge: true });
+  writeAudit(batch, {
+    complejoId,
+    entidad: 'reserva',
+    entidadId: reservaId,
+    reservaId,
+    accion: 'pago_duplicado',
+    actor: ACTOR_WEBHOOK,
+    mp_payment_id: info.id,
+    detalle: { amount: info.transaction_amount ?? null, reembolso: out },
+  });
+  await batch.commit();
+  return out;
+}
+
+/**
+ * Pago aprobado que no consiguió turno: llegó tarde y el slot ya estaba
+ * ocupado (sin_cupo) o la reserva se había cancelado sin pago. Se devuelve
+ * entero (idempotente por pago) y queda en reserva.reembolso.
+ */
+async function refundUnservedPayment({ complejoId, reservaId, info, motivo }) {
+  const out = await payments.refund({ paymentId: info.id, idempotencyKey: `sin_turno_${info.id}` })
+    .then((r) => ({ ok: true, refund_id: r?.id ?? null }), (e) => ({ ok: false, error: String(e?.message || e) }));
+
+  const batch = db.batch();
+  batch.set(reservaRef(complejoId, reservaId), {
+    reembolso: {
+      estado: out.ok ? 'emitido' : 'error',
+      monto: round2(info.transaction_amount),
+      motivo,
+      mp_payment_id: info.id,
+      refund_id: out.refund_id ?? null,
+      emitidoAt: out.ok ? FieldValue.serverTimestamp() : null,
+      error: out.error ?? null,
+    },
+    updatedAt: FieldValue.serverTimestamp(),
+  }, { merge: true });
+  writeAudit(batch, {
+    complejoId,
+    entidad: 'reserva',
+    entidadId: reservaId,
+    reservaId,
+    accion: 'reembolso_sin_turno',
+    actor: ACTOR_WEBHOOK,
+    mp_payment_id: info.id,
+    detalle: { motivo, amount: info.transaction_amount ?? null, reembolso: out },
+  });
+  await batch.commit();
+  if (!out.ok) console.error('[WEBHOOK] falló la devolución de un pago sin turno:', reservaId, info.id, out.error);
+  return out;
+}
+
+// Referencias viejas (sin reservaId): la reserva pending la creó la app
+async function confirmLegacyPendingReserva({ complejoId, fecha, tipo, hora, info }) {
+  const reservasRef = db.collection('complejos').doc(complejoId).collection('reservas');
+  const snap = await reservasRef
+    .where('fecha', '==', fecha)
+    .where('tipo', '==', Number(tipo))
+    .where('hora', '==', hora)
+    .where('estado', 'in', PENDING_STATES)
+    .limit(1).get();
+
+  if (snap.empty) return { ok: false, reason: 'not_found' };
+
+  const d = snap.docs[0];
+  const pago = buildPagoFromPayment(info);
+  const batch = db.batch();
+  batch.set(d.ref, {
+    estado: 'confirmada',
+    pago,
+    confirmedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  }, { merge: true });
+  writeAudit(batch, {
+    complejoId,
+    entidad: 'reserva',
+    entidadId: d.id,
+    reservaId: d.id,
+    accion: 'confirmada',
+    actor: ACTOR_WEBHOOK,
+    mp_payment_id: info.id,
+    antes: auditReserva(d.data()),
+    despues: auditReserva({ ...d.data(), estado: 'confirmada', pago }),
+    detalle: { legacy: true },
+  });
+  await batch.commit();
+  return { ok: true, reservaId: d.id };
+}
+
+function paymentIdVariants(id) {
+  const out = [String(id)];
+  const n = Number(id);
+  if (Number.isFinite(n)) out.push(n);
+  return out;
+}
+
+/** Busca la reserva afectada por un pago (por reservaId, por pago o legacy pending). */
+async function findReservaRefForPayment({ complejoId, fecha, tipo, hora, reservaId, info }) {
+  const reservasRef = db.collection('complejos').doc(String(complejoId)).collection('reservas');
+  if (reservaId) return reservasRef.doc(String(reservaId));
+
+  const byPayment = await reservasRef
+    .where('pago.mp_payment_id', 'in', paymentIdVariants(info.id))
+    .limit(1).get();
+  if (!byPayment.empty) return byPayment.docs[0].ref;
+
+  const pend = await reservasRef
+    .where('fecha', '==', fecha)
+    .where('tipo', '==', Number(tipo))
+    .where('hora', '==', hora)
+    .where('estado', 'in', PENDING_STATES)
+    .limit(1).get();
+  return pend.empty ? null : pend.docs[0].ref;
+}
+
+/**
+ * Aplica un status de MP distinto de `approved` sobre la reserva, respetando
+ * RESERVA_TRANSITIONS. No toca reservas confirmadas con otro pago.
+ */
+async function applyPaymentStatus({ resRef, info }) {
+  const target = MP_STATUS_TO_ESTADO[info.status];
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(resRef);
+    if (!snap.exists) return { ok: false, reason: 'not_found' };
+    const r = snap.data() || {};
+
+    const otherPayment = r.pago?.mp_payment_id != null && String(r.pago.mp_payment_id) !== String(info.id);
+    if (otherPayment && !PENDING_STATES.includes(r.estado)) {
+      return { ok: false, reason: 'other_payment', estado: r.estado };
+    }
+
+    if (!target || r.estado === target) {
+      tx.set(resRef, {
+        pago: buildPagoFromPayment(info),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { ok: true, already: r.estado === target, estado: r.estado, fecha: r.fecha };
+    }
+
+    if (!canTransition(r.estado, target)) {
+      return { ok: false, reason: 'transition', from: r.estado, to: target };
+    }
+
+    const pago = buildPagoFromPayment(info);
+    writeAudit(tx, {
+      complejoId: resRef.parent.parent.id,
+      entidad: 'reserva',
+      entidadId: resRef.id,
+      reservaId: resRef.id,
+      accion: target,
+      actor: ACTOR_WEBHOOK,
+      mp_payment_id: info.id,
+      antes: auditReserva(r),
+      despues: auditReserva({ ...r, estado: target, pago, holdUntil: null }),
+    });
+    tx.set(resRef, {
+      estado: target,
+      pago,
+      holdUntil: null,
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return {
+      ok: true,
+      from: r.estado,
+      estado: target,
+      fecha: r.fecha,
+      hora: r.hora,
+      tipo: r.tipo,
+      waitlistId: r.waitlistId,
+      // el hold seguía ocupando el cupo: al rechazarse queda libre
+      liberaCupo: occupiesSlot(r) && !occupiesSlot({ ...r, estado: target }),
+    };
+  });
+}
+
+// motivo con que se cierra la oferta de lista de espera cuando el pago libera el cupo
+const WAITLIST_MOTIVO_LIBERADO = { rechazada: 'pago rechazado', reembolsada: 'pago devuelto', contracargo: 'contracargo' };
+
+/**
+ * Procesa un pago notificado por MP. Es idempotente: se puede reintentar
+ * (reentrega de MP o replay manual) sin duplicar confirmaciones ni liquidaciones.
+ */
+async function processPaymentNotification(paymentId) {
+  const info = await payments.getPayment(paymentId);
+  return applyPaymentInfo(info);
+}
+
+/** Aplica el estado de un pago de MP (ya obtenido) sobre la reserva y la liquidación. */
+async function applyPaymentInfo(info) {
+  console.log('[PAYMENT]', {
+    id: info.id,
+    status: info.status,
+    external_reference: info.external_reference,
+    transaction_amount: info.transaction_amount,
+  });
+
+  const ref = String(info.external_reference || '');
+  // sexta parte: número de cuota (pago dividido), `saldo` o `serie_<cobroId>` (reservaId = serieId)
+  const [complejoId, fecha, tipo, hora, reservaId, parte] = ref.split('|');
+  if (!complejoId || !fecha || !tipo || !hora) return { status: info.status, reason: 'bad_reference' };
+
+  if (!Object.prototype.hasOwnProperty.call(MP_STATUS_TO_ESTADO, info.status)) {
+    console.warn('[WEBHOOK] status de MP desconocido:', info.status, info.id);
+    return { status: info.status, reason: 'unknown_status' };
+  }
+
+  if (reservaId && parte?.startsWith('serie_')) {
+    return { status: info.status, ...(await applySeriePayment({ complejoId, serieId: reservaId, cobroId: parte.slice(6), info })) };
+  }
+  if (reservaId && parte === 'saldo') {
+    return { status: info.status, ...(await applySaldoPayment({ complejoId, fecha, reservaId, info })) };
+  }
+  if (reservaId && parte) {
+    return { status: info.status, ...(await applySplitPayment({ complejoId, fecha, reservaId, cuota: parte, info })) };
+  }
+
+  if (info.status !== 'approved') {
+    const resRef = await findReservaRefForPayment({ complejoId, fecha, tipo, hora, reservaId, info });
+    if (!resRef) {
+      console.log('[WEBHOOK] No se encontró reserva para', ref, info.status);
+      return { status: info.status, ok: false, reason: 'not_found' };
+    }
+
+    const result = await applyPaymentStatus({ resRef, info });
+    const kind = REVERSAL_KIND[result.estado];
+    // rechazo del hold, devolución o contracargo de una confirmada: el cupo pasa a la lista de espera
+    if (result.ok && result.liberaCupo) {
+      await releasePromoUse({ complejoId, reservaId: resRef.id });
+      await closeWaitlistOffer({ complejoId, reserva: result, estado: 'vencida', motivo: WAITLIST_MOTIVO_LIBERADO[result.estado] || result.estado })
+        .catch((e) => console.warn('[waitlist] close warn:', e?.message || e));
+      await offerFreedSlot({ complejoId, fecha: result.fecha, hora: result.hora, tipo: result.tipo });
+    }
+    if (result.ok && kind) {
+      await reverseDailySettlement({
+        complejoId,
+        fecha: result.fecha || fecha,
+        mp_payment_id: info.id,
+        kind,
+        status: info.status,
+      });
+    } else if (!result.ok) {
+      console.warn('[WEBHOOK] status no aplicado:', ref, info.status, result);
+    }
+    return { status: info.status, ...result };
+  }
+
+  const result = reservaId
+    ? await confirmHeldReserva({ complejoId, reservaId, info })
+    : await confirmLegacyPendingReserva({ complejoId, fecha, tipo, hora, info });
+
+  if (result.ok) {
+    // también si ya estaba confirmada: si el intento anterior falló acá, se completa ahora
+    await upsertDailySettlement({ complejoId, fecha, paymentInfo: info });
+    await closeWaitlistOffer({ complejoId, reserva: result, estado: 'tomada' })
+      .catch((e) => console.warn('[waitlist] close warn:', e?.message || e));
+    await notifyReservaConfirmada({ complejoId, reservaId: reservaId || result.reservaId });
+  } else if (result.reason === 'duplicate' || (result.reason === 'transition' && result.otroPago)) {
+    // la reserva ya tiene su pago (y su reembolso, si se canceló): este va aparte
+    console.warn('[WEBHOOK] reserva con otro pago, se devuelve:', ref, info.id, result);
+    result.reembolso = await refundDuplicatePayment({ complejoId, reservaId, info });
+  } else if (result.reason === 'capacity' || result.reason === 'transition' || result.reembolsoPendiente) {
+    console.warn('[WEBHOOK] Pago aprobado sin poder confirmar, se devuelve:', ref, info.id, result);
+    result.reembolso = await refundUnservedPayment({
+      complejoId, reservaId, info, motivo: result.reason === 'transition' ? `reserva_${result.from}` : 'sin_cupo',
+    });
+  } else if (result.reason === 'not_found') {
+    console.log('[WEBHOOK] No se encontró reserva pendiente para', ref);
+  }
+  return { status: info.status, ...result };
+}
+
+/* ============================================================
+   Pagos divididos (reserva grupal)
+   ============================================================
+   Con `split` en /mp/create-preference la reserva se reparte en N cuotas
+   (complejos/{id}/reservas/{reservaId}/cuotas/{n}), cada una con su propia
+   preferencia de MP; el external_reference termina en `|n`. Los links se
+   pueden asignar a jugadores (split.jugadores) o los reparte el organizador.
+   La reserva queda pending hasta split.deadline y se confirma cuando las
+   cuotas aprobadas cubren split.requerido (la seña o el total). Si vence,
+   se cancela o una cuota entra tarde, lo cobrado se devuelve por cuota.
+   Cada cuota es una línea propia en la liquidación del día. */
+const SPLIT_MAX_CUOTAS = 30;
+const SPLIT_HOLD_MINUTES = Number(process.env.SPLIT_HOLD_MINUTES) || 24 * 60;
+
+/** `split` del body → { cuotas, jugadores, deadline } | { error } | null */
+function parseSplit(raw, { fecha, hora, now = Date.now() }) {
+  if (raw == null || raw === false) return null;
+  const cfg = typeof raw === 'object' ? raw : { cuotas: raw };
+  const jugadores = Array.isArray(cfg.jugadores) ? cfg.jugadores : [];
+  const cuotas = Number(cfg.cuotas ?? jugadores.length);
+
+  if (!Number.isInteger(cuotas) || cuotas < 2 || cuotas > SPLIT_MAX_CUOTAS) {
+    return { error: `split.cuotas debe ser un entero entre 2 y ${SPLIT_MAX_CUOTAS}` };
+  }
+  if (jugadores.length && jugadores.length !== cuotas) {
+    return { error: 'split.jugadores debe tener un jugador por cuota' };
+  }
+
+  // el cliente puede acortar el plazo pero no estirarlo más allá de SPLIT_HOLD_MINUTES;
+  // tampoco pasa del inicio del turno
+  const minutos = Math.min(Number(cfg.minutos) > 0 ? Number(cfg.minutos) : SPLIT_HOLD_MINUTES, SPLIT_HOLD_MINUTES);
+  const deadline = Math.min(now + minutos * 60 * 1000, slotStartMs(fecha, hora));
+  if (deadline - now < HOLD_MINUTES * 60 * 1000) {
+    return { error: 'Falta muy poco para el turno para dividir el pago' };
+  }
+
+  return {
+    cuotas,
+    jugadores: jugadores.map((j) => ({ nombre: j?.nombre || j?.name || null, email: j?.email || null })),
+    deadline,
+  };
+}
+
+// reparte un importe en n partes iguales; la última absorbe el redondeo
+function splitAmount(total, n) {
+  const cents = Math.round((Number(total) || 0) * 100);
+  const each = Math.floor(cents / n);
+  return Array.from({ length: n }, (_, i) => (i === n - 1 ? cents - each * (n - 1) : each) / 100);
+}
+
+function buildCuotas({ split, price, fee }) {
+  const bases = splitAmount(price.baseFractionAmount, split.cuotas);
+  const comisiones = splitAmount(fee.commission, split.cuotas);
+  // el descuento de un código se reparte igual que los importes
+  const dc = price.promo ? splitAmount(price.promo.descuento_complejo, split.cuotas) : null;
+  const dp = price.promo ? splitAmount(price.promo.descuento_plataforma, split.cuotas) : null;
+  return bases.map((base, i) => {
+    const n = i + 1;
+    const monto = round2(base + comisiones[i]);
+    return {
+      n,
+      monto,
+      base_fraction: base,
+      commission: comisiones[i],
+      jugador: split.jugadores[i] || null,
+      // se mergea sobre la metadata de la preferencia y se reusa al liquidar
+      metadata: {
+        payFull: price.payFull,
+        deposit_pct: price.payFull ? null : price.pct,
+        base_fraction_amount: base,
+        commission: comisiones[i],
+        commission_rule: fee.rule,
+        total: monto,
+        split: true,
+        cuota: n,
+        cuotas: split.cuotas,
+        ...(price.promo ? {
+          bruto: round2(monto + dc[i] + dp[i]),
+          descuento: round2(dc[i] + dp[i]),
+          descuento_complejo: dc[i],
+          descuento_plataforma: dp[i],
+        } : {}),
+      },
+    };
+  });
+}
+
+function reservaRef(complejoId, reservaId) {
+  return db.collection('complejos').doc(String(complejoId)).collection('reservas').doc(String(reservaId));
+}
+
+function cuotasRef(complejoId, reservaId) {
+  return reservaRef(complejoId, reservaId).collection('cuotas');
+}
+
+// pago de la reserva grupal confirmada: suma de las cuotas, sin mp_payment_id propio
+function splitPagoSummary(sp) {
+  return {
+    split: true,
+    cuotas: sp.cuotas,
+    status: 'approved',
+    status_detail: null,
+    date_approved: FieldValue.serverTimestamp(),
+    amount: sp.cobrado,
+    amount_base: sp.basePrice ?? null,
+    amount_base_fraction: sp.pagado,
+    commission: round2(sp.cobrado - sp.pagado),
+    amount_total: sp.cobrado,
+    payFull: sp.payFull ?? null,
+    deposit_pct: sp.deposit_pct ?? null,
+    manual: false,
+  };
+}
+
+/**
+ * Aplica un pago de MP sobre una cuota. Aprobado: suma la cuota y, si se
+ * completó lo requerido, confirma la reserva (rechequeando el cupo) y liquida
+ * todas las cuotas pagas. Si la reserva ya no espera pagos, la cuota se devuelve.
+ */
+async function applySplitPayment({ complejoId, fecha, reservaId, cuota, info }) {
+  const resRef = reservaRef(complejoId, reservaId);
+  const cuotaRef = cuotasRef(complejoId, reservaId).doc(String(cuota));
+
+  if (info.status !== 'approved') {
+    const estado = { refunded: 'reembolsada', charged_back: 'contracargo' }[info.status] || null;
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(cuotaRef);
+      if (!snap.exists) return { ok: false, reason: 'not_found' };
+      const c = snap.data() || {};
+      const otherPayment = c.pago?.mp_payment_id != null && String(c.pago.mp_payment_id) !== String(info.id);
+      if (otherPayment && c.estado !== 'pendiente') return { ok: false, reason: 'other_payment', cuota: c.n };
+
+      // rechazos/pendientes solo se registran: el jugador puede reintentar con el mismo link
+      tx.set(cuotaRef, {
+        pago: buildPagoFromPayment(info),
+        ...(estado ? { estado } : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { ok: true, cuota: c.n, estado: estado || c.estado };
+    });
+
+    const kind = REVERSAL_KIND[result.estado];
+    if (result.ok && kind) {
+      await reverseDailySettlement({ complejoId, fecha, mp_payment_id: info.id, kind, status: info.status });
+    }
+    return result;
+  }
+
+  const result = await db.runTransaction(async (tx) => {
+    const [resSnap, cuotaSnap] = [await tx.get(resRef), await tx.get(cuotaRef)];
+    if (!resSnap.exists || !cuotaSnap.exists) return { ok: false, reason: 'not_found' };
+    const r = resSnap.data() || {};
+    const c = cuotaSnap.data() || {};
+    const sp = r.split || {};
+
+    const samePayment = c.pago?.mp_payment_id != null && String(c.pago.mp_payment_id) === String(info.id);
+    if (samePayment && c.estado !== 'pendiente') return { ok: true, already: true, estado: r.estado, cuota: c.n };
+    // segundo pago aprobado sobre una cuota ya paga
+    if (c.estado !== 'pendiente') return { ok: false, reason: 'duplicate', estado: r.estado, cuota: c.n };
+
+    const pago = buildPagoFromPayment(info);
+    const abierta = PENDING_STATES.includes(r.estado) && toMillis(r.holdUntil) > Date.now();
+    if (!abierta) {
+      tx.set(cuotaRef, { estado: 'a_reembolsar', pago, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      return { ok: false, reason: 'late', estado: r.estado, cuota: c.n, refund: true };
+    }
+
+    const acumulado = {
+      pagado: round2((Number(sp.pagado) || 0) + (Number(c.base_fraction) || 0)),
+      cobrado: round2((Number(sp.cobrado) || 0) + (Number(c.monto) || 0)),
+      pagadas: (Number(sp.pagadas) || 0) + 1,
+    };
+    const completa = acumulado.pagado + 0.005 >= Number(sp.requerido);
+    const slot = completa
+      ? await readSlotCapacity(tx, { complejoId, fecha: r.fecha, hora: r.hora, tipo: r.tipo, excludeId: reservaId })
+      : null;
+
+    tx.set(cuotaRef, { estado: 'pagada', pago, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+
+    let estado = r.estado;
+    if (completa) estado = slot.libres <= 0 ? 'sin_cupo' : 'confirmada';
+    const cancha = estado === 'confirmada' ? pickCancha(slot) : null;
+    writeAudit(tx, {
+      complejoId,
+      entidad: 'reserva',
+      entidadId: reservaId,
+      reservaId,
+      accion: completa ? estado : 'cuota_pagada',
+      actor: ACTOR_WEBHOOK,
+      mp_payment_id: info.id,
+      antes: { ...auditReserva(r), split_pagado: Number(sp.pagado) || 0 },
+      despues: { ...auditReserva({ ...r, estado, ...(completa ? { holdUntil: null } : {}), ...(cancha ? { cancha } : {}) }), split_pagado: acumulado.pagado },
+      detalle: { cuota: c.n, cuotas: sp.cuotas ?? null },
+    });
+
+    if (!completa) {
+      tx.set(resRef, { split: acumulado, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      return { ok: true, estado: r.estado, cuota: c.n, pagado: acumulado.pagado, requerido: sp.requerido };
+    }
+
+    touchSlotLock(tx, slot);
+    if (slot.libres <= 0) {
+      tx.set(resRef, {
+        estado: 'sin_cupo',
+        split: { ...acumulado, reembolso_pendiente: true },
+        holdUntil: null,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { ok: false, reason: 'capacity', estado: 'sin_cupo', cuota: c.n, refundAll: true };
+    }
+
+    tx.set(resRef, {
+      estado: 'confirmada',
+      split: acumulado,
+      pago: splitPagoSummary({ ...sp, ...acumulado }),
+      holdUntil: null,
+      confirmedAt: FieldValue.serverTimestamp(),
+      ...(cancha ? { cancha } : {}),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: true, estado: 'confirmada', confirmada: true, cuota: c.n, pagado: acumulado.pagado, requerido: sp.requerido };
+  });
+
+  // también si ya estaba confirmada: si el intento anterior falló al liquidar, se completa ahora
+  if (result.ok && result.estado === 'confirmada') {
+    await settleSplitCuotas({ complejoId, fecha, reservaId });
+    await notifyReservaConfirmada({ complejoId, reservaId });
+  }
+  if (result.refund || result.refundAll) {
+    console.warn('[WEBHOOK] cuota aprobada sin reserva abierta, se devuelve:', reservaId, result);
+    result.reembolso = await refundSplitCuotas({
+      complejoId, reservaId, fecha, only: result.refundAll ? null : result.cuota, kind: 'split_tardio',
+    });
+  }
+  if (result.reason === 'duplicate') {
+    console.warn('[WEBHOOK] cuota pagada dos veces, se devuelve el segundo pago:', reservaId, cuota, info.id);
+    result.reembolso = await payments.refund({
+      paymentId: info.id,
+      idempotencyKey: `cuota_dup_${info.id}`,
+    }).then((r) => ({ ok: true, refund_id: r?.id ?? null }), (e) => ({ ok: false, error: String(e?.message || e) }));
+  }
+  return result;
+}
+
+/** Una línea de liquidación por cuota paga (idempotente por mp_payment_id). */
+async function settleSplitCuotas({ complejoId, fecha, reservaId }) {
+  const snap = await cuotasRef(complejoId, reservaId).where('estado', '==', 'pagada').get();
+  for (const d of snap.docs) {
+    const c = d.data() || {};
+    if (!c.pago?.mp_payment_id) continue;
+    await upsertDailySettlement({
+      complejoId,
+      fecha,
+      paymentInfo: {
+        id: c.pago.mp_payment_id,
+        status: 'approved',
+        transaction_amount: c.pago.amount ?? c.monto,
+        metadata: { ...c.metadata, reservaId },
+      },
+    });
+  }
+  return snap.size;
+}
+
+/**
+ * Devuelve por MP lo cobrado en las cuotas (todas las pagas o solo `only`).
+ * factorBase/factorComision escalan la devolución (cancelación tardía);
+ * por defecto se devuelve todo. Si la cuota ya se liquidó, se revierte su línea.
+ * Actualiza reembolso en la reserva y split.reembolso_pendiente.
+ */
+async function refundSplitCuotas({ complejoId, reservaId, fecha, only = null, factorBase = 1, factorComision = 1, kind = 'cancel' }) {
+  const resRef = reservaRef(complejoId, reservaId);
+  const snap = await cuotasRef(complejoId, reservaId).get();
+  const cuotas = [];
+
+  for (const d of snap.docs) {
+    const c = d.data() || {};
+    if (only != null && String(c.n) !== String(only)) continue;
+    if (!['pagada', 'a_reembolsar'].includes(c.estado) || c.pago?.status !== 'approved') continue;
+
+    const base = round2((Number(c.base_fraction) || 0) * factorBase);
+    const comision = round2((Number(c.commission) || 0) * factorComision);
+    const monto = round2(base + comision);
+    if (monto <= 0) continue;
+
+    try {
+      const refund = await payments.refund({
+        paymentId: c.pago.mp_payment_id,
+        amount: monto >= round2(c.pago.amount ?? c.monto) ? null : monto,
+        idempotencyKey: `cuota_${reservaId}_${c.n}`,
+      });
+      await d.ref.set({
+        estado: 'reembolsada',
+        reembolso: { estado: 'emitido', monto, refund_id: refund?.id ?? null, emitidoAt: FieldValue.serverTimestamp(), error: null },
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      cuotas.push({ n: c.n, monto, ok: true, refund_id: refund?.id ?? null });
+    } catch (err) {
+      console.error('[split] refund error:', reservaId, c.n, err);
+      await d.ref.set({
+        reembolso: { estado: 'error', monto, error: String(err?.message || err) },
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      cuotas.push({ n: c.n, monto, ok: false, error: String(err?.message || err) });
+      continue;
+    }
+
+    // no-op si la cuota nunca se liquidó (grupo que no llegó a confirmarse)
+    await reverseDailySettlement({
+      complejoId,
+      fecha,
+      mp_payment_id: c.pago.mp_payment_id,
+      kind,
+      status: 'refunded',
+      amounts: { total_charged: monto, commission: comision, base_fraction: base },
+      extra: { reservaId, cuota: c.n },
+    }).catch((e) => console.warn('[settlement] split refund warn:', e?.message || e));
+  }
+
+  const ok = cuotas.every((c) => c.ok);
+  if (only == null) {
+    await resRef.set({
+      split: { reembolso_pendiente: !ok },
+      reembolso: { estado: ok ? 'emitido' : 'error', emitidoAt: ok ? FieldValue.serverTimestamp() : null },
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+  return { ok, monto: round2(cuotas.reduce((a, c) => a + c.monto, 0)), cuotas };
+}
+
+/** Estado de las cuotas de una reserva grupal (organizador o staff). */
+app.get('/reservas/:complejoId/:reservaId/cuotas', authenticate, async (req, res) => {
+  try {
+    const { complejoId, reservaId } = req.params;
+    const reserva = await getReservaDoc({ complejoId, reservaId });
+    if (!reserva) return res.status(404).json({ error: true, message: 'Reserva no encontrada' });
+    if (!canSeeReserva(req.user, { complejoId, data: reserva.data })) {
+      return res.status(403).json({ error: true, message: 'La reserva no es tuya' });
+    }
+    const sp = reserva.data.split;
+    if (!sp) return res.status(404).json({ error: true, message: 'La reserva no tiene pago dividido' });
+
+    const snap = await cuotasRef(complejoId, reservaId).get();
+    const cuotas = snap.docs.map((d) => {
+      const c = d.data() || {};
+      return {
+        n: c.n,
+        monto: c.monto,
+        estado: c.estado,
+        jugador: c.jugador || null,
+        init_point: c.estado === 'pendiente' ? c.init_point || null : null,
+        mp_payment_id: c.pago?.mp_payment_id ?? null,
+        reembolso: c.reembolso || null,
+      };
+    }).sort((a, b) => a.n - b.n);
+
+    res.json({
+      ok: true,
+      reservaId,
+      estado: reserva.data.estado,
+      deadline: sp.deadline ? new Date(toMillis(sp.deadline)).toISOString() : null,
+      requerido: sp.requerido,
+      pagado: sp.pagado,
+      cuotas,
+    });
+  } catch (e) {
+    console.error('cuotas error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* ============================================================
+   Firma del webhook + log de eventos (mp_events)
+   ============================================================
+   MP firma con x-signature: "ts=<ts>,v1=<hmac>" donde hmac es
+   HMAC-SHA256(MP_WEBHOOK_SECRET, "id:<data.id>;request-id:<x-request-id>;ts:<ts>;").
+   Sin secreto el webhook rechaza todo (401): notificaciones sin firmar solo
+   se aceptan con MP simulado o, fuera de producción, con
+   MP_WEBHOOK_ALLOW_UNSIGNED=1.
+   Cada notificación queda en mp_events/{eventId} con su estado:
+   processing → processed | failed | ignored. Las fallidas se pueden
+   reprocesar con POST /admin/mp-events/:id/replay. */
+const MP_WEBHOOK_SECRET = process.env.MP_WEBHOOK_SECRET || '';
+// si un intento quedó en `processing` más que esto, asumimos que murió
+const MP_EVENT_STALE_MS = 2 * 60 * 1000;
+
+const MP_WEBHOOK_UNSIGNED_OK = !MP_WEBHOOK_SECRET && (payments.nombre === 'fake'
+  || (process.env.MP_WEBHOOK_ALLOW_UNSIGNED === '1' && process.env.NODE_ENV !== 'production'));
+
+if (MP_WEBHOOK_UNSIGNED_OK) {
+  console.warn('[WARN] MP_WEBHOOK_SECRET no está seteado: el webhook acepta notificaciones sin firmar.');
+} else if (!MP_WEBHOOK_SECRET) {
+  console.warn('[WARN] MP_WEBHOOK_SECRET no está seteado: el webhook rechaza todas las notificaciones.');
+}
+
+function verifyMpSignature(req, dataId) {
+  if (!MP_WEBHOOK_SECRET) return MP_WEBHOOK_UNSIGNED_OK;
+
+  const header = String(req.get('x-signature') || '');
+  const requestId = req.get('x-request-id');
+  const parts = Object.fromEntries(header.split(',').map((p) => p.trim().split('=').map((x) => x?.trim())));
+  const { ts, v1 } = parts;
+  if (!ts || !v1) return false;
+
+  let manifest = '';
+  if (dataId) manifest += `id:${String(dataId).toLowerCase()};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${ts};`;
+
+  const expected = crypto.createHmac('sha256', MP_WEBHOOK_SECRET).update(manifest).digest('hex');
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(String(v1), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function mpEventId({ type, dataId, action, notificationId, requestId }) {
+  const raw = [type, dataId, action, notificationId || requestId].filter(Boolean).join('_');
+  return raw.replace(/[^\w.-]/g, '_') || `evt_${Date.now()}`;
+}
+
+/**
+ * Marca el evento como `processing` si corresponde procesarlo.
+ * Devuelve 'duplicate' si ya se procesó y 'busy' si otro intento está en curso.
+ */
+async function claimMpEvent(eventRef, payload) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(eventRef);
+    const ev = snap.exists ? (snap.data() || {}) : null;
+
+    if (ev?.status === 'processed' || ev?.status === 'ignored') return 'duplicate';
+    if (ev?.status === 'processing' && Date.now() - toMillis(ev.updatedAt) < MP_EVENT_STALE_MS) return 'busy';
+
+    tx.set(eventRef, {
+      ...(ev ? {} : { ...payload, receivedAt: FieldValue.serverTimestamp() }),
+      status: 'processing',
+      attempts: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return 'claimed';
+  });
+}
+
+async function runMpEvent(eventRef, { type, dataId }) {
+  try {
+    if (String(type).toLowerCase() !== 'payment' || !dataId) {
+      await eventRef.set({ status: 'ignored', updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      return { ok: true, status: 'ignored' };
+    }
+
+    const result = await processPaymentNotification(dataId);
+    await eventRef.set({
+      status: 'processed',
+      result: JSON.parse(JSON.stringify(result)),
+      lastError: null,
+      processedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: true, status: 'processed', result };
+  } catch (err) {
+    console.error('[mp_events] error procesando', eventRef.id, err);
+    await eventRef.set({
+      status: 'failed',
+      lastError: String(err?.message || err),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true }).catch((e) => console.error('[mp_events] no se pudo registrar el fallo:', e));
+    return { ok: false, status: 'failed', error: String(err?.message || err) };
+  }
+}
+
+/**
+ * Webhook de MP
+ * Responde 401 si la firma no valida y 500 si el procesamiento falla,
+ * así MP reintenta la entrega en vez de perder la confirmación.
+ */
+app.post('/mp/webhook', async (req, res) => {
+  try {
+    console.log('[WEBHOOK] query:', req.query);
+    console.log('[WEBHOOK] body:', JSON.stringify(req.body));
+
+    const type = req.query?.type || req.body?.type;
+    const dataId = req.query?.['data.id'] || req.body?.data?.id;
+    const requestId = req.get('x-request-id') || null;
+
+    if (!verifyMpSignature(req, dataId)) {
+      console.warn('[WEBHOOK] firma inválida', { requestId, dataId });
+      return res.sendStatus(401);
+    }
+
+    const eventRef = db.collection('mp_events').doc(mpEventId({
+      type,
+      dataId,
+      action: req.body?.action,
+      notificationId: req.body?.id,
+      requestId,
+    }));
+
+    const claimed = await claimMpEvent(eventRef, {
+      type: type || null,
+      action: req.body?.action || null,
+      dataId: dataId ? String(dataId) : null,
+      notificationId: req.body?.id != null ? String(req.body.id) : null,
+      requestId,
+      query: { ...req.query },
+      body: req.body || null,
+    });
+    if (claimed === 'duplicate') {
+      console.log('[WEBHOOK] evento duplicado, se omite', eventRef.id);
+      return res.sendStatus(200);
+    }
+    if (claimed === 'busy') {
+      // que MP lo reintente más tarde: si el intento en curso falla no se pierde
+      return res.sendStatus(409);
+    }
+
+    const out = await runMpEvent(eventRef, { type, dataId });
+    res.sendStatus(out.ok ? 200 : 500);
+  } catch (err) {
+    console.error('webhook error:', err);
+    res.sendStatus(500);
+  }
+});
+
+/* Admin: eventos de MP */
+app.get('/admin/mp-events', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'failed' } = req.query || {};
+    const limit = Math.min(Number(req.query?.limit) || 50, 200);
+    const snap = await db.collection('mp_events')
+      .where('status', '==', String(status))
+      .limit(limit)
+      .get();
+    res.json({ items: snap.docs.map((d) => ({ id: d.id, ...d.data() })) });
+  } catch (e) {
+    console.error('mp-events list error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+app.post('/admin/mp-events/:id/replay', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const eventRef = db.collection('mp_events').doc(String(req.params.id));
+    const snap = await eventRef.get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Evento no encontrado' });
+
+    const ev = snap.data() || {};
+    if (ev.status === 'processed' && !req.body?.force) {
+      return res.status(409).json({ error: true, message: 'El evento ya fue procesado (usar force: true)' });
+    }
+
+    await eventRef.set({
+      status: 'processing',
+      attempts: FieldValue.increment(1),
+      replayedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    const out = await runMpEvent(eventRef, { type: ev.type, dataId: ev.dataId });
+    res.status(out.ok ? 200 : 500).json(out);
+  } catch (e) {
+    console.error('mp-events replay error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* Admin: roles de usuarios (custom claims) */
+app.post('/admin/users/:uid/roles', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { admin: isAdmin, complejos } = req.body || {};
+    if (complejos != null && !Array.isArray(complejos)) {
+      return res.status(400).json({ error: true, message: 'complejos debe ser una lista' });
+    }
+
+    const u = await backend.auth().getUser(String(uid));
+    const claims = { ...(u.customClaims || {}) };
+    if (isAdmin != null) claims.admin = !!isAdmin;
+    if (complejos != null) claims.complejos = complejos.map(String);
+    await backend.auth().setCustomUserClaims(String(uid), claims);
+
+    // los claims nuevos llegan cuando el usuario refresca su token
+    res.json({ ok: true, uid, claims });
+  } catch (e) {
+    console.error('roles error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* =====================================================================================
+   PDF (igual que antes)
+   ===================================================================================== */
+async function getReservaDoc({ complejoId, reservaId }) {
+  const ref = db.collection('complejos').doc(complejoId).collection('reservas').doc(reservaId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ref, data: snap.data() };
+}
+
+async function findReservaByExternalRef(external_reference) {
+  if (!external_reference) return null;
+  const [complejoId, fecha, tipo, hora] = String(external_reference).split('|');
+  if (!complejoId || !fecha || !tipo || !hora) return null;
+
+  const reservasRef = db.collection('complejos').doc(complejoId).collection('reservas');
+  const q = reservasRef
+    .where('fecha', '==', fecha)
+    .where('tipo', '==', Number(tipo))
+    .where('hora', '==', hora)
+    .where('estado', '==', 'confirmada')
+    .limit(1);
+  const snap = await q.get();
+  if (snap.empty) return null;
+  const d = snap.docs[0];
+  return { id: d.id, ref: d.ref, data: d.data(), complejoId };
+}
+
+/* ------------------------------------------------------------------
+   QR firmado del comprobante
+   ------------------------------------------------------------------
+   token = base64url(JSON { r, c, f, h }) + '.' + base64url(HMAC-SHA256)
+   con RECEIPT_QR_SECRET. El staff lo escanea en GET /receipt/verify. */
+const RECEIPT_QR_SECRET = process.env.RECEIPT_QR_SECRET || '';
+
+if (!RECEIPT_QR_SECRET) {
+  console.warn('[WARN] RECEIPT_QR_SECRET no está seteado: los comprobantes salen sin QR.');
+}
+
+function signReceiptPayload(payload) {
+  return crypto.createHmac('sha256', RECEIPT_QR_SECRET).update(payload).digest('base64url');
+}
+
+function makeReceiptToken({ reservaId, complejoId, fecha, hora }) {
+  const payload = Buffer.from(JSON.stringify({ r: reservaId, c: complejoId, f: fecha, h: hora })).toString('base64url');
+  return `${payload}.${signReceiptPayload(payload)}`;
+}
+
+/** Devuelve { reservaId, complejoId, fecha, hora } o null si la firma no valida. */
+function parseReceiptToken(token) {
+  if (!RECEIPT_QR_SECRET) return null;
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+
+  const a = Buffer.from(signReceiptPayload(payload));
+  const b = Buffer.from(sig);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  try {
+    const { r, c, f, h } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return r && c ? { reservaId: String(r), complejoId: String(c), fecha: f, hora: h } : null;
+  } catch {
+    return null;
+  }
+}
+
+async function streamReservaPDF({ res, reserva, complejoId }) {
+  const doc = await buildReservaPDF({ reserva, complejoId });
+  const fileName = `reserva-${reserva?.id || 'comprobante'}.pdf`;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  doc.pipe(res);
+}
+
+/** El comprobante en memoria (para adjuntarlo en los mails). */
+async function reservaPDFBuffer({ reserva, complejoId }) {
+  const doc = await buildReservaPDF({ reserva, complejoId });
+  const chunks = [];
+  for await (const chunk of doc) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/** Arma el comprobante; el documento queda cerrado, listo para pipe o para leerlo. */
+async function buildReservaPDF({ reserva, complejoId }) {
+  const d = reserva?.data || {};
+
+  // el QR se arma antes de empezar a escribir la respuesta
+  let qr = null;
+  if (RECEIPT_QR_SECRET && d.estado === 'confirmada' && reserva?.id) {
+    const token = makeReceiptToken({ reservaId: reserva.id, complejoId, fecha: d.fecha, hora: d.hora });
+    qr = await QRCode.toBuffer(token, { type: 'png', margin: 1, width: 300, errorCorrectionLevel: 'M' });
+  }
+
+  const doc = new PDFDocument({ size: 'A4', margin: 48 });
+
+  doc.fontSize(18).text('Comprobante de Reserva', { align: 'center' }).moveDown(0.5);
+  doc.fontSize(10).fillColor('#666')
+    .text(`Complejo: ${d.complejoNombre || d.complejoName || complejoId || '—'}`, { align: 'center' })
+    .text(`Reserva ID: ${reserva?.id || '—'}`, { align: 'center' })
+    .text(`Fecha de emisión: ${new Date().toLocaleString('es-AR')}`, { align: 'center' })
+    .fillColor('#000').moveDown(1.2);
+
+  const kv = (k, v) => { doc.font('Helvetica-Bold').text(`${k}: `, { continued: true }); doc.font('Helvetica').text(String(v ?? '—')); };
+
+  kv('Estado', (d.estado || '').toUpperCase());
+  kv('Fecha', d.fecha);
+  kv('Hora', d.hora);
+  kv('Tipo de cancha', `F${d.tipo}`);
+  if (d.cancha?.nombre) kv('Cancha', d.cancha.nombre);
+
+  const nombre = d.fullName || d.nombre || d.displayName || '—';
+  kv('A nombre de', nombre);
+  if (d.telefono || d.phone) kv('Teléfono', d.telefono || d.phone);
+  if (d.email) kv('Email', d.email);
+
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').text('Pago', { underline: true }).moveDown(0.2);
+  const pago = d.pago || {};
+  kv('Estado del pago', pago.status || '—');
+  if (pago.discount) {
+    kv('Importe bruto', `$${Number(pago.amount_gross).toLocaleString('es-AR')}`);
+    kv(`Descuento (${pago.promo_code})`, `-$${Number(pago.discount).toLocaleString('es-AR')}`);
+  }
+  kv('Importe total', pago.amount_total != null ? `$${Number(pago.amount_total).toLocaleString('es-AR')}` : (pago.amount != null ? `$${Number(pago.amount).toLocaleString('es-AR')}` : '—'));
+  if (pago.amount_base_fraction != null) kv('Reserva (según modalidad)', `$${Number(pago.amount_base_fraction).toLocaleString('es-AR')}`);
+  if (pago.commission != null) kv('Comisión YoReservo', `$${Number(pago.commission).toLocaleString('es-AR')}`);
+  if (pago.mp_payment_id) kv('MP Payment ID', pago.mp_payment_id);
+  if (pago.split) kv('Pago dividido', `${pago.cuotas} cuotas`);
+  if (pago.manual) kv('Carga manual verificada', 'Sí');
+
+  if (d.precio != null && d.saldo_pendiente != null) {
+    const saldo = Number(d.saldo_pendiente) || 0;
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').text('Saldo', { underline: true }).moveDown(0.2);
+    if (d.recargo) kv(`Tarifa ${d.recargo.nombre}`, `${d.recargo.pct > 0 ? '+' : ''}${d.recargo.pct}%`);
+    if (d.promo?.absorbe === 'complejo' && d.promo.descuento_turno) {
+      kv('Precio de lista', `$${Number(d.promo.precio_lista).toLocaleString('es-AR')}`);
+      kv(`Descuento (${d.promo.code})`, `-$${Number(d.promo.descuento_turno).toLocaleString('es-AR')}`);
+    }
+    kv('Precio del turno', `$${Number(d.precio).toLocaleString('es-AR')}`);
+    kv('Pagado', `$${round2(Number(d.precio) - saldo).toLocaleString('es-AR')}`);
+    kv('Saldo pendiente', saldo > 0 ? `$${saldo.toLocaleString('es-AR')}` : 'Sin saldo');
+    Object.values(d.saldo_pagos || {})
+      .filter((p) => p?.estado === 'aprobado')
+      .forEach((p) => kv(p.cobrado_en === 'complejo' ? `Saldo cobrado en el complejo (${p.medio})` : 'Saldo pagado online', `$${Number(p.monto).toLocaleString('es-AR')}`));
+  }
+
+  if (qr) {
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').text('Código de ingreso', { underline: true }).moveDown(0.3);
+    doc.image(qr, doc.x, doc.y, { fit: [140, 140] });
+    doc.y += 146;
+    doc.font('Helvetica').fontSize(8).fillColor('#555')
+      .text('Mostralo en la entrada. El complejo lo escanea para registrar tu ingreso; sirve una sola vez.')
+      .fillColor('#000').fontSize(12);
+  }
+
+  doc.moveDown(1);
+  doc.fontSize(9).fillColor('#555')
+    .text('Este comprobante certifica que la reserva fue registrada como CONFIRMADA según la información provista por el complejo y la plataforma de pago. Conservalo para tu ingreso.', { align: 'left' })
+    .fillColor('#000');
+  doc.end();
+  return doc;
+}
+
+/**
+ * Check-in en la entrada: valida el token del QR y marca la reserva como ingresada.
+ * ?dry=1 solo consulta, sin marcar.
+ */
+app.get('/receipt/verify', authenticate, async (req, res) => {
+  try {
+    const t = parseReceiptToken(req.query?.token);
+    if (!t) return res.status(400).json({ ok: false, reason: 'token_invalido', message: 'QR inválido o adulterado' });
+    if (!isStaffOf(req.user, t.complejoId)) {
+      return res.status(403).json({ ok: false, reason: 'otro_complejo', message: 'El QR es de otro complejo' });
+    }
+
+    const resRef = db.collection('complejos').doc(t.complejoId).collection('reservas').doc(t.reservaId);
+    const dry = req.query?.dry === '1' || req.query?.dry === 'true';
+
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(resRef);
+      if (!snap.exists) return { status: 404, ok: false, reason: 'no_encontrada', message: 'Reserva no encontrada' };
+      const r = snap.data() || {};
+      const info = {
+        reservaId: snap.id,
+        complejoId: t.complejoId,
+        fecha: r.fecha,
+        hora: r.hora,
+        tipo: r.tipo,
+        nombre: r.fullName || r.nombre || r.displayName || null,
+        estado: r.estado,
+      };
+
+      if (r.estado !== 'confirmada') {
+        return { status: 409, ok: false, reason: 'no_confirmada', message: `La reserva está ${r.estado}`, reserva: info };
+      }
+      if (String(r.fecha) !== String(t.fecha) || String(r.hora) !== String(t.hora)) {
+        return { status: 409, ok: false, reason: 'datos_distintos', message: 'La reserva cambió de fecha u horario; pedí el comprobante actualizado', reserva: info };
+      }
+      if (r.checkedInAt) {
+        return {
+          status: 409,
+          ok: false,
+          reason: 'ya_usado',
+          message: 'Este QR ya se usó para ingresar',
+          checkedInAt: new Date(toMillis(r.checkedInAt)).toISOString(),
+          checkedInBy: r.checkedInBy || null,
+          reserva: info,
+        };
+      }
+      if (!dry) {
+        tx.set(resRef, {
+          checkedInAt: FieldValue.serverTimestamp(),
+          checkedInBy: req.user.uid,
+          updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+      }
+      return { status: 200, ok: true, checkedIn: !dry, reserva: info };
+    });
+
+    const { status, ...body } = result;
+    res.status(status).json(body);
+  } catch (e) {
+    console.error('receipt/verify error:', e);
+    res.status(500).json({ ok: false, message: String(e?.message || e) });
+  }
+});
+
+app.get('/receipt/:complejoId/:reservaId.pdf', authenticate, async (req, res) => {
+  try {
+    const { complejoId, reservaId } = req.params || {};
+    if (!complejoId || !reservaId) return res.status(400).send('Faltan parámetros');
+    const reserva = await getReservaDoc({ complejoId, reservaId });
+    if (!reserva) return res.status(404).send('Reserva no encontrada');
+    if (!canSeeReserva(req.user, { complejoId, data: reserva.data })) return res.status(403).send('Sin acceso a esta reserva');
+    await streamReservaPDF({ res, reserva, complejoId });
+  } catch (e) {
+    console.error('receipt error:', e);
+    res.status(500).send('Error generando PDF');
+  }
+});
+
+app.get('/receipt/by-ref', authenticate, async (req, res) => {
+  try {
+    const { external_reference } = req.query || {};
+    if (!external_reference) return res.status(400).send('Falta external_reference');
+    const reserva = await findReservaByExternalRef(String(external_reference));
+    if (!reserva) return res.status(404).send('Reserva no encontrada o no confirmada');
+    if (!canSeeReserva(req.user, reserva)) return res.status(403).send('Sin acceso a esta reserva');
+    await streamReservaPDF({ res, reserva, complejoId: reserva.complejoId });
+  } catch (e) {
+    console.error('receipt/by-ref error:', e);
+    res.status(500).send('Error generando PDF');
+  }
+});
+
+/* ============================================================
+   Calendarios (ICS)
+   ============================================================
+   Feeds iCalendar con URL firmada, para suscribirse desde Google Calendar:
+     GET /calendar/:token.ics
+   token = base64url(JSON { k, id, t, v }) + '.' + base64url(HMAC-SHA256)
+   con ICS_FEED_SECRET. k: 'c' (complejo, t = tipo opcional) o 'u' (jugador).
+   v es la versión del feed (complejos/{id}.ics_version o
+   usuarios/{uid}.ics_version): al rotarla, las URLs anteriores dejan de valer.
+   Las reservas canceladas salen con STATUS:CANCELLED para que el calendario
+   las quite en lugar de dejarlas colgadas. */
+const ICS_FEED_SECRET = process.env.ICS_FEED_SECRET || '';
+// turnos de una hora; hacia atrás solo se publica lo reciente
+const ICS_TURNO_MIN = 60;
+const ICS_DIAS_ATRAS = 30;
+
+if (!ICS_FEED_SECRET) {
+  console.warn('[WARN] ICS_FEED_SECRET no está seteado: los calendarios ICS están deshabilitados.');
+}
+
+function signFeedPayload(payload) {
+  return crypto.createHmac('sha256', ICS_FEED_SECRET).update(payload).digest('base64url');
+}
+
+function makeFeedToken({ kind, id, tipo = null, version = 0 }) {
+  const payload = Buffer.from(JSON.stringify({ k: kind, id, t: tipo, v: version })).toString('base64url');
+  return `${payload}.${signFeedPayload(payload)}`;
+}
+
+/** Devuelve { kind, id, tipo, version } o null si la firma no valida. */
+function parseFeedToken(token) {
+  if (!ICS_FEED_SECRET) return null;
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+
+  const a = Buffer.from(signFeedPayload(payload));
+  const b = Buffer.from(sig);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  try {
+    const { k, id, t, v } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return ['c', 'u'].includes(k) && id ? { kind: k, id: String(id), tipo: t ?? null, version: Number(v) || 0 } : null;
+  } catch {
+    return null;
+  }
+}
+
+function feedOwnerRef(kind, id) {
+  return db.collection(kind === 'c' ? 'complejos' : 'usuarios').doc(String(id));
+}
+
+/** URL del feed con la versión vigente; con `rotar` invalida las anteriores. */
+async function feedUrl({ kind, id, tipo = null, rotar = false }) {
+  const ref = feedOwnerRef(kind, id);
+  let version = Number((await ref.get()).data()?.ics_version) || 0;
+  if (rotar) {
+    version += 1;
+    await ref.set({ ics_version: version }, { merge: true });
+  }
+  return `${PUBLIC_URL}/calendar/${makeFeedToken({ kind, id, tipo, version })}.ics`;
+}
+
+function icsEscape(s) {
+  return String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RFC 5545: líneas de hasta 75 octetos, la continuación empieza con un espacio
+function icsFold(line) {
+  const out = [];
+  let cur = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = '';
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+function icsPagoLabel(r) {
+  if (r.estado === 'cancelada') return r.reembolso?.monto > 0 ? `Cancelada, reembolso $${r.reembolso.monto}` : 'Cancelada';
+  if (ESTADOS_CAIDOS.includes(r.estado)) return r.estado === 'contracargo' ? 'Contracargo' : 'Reembolsada';
+  const pago = r.pago || {};
+  const saldo = Number(r.saldo_pendiente) || 0;
+  const medio = pago.manual ? 'check verificado' : 'MP';
+  if (saldo > 0) return `Seña pagada (${medio}), saldo $${saldo}`;
+  return pago.status ? `Pagado (${medio})` : 'Sin datos de pago';
+}
+
+function icsEvent({ complejoId, reservaId, r, summary, description, url = null, now }) {
+  const start = slotStartMs(r.fecha, r.hora);
+  const cancelada = ESTADOS_CAIDOS.includes(r.estado);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${complejoId}-${reservaId}@yoreservo`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(start + ICS_TURNO_MIN * 60 * 1000)}`,
+    // la cancelación tiene que ganarle a la versión confirmada que ya tiene el calendario
+    `SEQUENCE:${cancelada ? 1 : 0}`,
+    `STATUS:${cancelada ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${icsEscape(summary)}`,
+    `DESCRIPTION:${icsEscape(description)}`,
+  ];
+  if (url) lines.push(`URL:${url}`);
+  if (r.updatedAt) lines.push(`LAST-MODIFIED:${icsDate(toMillis(r.updatedAt))}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function icsCalendar({ nombre, eventos }) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//YoReservo//Reservas//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(nombre)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ...eventos.flat(),
+    'END:VCALENDAR',
+  ].map(icsFold).join('\r\n') + '\r\n';
+}
+
+// estados de un turno que estuvo confirmado y se cayó (el calendario lo saca, stats lo cuenta como cancelación)
+const ESTADOS_CAIDOS = ['cancelada', 'reembolsada', 'contracargo'];
+
+// confirmadas y las que se cayeron después de estar confirmadas (con o sin pago, ej. turnos
+// fijos); un hold cancelado nunca estuvo en el calendario. pago/serieId cubren las anteriores a confirmedAt
+const estuvoConfirmada = (r) => !!(r.confirmedAt || r.pago || r.serieId);
+const enFeed = (r) => r.estado === 'confirmada' || (ESTADOS_CAIDOS.includes(r.estado) && estuvoConfirmada(r));
+
+async function complejoFeed({ complejoId, tipo, now }) {
+  const complejo = (await db.collection('complejos').doc(complejoId).get()).data() || {};
+  const snap = await db.collection('complejos').doc(complejoId).collection('reservas')
+    .where('fecha', '>=', localFecha(now - ICS_DIAS_ATRAS * 24 * 60 * 60 * 1000))
+    .get();
+  const eventos = snap.docs
+    .map((d) => ({ reservaId: d.id, r: d.data() || {} }))
+    .filter(({ r }) => enFeed(r) && (tipo == null || tipoKey(r.tipo) === tipoKey(tipo)))
+    .map(({ reservaId, r }) => icsEvent({
+      complejoId,
+      reservaId,
+      r,
+      now,
+      summary: `F${r.tipo} · ${r.fullName || r.nombre || r.displayName || 'Reserva'}`,
+      description: [
+        r.cancha?.nombre ? `Cancha: ${r.cancha.nombre}` : null,
+        `Pago: ${icsPagoLabel(r)}`,
+        r.telefono || r.phone ? `Tel: ${r.telefono || r.phone}` : null,
+      ].filter(Boolean).join('\n'),
+    }));
+  const nombre = complejo.nombre || complejoId;
+  return icsCalendar({ nombre: tipo == null ? `${nombre} · Reservas` : `${nombre} · F${tipo}`, eventos });
+}
+
+async function jugadorFeed({ uid, now }) {
+  const desde = localFecha(now - ICS_DIAS_ATRAS * 24 * 60 * 60 * 1000);
+  const snap = await db.collectionGroup('reservas').where('userId', '==', uid).get();
+  const docs = snap.docs
+    .map((d) => ({ complejoId: d.ref.parent.parent.id, reservaId: d.id, r: d.data() || {} }))
+    .filter(({ r }) => enFeed(r) && String(r.fecha || '') >= desde);
+
+  const nombres = new Map();
+  await Promise.all([...new Set(docs.map((x) => x.complejoId))].map(async (id) => {
+    nombres.set(id, (await db.collection('complejos').doc(id).get()).data()?.nombre || id);
+  }));
+
+  const eventos = docs.map(({ complejoId, reservaId, r }) => {
+    const comprobante = `${PUBLIC_URL}/receipt/${complejoId}/${reservaId}.pdf`;
+    return icsEvent({
+      complejoId,
+      reservaId,
+      r,
+      now,
+      url: comprobante,
+      summary: `F${r.tipo} · ${nombres.get(complejoId)}`,
+      description: [r.cancha?.nombre ? `Cancha: ${r.cancha.nombre}` : null, `Pago: ${icsPagoLabel(r)}`, `Comprobante: ${comprobante}`].filter(Boolean).join('\n'),
+    });
+  });
+  return icsCalendar({ nombre: 'Mis reservas', eventos });
+}
+
+app.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    if (!ICS_FEED_SECRET) return res.status(503).send('Calendarios deshabilitados');
+    const feed = parseFeedToken(req.params.token);
+    if (!feed) return res.status(404).send('Calendario no encontrado');
+    const owner = (await feedOwnerRef(feed.kind, feed.id).get()).data() || {};
+    // URL rotada
+    if ((Number(owner.ics_version) || 0) !== feed.version) return res.status(404).send('Calendario no encontrado');
+
+    const now = Date.now();
+    const body = feed.kind === 'c'
+      ? await complejoFeed({ complejoId: feed.id, tipo: feed.tipo, now })
+      : await jugadorFeed({ uid: feed.id, now });
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(body);
+  } catch (e) {
+    console.error('calendar feed error:', e);
+    res.status(500).send('Error generando calendario');
+  }
+});
+
+/** URL del feed del complejo (staff). ?tipo= filtra por tipo de cancha. */
+app.get('/complejos/:complejoId/calendar', authenticate, requireStaff(), async (req, res) => {
+  try {
+    if (!ICS_FEED_SECRET) return res.status(503).json({ error: true, message: 'Calendarios deshabilitados' });
+    const { tipo } = req.query || {};
+    res.json({ ok: true, url: await feedUrl({ kind: 'c', id: req.params.complejoId, tipo: tipo != null && tipo !== '' ? tipoKey(tipo) : null }) });
+  } catch (e) {
+    console.error('calendar url error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** Invalida todas las URLs del feed del complejo y devuelve una nueva. */
+app.post('/complejos/:complejoId/calendar/rotate', authenticate, requireStaff(), async (req, res) => {
+  try {
+    if (!ICS_FEED_SECRET) return res.status(503).json({ error: true, message: 'Calendarios deshabilitados' });
+    const { tipo } = req.body || {};
+    res.json({ ok: true, url: await feedUrl({ kind: 'c', id: req.params.complejoId, tipo: tipo != null && tipo !== '' ? tipoKey(tipo) : null, rotar: true }) });
+  } catch (e) {
+    console.error('calendar rotate error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** URL del feed del jugador autenticado. */
+app.get('/calendar/me', authenticate, async (req, res) => {
+  try {
+    if (!ICS_FEED_SECRET) return res.status(503).json({ error: true, message: 'Calendarios deshabilitados' });
+    res.json({ ok: true, url: await feedUrl({ kind: 'u', id: req.user.uid }) });
+  } catch (e) {
+    console.error('calendar me error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+app.post('/calendar/me/rotate', authenticate, async (req, res) => {
+  try {
+    if (!ICS_FEED_SECRET) return res.status(503).json({ error: true, message: 'Calendarios deshabilitados' });
+    res.json({ ok: true, url: await feedUrl({ kind: 'u', id: req.user.uid, rotar: true }) });
+  } catch (e) {
+    console.error('calendar rotate error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* ============================================================
+   Notificaciones (outbox)
+   ============================================================
+   notificaciones/{id}: un doc por evento, destinatario y canal, con id
+   determinístico (`${evento}_${key}_${rol}_${canal}`) para que un webhook
+   reentregado no mande dos veces. El mensaje se arma con la plantilla al
+   encolar; el comprobante se genera al enviar.
+     estado: pendiente → enviando → enviada
+                                  ↘ error (reintenta con backoff) → fallida
+                                  ↘ sin_transporte (canal sin configurar)
+   Canales: email (SMTP, con el PDF del comprobante) y push (FCM, a los
+   tokens de usuarios/{uid}.fcmTokens). El complejo recibe en
+   complejos/{id}.notificaciones: { email, fcmTokens }.
+   El transporte se elige por canal: NOTIFY_EMAIL_TRANSPORT /
+   NOTIFY_PUSH_TRANSPORT, o NOTIFY_TRANSPORT para todos (live | dev). En dev
+   no sale nada: cada mensaje se escribe en NOTIFY_DEV_DIR. Sin valor
+   explícito, email es live si hay SMTP_HOST y push siempre (va por
+   backend.messaging()). Un email sin SMTP_HOST igual se escribe en disco,
+   pero si no se pidió dev (ni OFFLINE=1) queda `sin_transporte`, no
+   `enviada`: se lista en /admin/notificaciones y se reintenta a mano. */
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const notifyTransportEnv = (canal) => process.env[`NOTIFY_${canal.toUpperCase()}_TRANSPORT`] || process.env.NOTIFY_TRANSPORT || '';
+const NOTIFY_TRANSPORTS = {
+  email: notifyTransportEnv('email') || (SMTP_HOST ? 'live' : 'dev'),
+  push: notifyTransportEnv('push') || 'live',
+};
+// dev pedido a propósito; si no, es un canal sin configurar en un deploy live
+const NOTIFY_DEV_EXPLICITO = Object.fromEntries(Object.keys(NOTIFY_TRANSPORTS)
+  .map((canal) => [canal, OFFLINE || notifyTransportEnv(canal) === 'dev']));
+const NOTIFY_DEV_DIR = process.env.NOTIFY_DEV_DIR || 'tmp/notificaciones';
+const NOTIFY_MAX_INTENTOS = Number(process.env.NOTIFY_MAX_INTENTOS) || 6;
+// un envío que quedó en `enviando` (proceso caído) se retoma pasado este tiempo
+const NOTIFY_CLAIM_MS = 5 * 60 * 1000;
+
+for (const [canal, t] of Object.entries(NOTIFY_TRANSPORTS)) {
+  if (t !== 'dev') continue;
+  console.warn(NOTIFY_DEV_EXPLICITO[canal]
+    ? `[WARN] Notificaciones ${canal} en modo dev: se escriben en ${NOTIFY_DEV_DIR}, no se envían.`
+    : `[WARN] Notificaciones ${canal} sin transporte configurado: se escriben en ${NOTIFY_DEV_DIR} y quedan sin_transporte.`);
+}
+
+let smtpTransport = null;
+function getSmtpTransport() {
+  smtpTransport ||= nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return smtpTransport;
+}
+
+/* Plantillas por evento y destinatario. Cada una devuelve
+   { asunto, texto, titulo?, cuerpo?, comprobante? } (titulo/cuerpo son el push). */
+const NOTIFY_TEMPLATES = {
+  reserva_confirmada: {
+    jugador: (d) => ({
+      asunto: `Reserva confirmada · ${d.complejo} · ${d.fecha} ${d.hora}`,
+      texto: [
+        `Hola${d.nombre ? ` ${d.nombre}` : ''}, tu reserva está confirmada.`,
+        `${d.complejo} · ${d.fecha} a las ${d.hora} · Cancha F${d.tipo}${d.cancha ? ` (${d.cancha})` : ''}`,
+        d.saldo > 0 ? `Saldo a pagar: ${money(d.saldo)}` : 'Sin saldo pendiente.',
+        'Te adjuntamos el comprobante con el QR de ingreso.',
+      ].join('\n'),
+      titulo: 'Reserva confirmada',
+      cuerpo: `${d.complejo} · ${d.fecha} ${d.hora} · F${d.tipo}`,
+      comprobante: true,
+    }),
+    complejo: (d) => ({
+      asunto: `Nueva reserva ${d.fecha} ${d.hora} F${d.tipo}`,
+      texto: [
+        `Reserva ${d.reservaId} confirmada (${d.canal === 'check' ? 'transferencia verificada' : 'Mercado Pago'}).`,
+        `${d.fecha} a las ${d.hora} · Cancha F${d.tipo}${d.cancha ? ` (${d.cancha})` : ''} · ${d.nombre || 'sin nombre'}`,
+        `Pagado: ${money(d.pagado)} · Saldo: ${money(d.saldo)}`,
+      ].join('\n'),
+      titulo: 'Nueva reserva',
+      cuerpo: `${d.fecha} ${d.hora} · F${d.tipo}`,
+      comprobante: true,
+    }),
+  },
+  check_rechazado: {
+    jugador: (d) => ({
+      asunto: `Transferencia rechazada · ${d.complejo} · ${d.fecha} ${d.hora}`,
+      texto: [
+        `El complejo rechazó el comprobante de ${money(d.monto)} para el turno del ${d.fecha} a las ${d.hora} (F${d.tipo}).`,
+        `Motivo: ${d.motivo}`,
+        'La reserva no quedó registrada. Si creés que es un error, comunicate con el complejo.',
+      ].join('\n'),
+      titulo: 'Transferencia rechazada',
+      cuerpo: d.motivo,
+    }),
+  },
+  waitlist_oferta: {
+    jugador: (d) => ({
+      asunto: `Se liberó tu turno · ${d.complejo} · ${d.fecha} ${d.hora}`,
+      texto: [
+        `Se liberó el turno del ${d.fecha} a las ${d.hora} (F${d.tipo}) que esperabas.`,
+        `Lo tenés reservado hasta las ${d.vence}. Pagá ${money(d.total)} acá: ${d.init_point}`,
+        'Si no pagás a tiempo pasa al siguiente de la lista.',
+      ].join('\n'),
+      titulo: 'Se liberó tu turno',
+      cuerpo: `${d.fecha} ${d.hora} · pagá antes de las ${d.vence}`,
+    }),
+  },
+};
+
+async function writeDevNotification({ id, canal, to, mensaje, adjuntos }) {
+  const dir = path.resolve(NOTIFY_DEV_DIR);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({
+    canal, to, ...mensaje, adjuntos: adjuntos.map((a) => a.nombre), escrito: new Date().toISOString(),
+  }, null, 2));
+  for (const a of adjuntos) await fs.writeFile(path.join(dir, `${id}-${a.nombre}`), a.contenido);
+  return { messageId: `dev:${id}` };
+}
+
+/* Canales. send() tira si hay que reintentar; err.permanente corta los reintentos. */
+const NOTIFY_CHANNELS = {
+  email: {
+    async send({ to, mensaje, adjuntos }) {
+      const info = await getSmtpTransport().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to,
+        subject: mensaje.asunto,
+        text: mensaje.texto,
+        attachments: adjuntos.map((a) => ({ filename: a.nombre, content: a.contenido, contentType: a.tipo })),
+      });
+      return { messageId: info.messageId || null };
+    },
+  },
+  push: {
+    async send({ to, mensaje, datos }) {
+      const out = await backend.messaging().sendEachForMulticast({
+        tokens: to,
+        notification: { title: mensaje.titulo || mensaje.asunto, body: mensaje.cuerpo || mensaje.texto },
+        data: Object.fromEntries(Object.entries(datos).filter(([, v]) => v != null).map(([k, v]) => [k, String(v)])),
+      });
+      const invalidos = out.responses
+        .map((r, i) => (!r.success && /registration-token-not-registered|invalid-registration-token|invalid-argument/.test(r.error?.code || '') ? to[i] : null))
+        .filter(Boolean);
+      if (out.successCount === 0) {
+        const err = new Error(out.responses[0]?.error?.message || 'Ningún token aceptó el push');
+        err.permanente = invalidos.length === to.length;
+        err.invalidos = invalidos;
+        throw err;
+      }
+      return { messageId: null, enviados: out.successCount, invalidos };
+    },
+  },
+};
+
+/** Quita los tokens de FCM que ya no existen (app desinstalada, token rotado). */
+async function pruneFcmTokens({ rol, complejoId, userId, tokens }) {
+  if (!tokens?.length) return;
+  const ref = rol === 'complejo'
+    ? db.collection('complejos').doc(String(complejoId))
+    : db.collection('usuarios').doc(String(userId));
+  const field = rol === 'complejo' ? 'notificaciones.fcmTokens' : 'fcmTokens';
+  await ref.update({ [field]: FieldValue.arrayRemove(...tokens) }).catch(() => {});
+}
+
+async function resolveNotifyTargets({ rol, complejo, jugador }) {
+  if (rol === 'complejo') {
+    const cfg = complejo?.notificaciones || {};
+    return { email: cfg.email || complejo?.email || null, push: cfg.fcmTokens || [] };
+  }
+  if (!jugador?.userId) return { email: jugador?.email || null, push: [] };
+
+  let email = jugador.email || null;
+  if (!email) email = await backend.auth().getUser(String(jugador.userId)).then((u) => u?.email || null, () => null);
+  const u = await db.collection('usuarios').doc(String(jugador.userId)).get();
+  return { email, push: (u.exists && u.data()?.fcmTokens) || [] };
+}
+
+/**
+ * Encola un evento para todos sus destinatarios y canales y dispara el primer
+ * intento sin esperarlo. Nunca tira: no debe romper el webhook ni la
+ * aprobación que lo llamó (lo que no se envió queda en el outbox).
+ */
+async function notify({ evento, key, complejoId, reservaId = null, jugador, datos = {} }) {
+  try {
+    const plantillas = NOTIFY_TEMPLATES[evento];
+    if (!plantillas) throw new Error(`Evento de notificación desconocido: ${evento}`);
+
+    const cSnap = await db.collection('complejos').doc(String(complejoId)).get();
+    const complejo = cSnap.data() || {};
+    const d = { ...datos, complejo: complejo.nombre || complejo.name || complejoId, complejoId, reservaId };
+
+    const refs = [];
+    for (const [rol, plantilla] of Object.entries(plantillas)) {
+      const mensaje = plantilla(d);
+      const targets = await resolveNotifyTargets({ rol, complejo, jugador });
+
+      for (const canal of Object.keys(NOTIFY_CHANNELS)) {
+        const to = targets[canal];
+        if (!to || (Array.isArray(to) && !to.length)) continue;
+
+        const ref = db.collection('notificaciones').doc(`${evento}_${key}_${rol}_${canal}`);
+        try {
+          await ref.create({
+            evento,
+            rol,
+            canal,
+            to,
+            complejoId: String(complejoId),
+            reservaId: reservaId ? String(reservaId) : null,
+            userId: jugador?.userId ? String(jugador.userId) : null,
+            mensaje: {
+              asunto: mensaje.asunto,
+              texto: mensaje.texto,
+              titulo: mensaje.titulo || null,
+              cuerpo: mensaje.cuerpo || null,
+            },
+            comprobante: !!(mensaje.comprobante && canal === 'email' && reservaId),
+            datos: { evento, complejoId: String(complejoId), reservaId: reservaId ? String(reservaId) : null },
+            estado: 'pendiente',
+            intentos: 0,
+            nextAttemptAt: Timestamp.now(),
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+          refs.push(ref);
+        } catch (e) {
+          // ya encolada (reentrega del mismo evento)
+          if (e?.code !== 6 && e?.code !== 'already-exists') throw e;
+        }
+      }
+    }
+
+    refs.forEach((ref) => deliverNotification(ref).catch((e) => console.warn('[notify] deliver warn:', ref.id, e?.message || e)));
+    return { encoladas: refs.length };
+  } catch (e) {
+    console.warn('[notify] warn:', evento, key, e?.message || e);
+    return { encoladas: 0, error: String(e?.message || e) };
+  }
+}
+
+/** Un intento de envío. Toma el doc en una transacción para no mandarlo dos veces en paralelo. */
+async function deliverNotification(ref) {
+  const n = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const x = snap.data();
+    if (!x || !['pendiente', 'error', 'enviando'].includes(x.estado)) return null;
+    if (toMillis(x.nextAttemptAt) > Date.now()) return null;
+    tx.set(ref, {
+      estado: 'enviando',
+      nextAttemptAt: Timestamp.fromMillis(Date.now() + NOTIFY_CLAIM_MS),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return x;
+  });
+  if (!n) return { ok: false, reason: 'skipped' };
+
+  const intentos = (Number(n.intentos) || 0) + 1;
+  try {
+    const adjuntos = [];
+    if (n.comprobante) {
+      const reserva = await getReservaDoc({ complejoId: n.complejoId, reservaId: n.reservaId });
+      if (reserva) {
+        adjuntos.push({
+          nombre: `reserva-${reserva.id}.pdf`,
+          tipo: 'application/pdf',
+          contenido: await reservaPDFBuffer({ reserva, complejoId: n.complejoId }),
+        });
+      }
+    }
+
+    const envio = { id: ref.id, canal: n.canal, to: n.to, mensaje: n.mensaje, datos: n.datos || {}, adjuntos };
+    const dev = NOTIFY_TRANSPORTS[n.canal] === 'dev';
+    const out = dev ? await writeDevNotification(envio) : await NOTIFY_CHANNELS[n.canal].send(envio);
+    if (out.invalidos?.length) await pruneFcmTokens({ rol: n.rol, complejoId: n.complejoId, userId: n.userId, tokens: out.invalidos });
+
+    // escrito en disco sin haber pedido dev: no salió, no se marca enviada
+    if (dev && !NOTIFY_DEV_EXPLICITO[n.canal]) {
+      await ref.set({
+        estado: 'sin_transporte',
+        intentos,
+        messageId: out.messageId || null,
+        lastError: `Canal ${n.canal} sin transporte configurado`,
+        nextAttemptAt: null,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { ok: false, reason: 'sin_transporte' };
+    }
+
+    await ref.set({
+      estado: 'enviada',
+      intentos,
+      messageId: out.messageId || null,
+      lastError: null,
+      sentAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: true };
+  } catch (err) {
+    if (err?.invalidos?.length) await pruneFcmTokens({ rol: n.rol, complejoId: n.complejoId, userId: n.userId, tokens: err.invalidos });
+    const fallida = err?.permanente || intentos >= NOTIFY_MAX_INTENTOS;
+    // backoff: 1, 2, 4, 8… minutos
+    const espera = 60 * 1000 * 2 ** (intentos - 1);
+    console.warn('[notify] envío falló:', ref.id, intentos, err?.message || err);
+    await ref.set({
+      estado: fallida ? 'fallida' : 'error',
+      intentos,
+      lastError: String(err?.message || err),
+      nextAttemptAt: fallida ? null : Timestamp.fromMillis(Date.now() + espera),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: false, reason: 'error', fallida };
+  }
+}
+
+/** Reintenta lo que quedó pendiente o con error y ya cumplió el backoff. */
+async function processNotificationOutbox({ limit = 50 } = {}) {
+  const snap = await db.collection('notificaciones')
+    .where('estado', 'in', ['pendiente', 'error', 'enviando'])
+    .where('nextAttemptAt', '<=', Timestamp.now())
+    .limit(limit)
+    .get();
+
+  let enviadas = 0;
+  let fallidas = 0;
+  for (const d of snap.docs) {
+    const out = await deliverNotification(d.ref);
+    if (out.ok) enviadas += 1;
+    else if (out.reason === 'error') fallidas += 1;
+  }
+  return { revisadas: snap.size, enviadas, fallidas };
+}
+
+/** Datos de plantilla de una reserva confirmada y envío a jugador y complejo. */
+async function notifyReservaConfirmada({ complejoId, reservaId }) {
+  const reserva = await getReservaDoc({ complejoId: String(complejoId), reservaId: String(reservaId) })
+    .catch((e) => { console.warn('[notify] warn:', e?.message || e); return null; });
+  if (!reserva) return { encoladas: 0 };
+  const r = reserva.data;
+  const saldo = Number(r.saldo_pendiente) || 0;
+  return notify({
+    evento: 'reserva_confirmada',
+    key: `${complejoId}_${reservaId}`,
+    complejoId,
+    reservaId,
+    jugador: { userId: r.userId, email: r.email },
+    datos: {
+      fecha: r.fecha,
+      hora: r.hora,
+      tipo: r.tipo,
+      cancha: r.cancha?.nombre || null,
+      nombre: r.fullName || r.nombre || r.displayName || null,
+      canal: r.channel || 'mp',
+      saldo,
+      pagado: r.precio != null ? round2(Number(r.precio) - saldo) : (r.pago?.amount_total ?? r.pago?.amount ?? 0),
+    },
+  });
+}
+
+app.post('/admin/notificaciones/process', authenticate, requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, ...(await processNotificationOutbox()) });
+  } catch (e) {
+    console.error('notificaciones/process error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+app.get('/admin/notificaciones', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { estado = 'fallida' } = req.query || {};
+    const limit = Math.min(Number(req.query?.limit) || 50, 200);
+    const snap = await db.collection('notificaciones')
+      .where('estado', '==', String(estado))
+      .limit(limit)
+      .get();
+    res.json({ ok: true, items: snap.docs.map((d) => ({ id: d.id, ...d.data() })) });
+  } catch (e) {
+    console.error('notificaciones list error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** Reintento manual (por ejemplo de una `fallida` después de corregir el email). */
+app.post('/admin/notificaciones/:id/retry', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const ref = db.collection('notificaciones').doc(String(req.params.id));
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Notificación no encontrada' });
+    if (snap.data()?.estado === 'enviada') return res.status(409).json({ error: true, message: 'Ya fue enviada' });
+
+    await ref.set({
+      estado: 'pendiente',
+      intentos: 0,
+      ...(req.body?.to ? { to: req.body.to } : {}),
+      nextAttemptAt: Timestamp.now(),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    const out = await deliverNotification(ref);
+    const after = await ref.get();
+    res.status(out.ok ? 200 : 502).json({ ok: out.ok, id: ref.id, estado: after.data()?.estado, lastError: after.data()?.lastError || null });
+  } catch (e) {
+    console.error('notificaciones retry error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/**
+ * Registra un token de FCM. Body: { token, complejoId? }
+ * Con complejoId (staff) el token recibe los avisos del complejo.
+ */
+app.post('/notificaciones/tokens', authenticate, async (req, res) => {
+  try {
+    const { token, complejoId } = req.body || {};
+    if (!token || typeof token !== 'string') return res.status(400).json({ error: true, message: 'Falta token' });
+
+    if (complejoId) {
+      if (!isStaffOf(req.user, complejoId)) return res.status(403).json({ error: true, message: 'Solo staff del complejo' });
+      await db.collection('complejos').doc(String(complejoId))
+        .set({ notificaciones: { fcmTokens: FieldValue.arrayUnion(token) } }, { merge: true });
+    } else {
+      await db.collection('usuarios').doc(req.user.uid)
+        .set({ fcmTokens: FieldValue.arrayUnion(token), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('notificaciones/tokens error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+const NOTIFY_INTERVAL_MS = Number(process.env.NOTIFY_INTERVAL_MS) || 0;
+if (NOTIFY_INTERVAL_MS > 0) {
+  setInterval(() => {
+    processNotificationOutbox().catch((e) => console.warn('[notify] outbox warn:', e?.message || e));
+  }, NOTIFY_INTERVAL_MS).unref();
+}
+
+/* =========================================================================
+   Liquidaciones: lotes de pago a complejos y exportes
+   =========================================================================
+   liquidaciones/{complejoId}/payouts/{payoutId}
+     estado: 'pendiente' → 'pagado'
+     dias: [{ fecha, tipo: 'dia' | 'ajuste', lineas: [ids de pagos], ...totales }]
+   Un día entra entero en un solo lote (days.payoutId). Las líneas que llegan
+   después (devoluciones, pagos tardíos) quedan con after_payout y el día con
+   ajuste_pendiente: entran en el próximo lote como `ajuste`.
+   a_transferir: lo cobrado por MP para el complejo, menos la comisión de los
+   checks manuales (esa plata ya la tiene el complejo). */
+const PAYOUT_MAX_DAYS = 62;
+
+function settlementRef(complejoId) {
+  return db.collection('liquidaciones').doc(String(complejoId));
+}
+
+function lineaATransferir(l) {
+  return l.manual ? -(Number(l.commission) || 0) : (Number(l.base_fraction) || 0);
+}
+
+function summarizeLineas(lineas) {
+  const sum = (f) => round2(lineas.reduce((acc, l) => acc + f(l), 0));
+  return {
+    count: lineas.length,
+    total_charged: sum((l) => Number(l.total_charged) || 0),
+    commission: sum((l) => Number(l.commission) || 0),
+    base_fraction: sum((l) => Number(l.base_fraction) || 0),
+    a_transferir: sum(lineaATransferir),
+    saldo_online: sum((l) => (l.concepto === 'saldo' && l.cobrado_en === 'online' ? Number(l.total_charged) || 0 : 0)),
+    saldo_complejo: sum((l) => (l.concepto === 'saldo' && l.cobrado_en === 'complejo' ? Number(l.total_charged) || 0 : 0)),
+    descuento_complejo: sum((l) => Number(l.descuento_complejo) || 0),
+    descuento_plataforma: sum((l) => Number(l.descuento_plataforma) || 0),
+  };
+}
+
+async function listSettlementDays(complejoId, { desde, hasta }) {
+  const snap = await settlementRef(complejoId).collection('days')
+    .where('fecha', '>=', String(desde))
+    .where('fecha', '<=', String(hasta))
+    .get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => String(a.fecha).localeCompare(String(b.fecha)));
+}
+
+async function getPayout(complejoId, payoutId) {
+  const snap = await settlementRef(complejoId).collection('payouts').doc(String(payoutId)).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+async function getPayoutLineas(complejoId, payout) {
+  const out = [];
+  for (const dia of payout.dias || []) {
+    const pagosRef = settlementRef(complejoId).collection('days').doc(String(dia.fecha)).collection('pagos');
+    const snaps = await Promise.all((dia.lineas || []).map((id) => pagosRef.doc(String(id)).get()));
+    snaps.filter((x) => x.exists).forEach((x) => out.push({ id: x.id, fecha: dia.fecha, tipo_dia: dia.tipo, ...x.data() }));
+  }
+  return out;
+}
+
+function checkRange(desde, hasta, max) {
+  if (!isFecha(desde) || !isFecha(hasta) || hasta < desde) {
+    return 'Rango inválido (desde/hasta YYYY-MM-DD)';
+  }
+  if (diasEnRango(desde, hasta) > max) return `Rango máximo: ${max} días`;
+  return null;
+}
+
+app.get('/admin/liquidaciones/:complejoId/days', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId } = req.params;
+    const { desde, hasta, pagado } = req.query || {};
+    const err = checkRange(desde, hasta, 366);
+    if (err) return res.status(400).json({ error: true, message: err });
+
+    let items = await listSettlementDays(complejoId, { desde, hasta });
+    if (pagado === 'true' || pagado === 'false') items = items.filter((d) => !!d.pagado === (pagado === 'true'));
+    res.json({ complejoId, desde, hasta, items });
+  } catch (e) {
+    console.error('liquidaciones days error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+app.get('/admin/liquidaciones/:complejoId/payouts', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const snap = await settlementRef(req.params.complejoId).collection('payouts').get();
+    const items = snap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+    res.json({ items });
+  } catch (e) {
+    console.error('payouts list error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** Agrupa los días sin liquidar (y ajustes pendientes) del rango en un lote. */
+app.post('/admin/liquidaciones/:complejoId/payouts', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { complejoId } = req.params;
+    const { desde, hasta, referencia } = req.body || {};
+    const err = checkRange(desde, hasta, PAYOUT_MAX_DAYS);
+    if (err) return res.status(400).json({ error: true, message: err });
+
+    const candidatos = (await listSettlementDays(complejoId, { desde, hasta }))
+      .filter((d) => (!d.pagado && !d.payoutId) || d.ajuste_pendiente);
+    if (!candidatos.length) return res.status(409).json({ error: true, message: 'No hay días pendientes de liquidar en el rango' });
+
+    const payoutRef = settlementRef(complejoId).collection('payouts').doc();
+
+    const payout = await db.runTransaction(async (tx) => {
+      const leidos = [];
+      for (const c of candidatos) {
+        const ref = settlementRef(complejoId).collection('days').doc(String(c.fecha));
+        const daySnap = await tx.get(ref);
+        const lineasSnap = await tx.get(ref.collection('pagos'));
+        leidos.push({ ref, day: daySnap.data() || {}, lineas: lineasSnap.docs.map((x) => ({ id: x.id, ...x.data() })) });
+      }
+
+      const dias = [];
+      for (const { ref, day, lineas } of leidos) {
+        if (!day.pagado && !day.payoutId) {
+          const incluidas = lineas;
+          dias.push({ fecha: day.fecha, tipo: 'dia', lineas: incluidas.map((l) => l.id), ...summarizeLineas(incluidas) });
+          tx.set(ref, {
+            payoutId: payoutRef.id,
+            ajuste_pendiente: false,
+            ajustes_en_lote: incluidas.map((l) => l.id),
+            updatedAt: FieldValue.serverTimestamp(),
+          }, { merge: true });
+        } else if (day.ajuste_pendiente) {
+          const ya = new Set(day.ajustes_en_lote || []);
+          const incluidas = lineas.filter((l) => l.after_payout && !ya.has(l.id));
+          if (incluidas.length) {
+            dias.push({ fecha: day.fecha, tipo: 'ajuste', lineas: incluidas.map((l) => l.id), ...summarizeLineas(incluidas) });
+          }
+          tx.set(ref, {
+            ajuste_pendiente: false,
+            ajustes_en_lote: FieldValue.arrayUnion(...incluidas.map((l) => l.id)),
+            updatedAt: FieldValue.serverTimestamp(),
+          }, { merge: true });
+        }
+      }
+      if (!dias.length) return null;
+
+      const sumDias = (f) => round2(dias.reduce((a, d) => a + (Number(d[f]) || 0), 0));
+      const totales = {
+        count: dias.reduce((a, d) => a + d.count, 0),
+        total_charged: sumDias('total_charged'),
+        commission: sumDias('commission'),
+        base_fraction: sumDias('base_fraction'),
+        a_transferir: sumDias('a_transferir'),
+        saldo_online: sumDias('saldo_online'),
+        saldo_complejo: sumDias('saldo_complejo'),
+        descuento_complejo: sumDias('descuento_complejo'),
+        descuento_plataforma: sumDias('descuento_plataforma'),
+      };
+      const data = {
+        complejoId,
+        estado: 'pendiente',
+        desde,
+        hasta,
+        referencia: referencia || null,
+        dias,
+        totales,
+        createdAt: FieldValue.serverTimestamp(),
+        createdBy: req.user.uid,
+        pagadoAt: null,
+      };
+      tx.set(payoutRef, data);
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'payout',
+        entidadId: payoutRef.id,
+        accion: 'creado',
+        actor: actorOf(req.user, complejoId),
+        antes: null,
+        despues: { estado: 'pendiente', totales },
+        detalle: { desde, hasta, dias: dias.map((d) => ({ fecha: d.fecha, tipo: d.tipo, lineas: d.lineas.length })) },
+      });
+      return { id: payoutRef.id, ...data, createdAt: undefined };
+    });
+
+    if (!payout) return res.status(409).json({ error: true, message: 'No hay días pendientes de liquidar en el rango' });
+    res.status(201).json(payout);
+  } catch (e) {
+    console.error('payout create error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** Marca el lote como transferido: pagado/pagadoAt en el lote y en sus días. */
+app.post('/admin/liquidaciones/:complejoId/payouts/:payoutId/paid', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { complejoId, payoutId } = req.params;
+    const { referencia } = req.body || {};
+    const payoutRef = settlementRef(complejoId).collection('payouts').doc(String(payoutId));
+
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(payoutRef);
+      if (!snap.exists) return { status: 404, message: 'Lote no encontrado' };
+      const p = snap.data() || {};
+      if (p.estado === 'pagado') return { status: 409, message: 'El lote ya está pagado' };
+
+      const ref = referencia || p.referencia;
+      if (!ref) return { status: 400, message: 'Falta la referencia de la transferencia' };
+
+      (p.dias || []).filter((d) => d.tipo === 'dia').forEach((d) => {
+        tx.set(settlementRef(complejoId).collection('days').doc(String(d.fecha)), {
+          pagado: true,
+          pagadoAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+      });
+      tx.set(payoutRef, {
+        estado: 'pagado',
+        referencia: ref,
+        pagadoAt: FieldValue.serverTimestamp(),
+        pagadoBy: req.user.uid,
+      }, { merge: true });
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'payout',
+        entidadId: payoutId,
+        accion: 'pagado',
+        actor: actorOf(req.user, complejoId),
+        antes: { estado: p.estado ?? null, referencia: p.referencia ?? null },
+        despues: { estado: 'pagado', referencia: ref },
+        detalle: { a_transferir: p.totales?.a_transferir ?? null, dias: (p.dias || []).filter((d) => d.tipo === 'dia').map((d) => d.fecha) },
+      });
+      return { status: 200, ok: true, referencia: ref };
+    });
+
+    if (!result.ok) return res.status(result.status).json({ error: true, message: result.message });
+    res.json({ ok: true, id: payoutId, estado: 'pagado', referencia: result.referencia });
+  } catch (e) {
+    console.error('payout paid error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+function csvCell(v) {
+  const str = v == null ? '' : String(v);
+  return /[",\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+app.get('/admin/liquidaciones/:complejoId/payouts/:payoutId.csv', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId, payoutId } = req.params;
+    const payout = await getPayout(complejoId, payoutId);
+    if (!payout) return res.status(404).send('Lote no encontrado');
+    const lineas = await getPayoutLineas(complejoId, payout);
+
+    const cols = ['fecha', 'tipo_dia', 'linea', 'mp_payment_id', 'kind', 'concepto', 'cobrado_en', 'status', 'manual', 'payFull', 'deposit_pct',
+      'promo_code', 'bruto', 'descuento', 'descuento_complejo', 'descuento_plataforma',
+      'total_charged', 'commission', 'base_fraction', 'a_transferir', 'createdAt'];
+    const rows = lineas.map((l) => [
+      l.fecha, l.tipo_dia, l.id, l.mp_payment_id, l.kind || 'pago', l.concepto || 'reserva', l.cobrado_en || '', l.status, !!l.manual, !!l.payFull, l.deposit_pct ?? '',
+      l.promo_code || '', l.bruto ?? '', l.descuento ?? '', l.descuento_complejo ?? '', l.descuento_plataforma ?? '',
+      l.total_charged, l.commission, l.base_fraction, lineaATransferir(l),
+      l.createdAt ? new Date(toMillis(l.createdAt)).toISOString() : '',
+    ]);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="liquidacion-${complejoId}-${payoutId}.csv"`);
+    res.send([cols, ...rows].map((r) => r.map(csvCell).join(',')).join('\n'));
+  } catch (e) {
+    console.error('payout csv error:', e);
+    res.status(500).send('Error generando CSV');
+  }
+});
+
+const money = (n) => `$${Number(n || 0).toLocaleString('es-AR')}`;
+
+function streamPayoutPDF({ res, payout, lineas, complejoNombre }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 48 });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="liquidacion-${payout.id}.pdf"`);
+  doc.pipe(res);
+
+  doc.fontSize(18).text('Liquidación a Complejo', { align: 'center' }).moveDown(0.5);
+  doc.fontSize(10).fillColor('#666')
+    .text(`Complejo: ${complejoNombre || payout.complejoId}`, { align: 'center' })
+    .text(`Lote: ${payout.id}`, { align: 'center' })
+    .text(`Período: ${payout.desde} a ${payout.hasta}`, { align: 'center' })
+    .text(`Fecha de emisión: ${new Date().toLocaleString('es-AR')}`, { align: 'center' })
+    .fillColor('#000').moveDown(1.2);
+
+  const kv = (k, v) => { doc.font('Helvetica-Bold').text(`${k}: `, { continued: true }); doc.font('Helvetica').text(String(v ?? '—')); };
+
+  const t = payout.totales || {};
+  kv('Estado', String(payout.estado || '').toUpperCase());
+  if (payout.referencia) kv('Referencia de transferencia', payout.referencia);
+  kv('Operaciones', t.count);
+  kv('Total cobrado', money(t.total_charged));
+  kv('Comisión YoReservo', money(t.commission));
+  kv('Importe a transferir', money(t.a_transferir));
+  if (t.saldo_online) kv('Saldos cobrados online', money(t.saldo_online));
+  if (t.saldo_complejo) kv('Saldos cobrados en el complejo', money(t.saldo_complejo));
+  if (t.descuento_complejo) kv('Descuentos a cargo del complejo', money(t.descuento_complejo));
+  if (t.descuento_plataforma) kv('Descuentos a cargo de YoReservo', money(t.descuento_plataforma));
+
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').text('Detalle por día', { underline: true }).moveDown(0.2);
+  (payout.dias || []).forEach((d) => {
+    doc.font('Helvetica-Bold').fontSize(10)
+      .text(`${d.fecha}${d.tipo === 'ajuste' ? ' (ajuste)' : ''} — ${d.count} op. — a transferir ${money(d.a_transferir)}`);
+    doc.font('Helvetica').fontSize(9).fillColor('#333');
+    lineas.filter((l) => l.fecha === d.fecha && d.lineas.includes(l.id)).forEach((l) => {
+      let etiqueta = l.kind ? l.kind : (l.manual ? 'manual' : 'MP');
+      if (l.concepto === 'saldo') etiqueta += ` · saldo ${l.cobrado_en === 'complejo' ? 'en complejo' : 'online'}`;
+      if (l.promo_code && l.descuento) etiqueta += ` · ${l.promo_code}: bruto ${money(l.bruto)} − ${money(l.descuento)}`;
+      doc.text(`   ${l.mp_payment_id} · ${etiqueta} · cobrado ${money(l.total_charged)} · comisión ${money(l.commission)} · complejo ${money(l.base_fraction)}`);
+    });
+    doc.fillColor('#000').fontSize(10).moveDown(0.3);
+  });
+
+  doc.moveDown(1);
+  doc.fontSize(9).fillColor('#555')
+    .text('Los importes de checks manuales ya fueron cobrados por el complejo; solo se descuenta su comisión. Las líneas negativas corresponden a devoluciones, cancelaciones o contracargos.', { align: 'left' })
+    .fillColor('#000');
+  doc.end();
+}
+
+app.get('/admin/liquidaciones/:complejoId/payouts/:payoutId.pdf', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId, payoutId } = req.params;
+    const payout = await getPayout(complejoId, payoutId);
+    if (!payout) return res.status(404).send('Lote no encontrado');
+    const lineas = await getPayoutLineas(complejoId, payout);
+    const complejoSnap = await db.collection('complejos').doc(String(complejoId)).get();
+    const c = complejoSnap.data() || {};
+    streamPayoutPDF({ res, payout, lineas, complejoNombre: c.nombre || c.name });
+  } catch (e) {
+    console.error('payout pdf error:', e);
+    res.status(500).send('Error generando PDF');
+  }
+});
+
+app.get('/admin/liquidaciones/:complejoId/payouts/:payoutId', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const payout = await getPayout(req.params.complejoId, req.params.payoutId);
+    if (!payout) return res.status(404).json({ error: true, message: 'Lote no encontrado' });
+    res.json(payout);
+  } catch (e) {
+    console.error('payout get error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* =========================================================================
+   Estadísticas del complejo: GET /complejos/:complejoId/stats
+   =========================================================================
+   ?from=YYYY-MM-DD&to=YYYY-MM-DD (staff del complejo)
+   Ocupación: turnos confirmados / canchas disponibles (slotTotal sobre
+   horasDelDia), por día de semana, hora y tipo. La capacidad sale de la
+   config actual de `canchas`, horarios y bloqueos.
+   Ingresos: de liquidaciones/{id}/days (desglose seña online / pago total
+   online / check manual, saldos y comisión), por fecha del turno.
+   Cancelaciones: canceladas / (confirmadas + canceladas), contando las que
+   estuvieron confirmadas y se cayeron (canceladas, reembolsadas o con
+   contracargo); un hold que no se pagó no cuenta. No-show: confirmadas ya
+   jugadas sin check-in del QR; si en el rango no hubo ningún check-in queda
+   en null (el complejo no escanea los comprobantes).
+   Los días cerrados (anteriores a hoy) se materializan en
+   complejos/{id}/stats_dias/{fecha}. cancelReserva y reverseDailySettlement
+   borran el del día del turno, que se recalcula en la próxima consulta;
+   ?refresh=1 rehace todos (ej. después de cambiar `canchas`). */
+const STATS_MAX_DAYS = 366;
+// subir si cambia la forma o el criterio de stats_dias: los docs viejos se recalculan
+const STATS_VERSION = 2;
+const STATS_TOP_CLIENTES = 10;
+
+function statsDiaRef(complejoId, fecha) {
+  return db.collection('complejos').doc(String(complejoId)).collection('stats_dias').doc(String(fecha));
+}
+
+const tasa = (n, d) => (d > 0 ? Number((n / d).toFixed(4)) : null);
+
+function ingresosDelDia(day, lineas) {
+  const desglose = Object.fromEntries(CATEGORIAS_INGRESO.map((c) => [c, { count: 0, cobrado: 0, neto: 0 }]));
+  if (day?.desglose) {
+    for (const c of CATEGORIAS_INGRESO) {
+      desglose[c] = {
+        count: Number(day.desglose[c]?.count) || 0,
+        cobrado: round2(day.desglose[c]?.cobrado),
+        neto: round2(day.desglose[c]?.neto),
+      };
+    }
+  } else {
+    for (const l of lineas) {
+      if (l.concepto === 'saldo') continue;
+      const d = desglose[categoriaIngreso(l)];
+      d.count += l.reverses ? -1 : 1;
+      d.cobrado = round2(d.cobrado + (Number(l.total_charged) || 0));
+      d.neto = round2(d.neto + (Number(l.base_fraction) || 0));
+    }
+  }
+  return {
+    ...desglose,
+    saldo_online: round2(day?.sum_saldo_online),
+    saldo_complejo: round2(day?.sum_saldo_complejo),
+    comision: round2(day?.sum_commission),
+    total_cobrado: round2(day?.sum_total_charged),
+  };
+}
+
+function statsDelDia({ complejo, fecha, reservas, day, lineas, now }) {
+  // celdas `${hora}|${tipo}` con lo vendido contra la capacidad del slot
+  const celdas = {};
+  const tipos = new Set([...Object.keys(complejo.canchas || {}), ...reservas.map((r) => tipoKey(r.tipo))]);
+  for (const tipo of tipos) {
+    for (const hora of horasDelDia(complejo, fecha)) {
+      const { total } = slotTotal(complejo, { fecha, hora, tipo });
+      if (total > 0) celdas[`${hora}|${tipo}`] = { vendidos: 0, capacidad: total };
+    }
+  }
+
+  const turnos = { confirmadas: 0, canceladas: 0, jugadas: 0, con_checkin: 0 };
+  const clientes = {};
+  for (const r of reservas) {
+    const confirmada = r.estado === 'confirmada';
+    if (!confirmada && !(ESTADOS_CAIDOS.includes(r.estado) && estuvoConfirmada(r))) continue;
+
+    if (confirmada) {
+      const k = `${r.hora}|${tipoKey(r.tipo)}`;
+      celdas[k] ||= { vendidos: 0, capacidad: 0 };
+      celdas[k].vendidos += 1;
+      turnos.confirmadas += 1;
+      if (slotStartMs(fecha, r.hora) < now) {
+        turnos.jugadas += 1;
+        if (r.checkedInAt) turnos.con_checkin += 1;
+      }
+    } else {
+      turnos.canceladas += 1;
+    }
+
+    const key = r.userId ? `u:${r.userId}` : (r.email ? `e:${String(r.email).toLowerCase()}` : null);
+    if (!key) continue;
+    const c = (clientes[key] ||= {
+      userId: r.userId ? String(r.userId) : null,
+      email: r.email || null,
+      nombre: r.fullName || r.nombre || r.displayName || null,
+      confirmadas: 0,
+      canceladas: 0,
+      gasto: 0,
+    });
+    if (confirmada) {
+      c.confirmadas += 1;
+      c.gasto = round2(c.gasto + (Number(r.precio) || 0));
+    } else {
+      c.canceladas += 1;
+    }
+  }
+
+  return { fecha, v: STATS_VERSION, celdas, turnos, clientes, ingresos: ingresosDelDia(day, lineas) };
+}
+
+/** Días del rango sin materializar: una query de reservas y una de liquidación. */
+async function computeStatsDias({ complejoId, complejo, fechas, now }) {
+  if (!fechas.length) return [];
+  const desde = fechas[0];
+  const hasta = fechas[fechas.length - 1];
+
+  const snap = await db.collection('complejos').doc(complejoId).collection('reservas')
+    .where('fecha', '>=', desde)
+    .where('fecha', '<=', hasta)
+    .get();
+  const porFecha = new Map();
+  snap.docs.forEach((d) => {
+    const r = d.data() || {};
+    if (!porFecha.has(r.fecha)) porFecha.set(r.fecha, []);
+    porFecha.get(r.fecha).push(r);
+  });
+  const days = new Map((await listSettlementDays(complejoId, { desde, hasta })).map((d) => [d.fecha, d]));
+
+  return Promise.all(fechas.map(async (fecha) => {
+    const day = days.get(fecha);
+    // días de liquidación anteriores al desglose: se suma desde las líneas
+    const lineas = day && !day.desglose
+      ? (await settlementRef(complejoId).collection('days').doc(fecha).collection('pagos').get()).docs.map((d) => d.data())
+      : [];
+    return statsDelDia({ complejo, fecha, reservas: porFecha.get(fecha) || [], day, lineas, now });
+  }));
+}
+
+function acumular(map, key, base, { vendidos, capacidad }) {
+  const x = map.get(key) || { ...base, vendidos: 0, capacidad: 0 };
+  x.vendidos += vendidos;
+  x.capacidad += capacidad;
+  map.set(key, x);
+}
+
+const conTasa = (x) => ({ ...x, tasa: tasa(x.vendidos, x.capacidad) });
+
+function summarizeStats(dias) {
+  const porDia = new Map();
+  const porHora = new Map();
+  const porTipo = new Map();
+  const detalle = new Map();
+  const total = { vendidos: 0, capacidad: 0 };
+  const turnos = { confirmadas: 0, canceladas: 0, jugadas: 0, con_checkin: 0 };
+  const ingresos = {
+    ...Object.fromEntries(CATEGORIAS_INGRESO.map((c) => [c, { count: 0, cobrado: 0, neto: 0 }])),
+    saldo_online: 0,
+    saldo_complejo: 0,
+    comision: 0,
+    total_cobrado: 0,
+  };
+  const clientes = new Map();
+
+  for (const d of dias) {
+    const dia = weekdayOf(d.fecha);
+    for (const [k, c] of Object.entries(d.celdas || {})) {
+      const [hora, tipo] = k.split('|');
+      acumular(porDia, dia, { dia }, c);
+      acumular(porHora, hora, { hora }, c);
+      acumular(porTipo, tipo, { tipo }, c);
+      acumular(detalle, `${dia}|${hora}|${tipo}`, { dia, hora, tipo }, c);
+      total.vendidos += c.vendidos;
+      total.capacidad += c.capacidad;
+    }
+    for (const f of Object.keys(turnos)) turnos[f] += Number(d.turnos?.[f]) || 0;
+    for (const c of CATEGORIAS_INGRESO) {
+      for (const f of ['count', 'cobrado', 'neto']) ingresos[c][f] = round2(ingresos[c][f] + (Number(d.ingresos?.[c]?.[f]) || 0));
+    }
+    for (const f of ['saldo_online', 'saldo_complejo', 'comision', 'total_cobrado']) {
+      ingresos[f] = round2(ingresos[f] + (Number(d.ingresos?.[f]) || 0));
+    }
+    for (const [k, c] of Object.entries(d.clientes || {})) {
+      const x = clientes.get(k) || { userId: c.userId, email: c.email, nombre: c.nombre, confirmadas: 0, canceladas: 0, gasto: 0 };
+      x.nombre ||= c.nombre;
+      x.confirmadas += c.confirmadas;
+      x.canceladas += c.canceladas;
+      x.gasto = round2(x.gasto + c.gasto);
+      clientes.set(k, x);
+    }
+  }
+
+  const byHora = (a, b) => String(a.hora).localeCompare(String(b.hora));
+  const byTipo = (a, b) => String(a.tipo).localeCompare(String(b.tipo), undefined, { numeric: true });
+  return {
+    ocupacion: {
+      total: conTasa(total),
+      por_dia_semana: [...porDia.values()].sort((a, b) => a.dia - b.dia).map(conTasa),
+      por_hora: [...porHora.values()].sort(byHora).map(conTasa),
+      por_tipo: [...porTipo.values()].sort(byTipo).map(conTasa),
+      detalle: [...detalle.values()].sort((a, b) => a.dia - b.dia || byHora(a, b) || byTipo(a, b)).map(conTasa),
+    },
+    ingresos: {
+      deposito_online: ingresos.deposit,
+      pago_total_online: ingresos.full,
+      check_manual: ingresos.manual,
+      saldo_online: ingresos.saldo_online,
+      saldo_complejo: ingresos.saldo_complejo,
+      comision: ingresos.comision,
+      total_cobrado: ingresos.total_cobrado,
+    },
+    cancelaciones: {
+      confirmadas: turnos.confirmadas,
+      canceladas: turnos.canceladas,
+      tasa: tasa(turnos.canceladas, turnos.confirmadas + turnos.canceladas),
+    },
+    no_show: {
+      jugadas: turnos.jugadas,
+      con_checkin: turnos.con_checkin,
+      sin_checkin: turnos.jugadas - turnos.con_checkin,
+      tasa: turnos.con_checkin > 0 ? tasa(turnos.jugadas - turnos.con_checkin, turnos.jugadas) : null,
+    },
+    clientes_frecuentes: [...clientes.values()]
+      .filter((c) => c.confirmadas >= 2)
+      .sort((a, b) => b.confirmadas - a.confirmadas || b.gasto - a.gasto)
+      .slice(0, STATS_TOP_CLIENTES),
+  };
+}
+
+app.get('/complejos/:complejoId/stats', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId } = req.params;
+    const { from, to } = req.query || {};
+    const refresh = req.query?.refresh === '1' || req.query?.refresh === 'true';
+    const err = checkRange(from, to, STATS_MAX_DAYS);
+    if (err) return res.status(400).json({ error: true, message: err.replace('desde/hasta', 'from/to') });
+
+    const complejoRef = db.collection('complejos').doc(String(complejoId));
+    const complejoSnap = await complejoRef.get();
+    if (!complejoSnap.exists) return res.status(404).json({ error: true, message: 'Complejo no encontrado' });
+    const complejo = complejoSnap.data() || {};
+
+    const now = Date.now();
+    const hoy = localFecha(now);
+    const fechas = eachFecha(from, to);
+
+    const cached = new Map();
+    if (!refresh) {
+      const snap = await complejoRef.collection('stats_dias')
+        .where('fecha', '>=', String(from))
+        .where('fecha', '<=', String(to))
+        .get();
+      snap.docs.forEach((d) => {
+        const x = d.data() || {};
+        if (x.v === STATS_VERSION && x.fecha < hoy) cached.set(x.fecha, x);
+      });
+    }
+
+    const calculados = await computeStatsDias({ complejoId, complejo, fechas: fechas.filter((f) => !cached.has(f)), now });
+    const cerrados = calculados.filter((d) => d.fecha < hoy);
+    if (cerrados.length) {
+      const batch = db.batch();
+      cerrados.forEach((d) => batch.set(complejoRef.collection('stats_dias').doc(d.fecha), { ...d, computedAt: FieldValue.serverTimestamp() }));
+      await batch.commit();
+    }
+
+    res.json({
+      ok: true,
+      complejoId,
+      from,
+      to,
+      dias: {
+        total: fechas.length,
+        materializados: cached.size,
+        calculados: cerrados.length,
+        abiertos: calculados.length - cerrados.length,
+      },
+      ...summarizeStats([...cached.values(), ...calculados]),
+    });
+  } catch (e) {
+    console.error('stats error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* =========================================================================
+   Conciliación MP ↔ Firestore
+   =========================================================================
+   POST /admin/reconcile { desde, hasta, repair }
+   Busca en MP los pagos creados en el rango y los compara con las reservas
+   (bloque `pago`) y con liquidaciones/.../pagos. Reporta:
+     approved_sin_reserva       pago aprobado sin reserva confirmada
+     estado_desfasado           pago devuelto/rechazado con la reserva aún confirmada
+     confirmada_sin_liquidacion reserva confirmada sin línea en la liquidación
+     montos_distintos           importe de MP ≠ reserva ≠ liquidación
+     pago_duplicado             pago aprobado sobre una reserva confirmada (o cancelada)
+                                con otro pago (cobro doble): requiere devolución, nunca se reaplica
+     pago_sin_turno             pago aprobado de una reserva sin_cupo o cancelada que no
+                                tiene su devolución registrada: requiere devolución
+   Con repair: true se corrigen los casos seguros (los tres primeros) reaplicando
+   el pago con la misma lógica idempotente del webhook. Los montos no se tocan.
+   La búsqueda pasa por payments.searchPayments (con MP real va por HTTP a MP_API_URL). */
+const RECONCILE_MAX_DAYS = 31;
+
+function parseExternalRef(ref) {
+  const [complejoId, fecha, tipo, hora, reservaId, parte = ''] = String(ref || '').split('|');
+  if (!complejoId || !fecha || !tipo || !hora) return null;
+  return {
+    complejoId, fecha, tipo, hora, reservaId,
+    cuota: /^\d+$/.test(parte) ? parte : undefined,
+    saldo: parte === 'saldo',
+    // turnos fijos: reservaId es el serieId
+    cobroId: parte.startsWith('serie_') ? parte.slice(6) : undefined,
+  };
+}
+
+// Cobro online del saldo: se compara contra reserva.saldo_pagos
+async function reconcileSaldo(ref, info, reserva) {
+  if (!reserva) return info.status === 'approved' ? 'approved_sin_reserva' : null;
+  const p = reserva.data.saldo_pagos?.[String(info.id)];
+
+  if (info.status === 'approved' && !p) return 'approved_sin_reserva';
+  if (['refunded', 'charged_back'].includes(info.status) && p?.estado === 'aprobado') return 'estado_desfasado';
+  if (info.status === 'approved' && p?.estado === 'aprobado') {
+    const line = await getSettlementLine({ complejoId: ref.complejoId, fecha: reserva.data.fecha || ref.fecha, mp_payment_id: info.id });
+    if (!line) return 'confirmada_sin_liquidacion';
+  }
+  return null;
+}
+
+// Cobro adelantado de turnos fijos: el pago se compara contra el cobro y sus líneas por fecha
+async function reconcileSerie(ref, info) {
+  const snap = await serieRef(ref.complejoId, ref.reservaId).collection('cobros').doc(String(ref.cobroId)).get();
+  if (!snap.exists) return info.status === 'approved' ? 'approved_sin_reserva' : null;
+  const c = snap.data() || {};
+  const samePayment = c.pago?.mp_payment_id != null && String(c.pago.mp_payment_id) === String(info.id);
+
+  if (info.status === 'approved' && !(samePayment && c.estado === 'pagado')) return 'approved_sin_reserva';
+  if (['refunded', 'charged_back'].includes(info.status) && c.estado === 'pagado') return 'estado_desfasado';
+  if (info.status === 'approved') {
+    for (const fecha of c.aplicadas || []) {
+      const line = await getSettlementLine({ complejoId: ref.complejoId, fecha, mp_payment_id: `${info.id}_${fecha}` });
+      if (!line) return 'confirmada_sin_liquidacion';
+    }
+  }
+  return null;
+}
+
+// Cuota de una reserva grupal: el pago se compara contra la cuota, no contra reserva.pago
+async function reconcileCuota(ref, info, reserva) {
+  if (!reserva) return info.status === 'approved' ? 'approved_sin_reserva' : null;
+  const snap = await cuotasRef(ref.complejoId, reserva.id).doc(String(ref.cuota)).get();
+  const c = snap.data() || {};
+  const samePayment = c.pago?.mp_payment_id != null && String(c.pago.mp_payment_id) === String(info.id);
+
+  if (info.status === 'approved' && !samePayment) return 'approved_sin_reserva';
+  if (['refunded', 'charged_back'].includes(info.status) && samePayment && c.estado === 'pagada') return 'estado_desfasado';
+  if (info.status === 'approved' && c.estado === 'pagada' && reserva.data.estado === 'confirmada') {
+    const line = await getSettlementLine({ complejoId: ref.complejoId, fecha: reserva.data.fecha || ref.fecha, mp_payment_id: info.id });
+    if (!line) return 'confirmada_sin_liquidacion';
+  }
+  return null;
+}
+
+async function findReservaForReconcile(ref, info) {
+  const reservasRef = db.collection('complejos').doc(String(ref.complejoId)).collection('reservas');
+  if (ref.reservaId) {
+    const snap = await reservasRef.doc(String(ref.reservaId)).get();
+    return snap.exists ? { id: snap.id, ref: snap.ref, data: snap.data() || {} } : null;
+  }
+  const snap = await reservasRef.where('pago.mp_payment_id', 'in', paymentIdVariants(info.id)).limit(1).get();
+  if (snap.empty) return null;
+  return { id: snap.docs[0].id, ref: snap.docs[0].ref, data: snap.docs[0].data() || {} };
+}
+
+async function getSettlementLine({ complejoId, fecha, mp_payment_id }) {
+  const snap = await settlementRef(complejoId).collection('days').doc(String(fecha))
+    .collection('pagos').doc(String(mp_payment_id)).get();
+  return snap.exists ? snap.data() : null;
+}
+
+const sameAmount = (a, b) => a == null || b == null || Math.abs(Number(a) - Number(b)) < 0.01;
+
+async function reconcile({ desde, hasta, repair = false }) {
+  const issues = {
+    approved_sin_reserva: [],
+    estado_desfasado: [],
+    confirmada_sin_liquidacion: [],
+    montos_distintos: [],
+    pago_duplicado: [],
+    pago_sin_turno: [],
+  };
+  const reparados = [];
+  const vistos = new Set();
+
+  const pagos = await payments.searchPayments({
+    begin: `${desde}T00:00:00.000${TZ_OFFSET}`,
+    end: `${hasta}T23:59:59.999${TZ_OFFSET}`,
+  });
+
+  for (const info of pagos) {
+    const ref = parseExternalRef(info.external_reference);
+    if (!ref) continue;
+    const reserva = await findReservaForReconcile(ref, info);
+    if (reserva) vistos.add(reserva.ref.path);
+
+    const r = reserva?.data || {};
+    const samePayment = r.pago?.mp_payment_id != null && String(r.pago.mp_payment_id) === String(info.id);
+    const base = { mp_payment_id: info.id, status: info.status, external_reference: info.external_reference, reservaId: reserva?.id || null, estado: r.estado || null };
+
+    if (ref.cuota || ref.saldo || ref.cobroId) {
+      let issue;
+      let extra;
+      if (ref.cobroId) {
+        issue = await reconcileSerie(ref, info);
+        extra = { serieId: ref.reservaId, cobroId: ref.cobroId };
+      } else if (ref.saldo) {
+        issue = await reconcileSaldo(ref, info, reserva);
+        extra = { concepto: 'saldo' };
+      } else {
+        issue = await reconcileCuota(ref, info, reserva);
+        extra = { cuota: ref.cuota };
+      }
+      if (issue) {
+        issues[issue].push({ ...base, ...extra });
+        // applyPaymentInfo sobre la cuota/saldo/cobro también completa la liquidación faltante
+        if (repair && (reserva || ref.cobroId)) {
+          const out = await applyPaymentInfo(info);
+          reparados.push({ ...base, ...extra, issue, result: JSON.parse(JSON.stringify(out)) });
+        }
+      }
+      continue;
+    }
+
+    if (info.status === 'approved' && r.pago?.mp_payment_id != null && !samePayment && !canTransition(r.estado, 'confirmada')) {
+      // aplicarlo liquidaría un cobro doble: se reporta salvo que ya se haya devuelto
+      const dup = r.pagos_duplicados?.[String(info.id)];
+      if (dup?.estado !== 'reembolsada') {
+        issues.pago_duplicado.push({ ...base, mp: info.transaction_amount ?? null, confirmada_con: r.pago.mp_payment_id, requiere_reembolso: true });
+      }
+      continue;
+    }
+
+    if (info.status === 'approved' && ['sin_cupo', 'cancelada'].includes(r.estado)) {
+      // cobrado sin turno: MP sigue en approved, así que tiene que haber una devolución
+      // registrada para este pago (o la decisión de retenerlo por la política de cancelación)
+      const delPago = samePayment || (r.reembolso?.mp_payment_id != null && String(r.reembolso.mp_payment_id) === String(info.id));
+      if (!delPago || !['emitido', 'no_corresponde'].includes(r.reembolso?.estado)) {
+        issues.pago_sin_turno.push({ ...base, mp: info.transaction_amount ?? null, reembolso: r.reembolso?.estado ?? null, requiere_reembolso: true });
+      }
+      continue;
+    }
+
+    let issue = null;
+    if (info.status === 'approved' && !(r.estado === 'confirmada' && samePayment)) {
+      // un pago ya devuelto (MP todavía no lo notificó) no es un desfase
+      if (!(samePayment && r.estado === 'reembolsada')) issue = 'approved_sin_reserva';
+    } else if (['refunded', 'charged_back', 'rejected', 'cancelled'].includes(info.status) && r.estado === 'confirmada' && samePayment) {
+      issue = 'estado_desfasado';
+    }
+    if (issue) {
+      issues[issue].push(base);
+      if (repair && reserva) {
+        const out = await applyPaymentInfo(info);
+        reparados.push({ ...base, issue, result: JSON.parse(JSON.stringify(out)) });
+      }
+      continue;
+    }
+
+    if (info.status === 'approved' && r.estado === 'confirmada' && samePayment) {
+      const line = await getSettlementLine({ complejoId: ref.complejoId, fecha: r.fecha || ref.fecha, mp_payment_id: info.id });
+      if (!line) {
+        issues.confirmada_sin_liquidacion.push(base);
+        if (repair) {
+          await upsertDailySettlement({ complejoId: ref.complejoId, fecha: r.fecha || ref.fecha, paymentInfo: info, actor: ACTOR_RECONCILE });
+          reparados.push({ ...base, issue: 'confirmada_sin_liquidacion' });
+        }
+      }
+      const expected = info.metadata?.total;
+      if (!sameAmount(info.transaction_amount, r.pago?.amount)
+        || !sameAmount(info.transaction_amount, line?.total_charged)
+        || !sameAmount(info.transaction_amount, expected)) {
+        issues.montos_distintos.push({
+          ...base,
+          mp: info.transaction_amount,
+          esperado: expected ?? null,
+          reserva: r.pago?.amount ?? null,
+          liquidacion: line?.total_charged ?? null,
+        });
+      }
+    }
+  }
+
+  // reservas confirmadas con turno en el rango (incluye checks manuales) que MP no devolvió
+  const reservasSnap = await db.collectionGroup('reservas')
+    .where('fecha', '>=', String(desde))
+    .where('fecha', '<=', String(hasta))
+    .get();
+  for (const d of reservasSnap.docs) {
+    const r = d.data() || {};
+    if (r.estado !== 'confirmada' || !r.pago?.mp_payment_id || vistos.has(d.ref.path)) continue;
+    const complejoId = d.ref.parent.parent.id;
+    const line = await getSettlementLine({ complejoId, fecha: r.fecha, mp_payment_id: r.pago.settlement_id || r.pago.mp_payment_id });
+    if (line) continue;
+
+    const base = { mp_payment_id: r.pago.mp_payment_id, status: r.pago.status, reservaId: d.id, estado: r.estado, complejoId };
+    issues.confirmada_sin_liquidacion.push(base);
+    // solo los manuales se pueden rearmar sin MP; el resto se repara desde el pago
+    if (repair && r.pago.manual) {
+      await upsertDailySettlement({
+        complejoId,
+        fecha: r.fecha,
+        actor: ACTOR_RECONCILE,
+        paymentInfo: {
+          id: r.pago.mp_payment_id,
+          status: 'approved',
+          transaction_amount: Number(r.pago.amount) || 0,
+          metadata: {
+            manual: true,
+            manual_amount: Number(r.pago.amount) || 0,
+            base_fraction_amount: r.pago.amount_base_fraction ?? null,
+            payFull: null,
+            deposit_pct: null,
+            commission: Number(r.pago.commission) || 0,
+            total: Number(r.pago.amount_total ?? r.pago.amount) || 0,
+          },
+        },
+      });
+      reparados.push({ ...base, issue: 'confirmada_sin_liquidacion' });
+    }
+  }
+
+  return {
+    desde,
+    hasta,
+    pagos_revisados: pagos.length,
+    reservas_revisadas: reservasSnap.size,
+    issues,
+    totales: Object.fromEntries(Object.entries(issues).map(([k, v]) => [k, v.length])),
+    reparados,
+  };
+}
+
+app.post('/admin/reconcile', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { desde, hasta, repair = false } = req.body || {};
+    const err = checkRange(desde, hasta, RECONCILE_MAX_DAYS);
+    if (err) return res.status(400).json({ error: true, message: err });
+    res.json(await reconcile({ desde, hasta, repair: !!repair }));
+  } catch (e) {
+    console.error('reconcile error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* =========================================================================
+   Cancelación de reservas (jugador o complejo) con devolución
+   =========================================================================
+   Política en complejos/{id}.cancelacion:
+     horas_reembolso_total: 24    // con esta anticipación se devuelve todo lo pagado al complejo
+     reembolsar_comision: false   // la comisión YoReservo se devuelve solo si es true
+   Más tarde, el complejo retiene la seña (deposit_pct del precio base).
+   Si cancela el complejo se devuelve todo, comisión incluida.
+   Pagos MP: se devuelven con PaymentRefund. Checks manuales (manual_*): se
+   marcan para devolución manual del complejo. */
+const DEFAULT_CANCELACION = { horas_reembolso_total: 24, reembolsar_comision: false };
+
+function slotStartMs(fecha, hora) {
+  return new Date(`${fecha}T${String(hora).padStart(5, '0')}:00${TZ_OFFSET}`).getTime();
+}
+
+function computeCancelRefund({ complejo, reserva, by, now = Date.now() }) {
+  const cfg = { ...DEFAULT_CANCELACION, ...(complejo?.cancelacion || {}) };
+  const pago = reserva?.pago || {};
+  const paidBase = Number(pago.amount_base_fraction ?? pago.amount ?? 0) || 0;
+  const commission = Number(pago.commission ?? 0) || 0;
+  const horasAntes = (slotStartMs(reserva.fecha, reserva.hora) - now) / (60 * 60 * 1000);
+
+  if (by === 'complejo') {
+    return { politica: 'complejo', horasAntes, base: round2(paidBase), commission: round2(commission), retenido: 0 };
+  }
+  if (horasAntes >= Number(cfg.horas_reembolso_total)) {
+    return {
+      politica: 'total',
+      horasAntes,
+      base: round2(paidBase),
+      commission: cfg.reembolsar_comision ? round2(commission) : 0,
+      retenido: 0,
+    };
+  }
+
+  const pct = Number(pago.deposit_pct ?? complejo?.deposit_pct ?? DEFAULT_DEPOSIT_PCT) || 0;
+  const deposit = round2((Number(pago.amount_base ?? paidBase) || 0) * pct / 100);
+  const retenido = Math.min(paidBase, deposit);
+  return { politica: 'tardia', horasAntes, base: round2(paidBase - retenido), commission: 0, retenido: round2(retenido) };
+}
+
+async function issueMpRefund({ resRef, reservaId, pago, monto }) {
+  try {
+    // un pago adelantado de turnos fijos cubre varias fechas: siempre se devuelve parcial
+    const full = !pago.serie && round2(monto) >= round2(pago.amount ?? pago.amount_total);
+    const refund = await payments.refund({
+      paymentId: pago.mp_payment_id,
+      amount: full ? null : round2(monto),
+      idempotencyKey: `cancel_${reservaId}`,
+    });
+    await resRef.set({
+      reembolso: {
+        estado: 'emitido',
+        refund_id: refund?.id ?? null,
+        emitidoAt: FieldValue.serverTimestamp(),
+        error: null,
+      },
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: true, refund_id: refund?.id ?? null };
+  } catch (err) {
+    console.error('[cancel] refund error:', err);
+    await resRef.set({
+      reembolso: { estado: 'error', error: String(err?.message || err) },
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+/**
+ * Cancela una reserva aplicando la política de devolución. La usan
+ * /reservas/:complejoId/:reservaId/cancel y la baja de turnos fijos.
+ * Devuelve { status, body } listo para responder.
+ */
+async function cancelReserva({ complejoId, reservaId, user, motivo, comoComplejo = false }) {
+  const userId = user.uid;
+  const staff = isStaffOf(user, complejoId);
+
+  const resRef = reservaRef(complejoId, reservaId);
+
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(resRef);
+    if (!snap.exists) return { ok: false, status: 404, message: 'Reserva no encontrada' };
+    const r = snap.data() || {};
+
+    const owner = !!r.userId && String(r.userId) === String(userId);
+    if (!owner && !staff) return { ok: false, status: 403, message: 'La reserva no es tuya' };
+    // reintento de una devolución que falló
+    if (r.estado === 'cancelada') {
+      return r.reembolso?.estado === 'error'
+        ? { ok: true, retry: true, reserva: r }
+        : { ok: false, status: 409, message: 'La reserva ya está cancelada' };
+    }
+    // el staff cancela como complejo salvo que sea su propia reserva y pida lo contrario
+    const by = staff && (!owner || comoComplejo) ? 'complejo' : 'player';
+
+    if (!canTransition(r.estado, 'cancelada')) {
+      return { ok: false, status: 409, message: `No se puede cancelar una reserva ${r.estado}` };
+    }
+    if (by === 'player' && slotStartMs(r.fecha, r.hora) <= Date.now()) {
+      return { ok: false, status: 409, message: 'El turno ya pasó' };
+    }
+
+    const slot = await readSlotCapacity(tx, {
+      complejoId, fecha: r.fecha, hora: r.hora, tipo: r.tipo, excludeId: reservaId,
+    });
+
+    const paid = r.estado === 'confirmada' && !!r.pago;
+    // grupal que no llegó a completarse: se devuelve todo lo cobrado en cuotas
+    const cobradoGrupo = !paid && r.split ? Number(r.split.cobrado) || 0 : 0;
+    let calc = paid ? computeCancelRefund({ complejo: slot.complejo, reserva: r, by }) : null;
+    if (cobradoGrupo > 0) {
+      calc = {
+        politica: 'grupo_incompleto',
+        horasAntes: (slotStartMs(r.fecha, r.hora) - Date.now()) / (60 * 60 * 1000),
+        base: round2(Number(r.split.pagado) || 0),
+        commission: round2(cobradoGrupo - (Number(r.split.pagado) || 0)),
+        retenido: 0,
+      };
+    }
+    const monto = calc ? round2(calc.base + calc.commission) : 0;
+    const manual = !!r.pago?.manual || String(r.pago?.mp_payment_id || '').startsWith('manual_');
+
+    let estadoReembolso = 'no_corresponde';
+    if (monto > 0) estadoReembolso = manual ? 'pendiente_manual' : 'procesando';
+
+    // el saldo ya cobrado se devuelve entero: online por MP, el del complejo a mano
+    const saldoPagos = Object.values(r.saldo_pagos || {}).filter((p) => p?.estado === 'aprobado');
+    const saldoEn = (donde) => round2(saldoPagos.filter((p) => p.cobrado_en === donde).reduce((a, p) => a + (Number(p.monto) || 0), 0));
+
+    const reembolso = {
+      estado: estadoReembolso,
+      monto,
+      base: calc?.base ?? 0,
+      comision: calc?.commission ?? 0,
+      retenido: calc?.retenido ?? 0,
+      politica: calc?.politica ?? null,
+      manual,
+      ...(saldoPagos.length ? { saldo_online: saldoEn('online'), saldo_complejo: saldoEn('complejo') } : {}),
+    };
+
+    writeAudit(tx, {
+      complejoId,
+      entidad: 'reserva',
+      entidadId: reservaId,
+      reservaId,
+      accion: 'cancelada',
+      actor: actorOf(user, complejoId),
+      mp_payment_id: r.pago?.mp_payment_id ?? null,
+      antes: auditReserva(r),
+      despues: auditReserva({ ...r, estado: 'cancelada', holdUntil: null }),
+      detalle: { by, motivo: motivo || null, reembolso },
+    });
+    tx.set(resRef, {
+      estado: 'cancelada',
+      holdUntil: null,
+      cancelacion: {
+        by,
+        userId: userId || null,
+        motivo: motivo || null,
+        horasAntes: calc ? Number(calc.horasAntes.toFixed(2)) : null,
+        at: FieldValue.serverTimestamp(),
+      },
+      reembolso,
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    touchSlotLock(tx, slot);
+    // el staff puede cancelar un turno ya jugado: el día puede estar materializado
+    tx.delete(statsDiaRef(complejoId, r.fecha));
+
+    return { ok: true, reserva: { ...r, reembolso } };
+  });
+
+  if (!result.ok) return { status: result.status, body: { error: true, message: result.message } };
+
+  const r = result.reserva;
+  const rb = r.reembolso || {};
+
+  // ajuste de la liquidación del día del turno (idempotente)
+  if (r.pago?.mp_payment_id && rb.monto > 0) {
+    await reverseDailySettlement({
+      complejoId,
+      fecha: r.fecha,
+      // turnos fijos pagados por adelantado: una línea por fecha dentro del mismo pago
+      mp_payment_id: r.pago.settlement_id || r.pago.mp_payment_id,
+      kind: 'cancel',
+      status: 'cancelled',
+      actor: actorOf(user, complejoId),
+      amounts: {
+        total_charged: rb.monto,
+        commission: rb.comision,
+        base_fraction: rb.base,
+      },
+      extra: { retenido: rb.retenido, politica: rb.politica, reembolso_manual: !!rb.manual },
+    }).catch((e) => console.warn('[settlement] cancel warn:', e?.message || e));
+  }
+
+  let refund = null;
+  if (r.split && rb.monto > 0 && ['procesando', 'error'].includes(rb.estado)) {
+    // cada cuota devuelve su parte con la misma proporción de base y comisión
+    const pago = r.pago || {};
+    const ratio = (parte, total) => (Number(total) > 0 ? Number(parte) / Number(total) : 0);
+    const grupoIncompleto = rb.politica === 'grupo_incompleto';
+    const out = await refundSplitCuotas({
+      complejoId,
+      reservaId,
+      fecha: r.fecha,
+      factorBase: grupoIncompleto ? 1 : ratio(rb.base, pago.amount_base_fraction),
+      factorComision: grupoIncompleto ? 1 : ratio(rb.comision, pago.commission),
+      kind: 'cancel',
+    });
+    refund = { ok: out.ok, cuotas: out.cuotas, error: out.ok ? undefined : 'Falló la devolución de alguna cuota' };
+  } else if (!rb.manual && rb.monto > 0 && ['procesando', 'error'].includes(rb.estado)) {
+    refund = await issueMpRefund({ resRef, reservaId, pago: r.pago, monto: rb.monto });
+  }
+
+  const saldoRefunds = [];
+  for (const [id, p] of Object.entries(r.saldo_pagos || {})) {
+    if (p?.estado !== 'aprobado') continue;
+    if (p.cobrado_en === 'online') saldoRefunds.push({ id, ...(await refundSaldoPago({ resRef, paymentId: id })) });
+    await reverseDailySettlement({
+      complejoId,
+      fecha: r.fecha,
+      mp_payment_id: id,
+      kind: 'cancel',
+      status: 'cancelled',
+      actor: actorOf(user, complejoId),
+      extra: { reembolso_manual: p.cobrado_en === 'complejo' },
+    }).catch((e) => console.warn('[settlement] cancel saldo warn:', e?.message || e));
+  }
+  if (saldoRefunds.some((x) => !x.ok)) {
+    refund = { ...(refund || {}), ok: false, error: refund?.error || 'Falló la devolución del saldo' };
+    // queda en error para que se pueda reintentar la cancelación
+    await resRef.set({ reembolso: { estado: 'error', error: refund.error } }, { merge: true });
+  }
+
+  // un hold sin pagar no consume el código: se devuelve el uso (como al vencer)
+  if (!result.retry && PENDING_STATES.includes(r.estado) && r.promo?.code) {
+    await releasePromoUse({ complejoId, reservaId });
+  }
+
+  // el cupo liberado pasa al siguiente de la lista de espera
+  if (!result.retry) {
+    await closeWaitlistOffer({ complejoId, reserva: r, estado: 'cancelada' })
+      .catch((e) => console.warn('[waitlist] close warn:', e?.message || e));
+    if (occupiesSlot(r)) await offerFreedSlot({ complejoId, fecha: r.fecha, hora: r.hora, tipo: r.tipo });
+  }
+
+  const body = {
+    ok: true,
+    estado: 'cancelada',
+    reembolso: {
+      ...rb,
+      estado: refund ? (refund.ok ? 'emitido' : 'error') : rb.estado,
+      refund_id: refund?.refund_id ?? undefined,
+      cuotas: refund?.cuotas ?? undefined,
+      saldo_reembolsos: saldoRefunds.length ? saldoRefunds : undefined,
+      error: refund?.error ?? undefined,
+    },
+  };
+  return { status: refund && !refund.ok ? 502 : 200, body };
+}
+
+app.post('/reservas/:complejoId/:reservaId/cancel', authenticate, async (req, res) => {
+  try {
+    const { complejoId, reservaId } = req.params;
+    const out = await cancelReserva({
+      complejoId,
+      reservaId,
+      user: req.user,
+      motivo: req.body?.motivo,
+      comoComplejo: req.body?.by === 'complejo',
+    });
+    res.status(out.status).json(out.body);
+  } catch (e) {
+    console.error('cancel error:', e);
+    res.status(400).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* ============================================================
+   Saldo de reservas con seña
+   ============================================================
+   Con payFull=false el jugador paga online solo la seña; la reserva guarda
+   `precio` y `saldo_pendiente`. El resto se cobra:
+     - online, con una segunda preferencia (external_reference termina en
+       `|saldo`); la comisión sale del override `saldo` de la regla, o
+     - en el complejo (efectivo o transferencia), cargado por el staff.
+   Cada cobro queda en reserva.saldo_pagos[id] y es una línea de liquidación
+   con concepto 'saldo' y cobrado_en 'online' | 'complejo'. Lo cobrado en el
+   complejo va como manual sin comisión: no se transfiere. */
+const SALDO_MEDIOS = ['efectivo', 'transferencia'];
+
+async function refundSaldoPago({ resRef, paymentId }) {
+  try {
+    const refund = await payments.refund({
+      paymentId,
+      idempotencyKey: `saldo_${paymentId}`,
+    });
+    await resRef.set({
+      saldo_pagos: { [paymentId]: { estado: 'reembolsada', refund_id: refund?.id ?? null, error: null } },
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: true, refund_id: refund?.id ?? null };
+  } catch (err) {
+    console.error('[saldo] refund error:', paymentId, err);
+    await resRef.set({
+      saldo_pagos: { [paymentId]: { error: String(err?.message || err) } },
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+/**
+ * Aplica un pago de MP del saldo. Aprobado: descuenta saldo_pendiente y
+ * liquida la línea; si la reserva ya no está confirmada, se devuelve.
+ * Devolución/contracargo: el saldo vuelve a quedar pendiente y se revierte la línea.
+ */
+async function applySaldoPayment({ complejoId, fecha, reservaId, info }) {
+  const resRef = reservaRef(complejoId, reservaId);
+  const paymentId = String(info.id);
+  const m = info.metadata || {};
+
+  if (info.status !== 'approved') {
+    const estado = MP_STATUS_TO_ESTADO[info.status];
+    const kind = REVERSAL_KIND[estado];
+    // rechazado/pendiente: el saldo sigue pendiente, el jugador puede reintentar
+    if (!kind) return { ok: true, ignored: true };
+
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(resRef);
+      const r = snap.data() || {};
+      const p = r.saldo_pagos?.[paymentId];
+      if (!p) return { ok: false, reason: 'not_found' };
+      if (p.estado !== 'aprobado') return { ok: true, already: true };
+      const saldo_pendiente = r.estado === 'confirmada'
+        ? round2((Number(r.saldo_pendiente) || 0) + (Number(p.base) || 0))
+        : r.saldo_pendiente;
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'reserva',
+        entidadId: reservaId,
+        reservaId,
+        accion: `saldo_${estado}`,
+        actor: ACTOR_WEBHOOK,
+        mp_payment_id: info.id,
+        antes: auditReserva(r),
+        despues: auditReserva({ ...r, saldo_pendiente }),
+        detalle: { monto: p.monto ?? null },
+      });
+      tx.set(resRef, {
+        saldo_pagos: { [paymentId]: { estado } },
+        ...(r.estado === 'confirmada' ? { saldo_pendiente } : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { ok: true, estado };
+    });
+    if (result.ok && !result.already) {
+      await reverseDailySettlement({ complejoId, fecha, mp_payment_id: info.id, kind, status: info.status });
+    }
+    return result;
+  }
+
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(resRef);
+    if (!snap.exists) return { ok: false, reason: 'not_found' };
+    const r = snap.data() || {};
+    const prev = r.saldo_pagos?.[paymentId];
+    if (prev) {
+      if (prev.estado === 'aprobado') return { ok: true, already: true, estado: r.estado };
+      // reentrega de uno a devolver: no se liquida; si la devolución había fallado se reintenta
+      return { ok: false, reason: 'already', estado: r.estado, refund: prev.estado === 'a_reembolsar' };
+    }
+
+    const base = Number(m.base_fraction_amount) || 0;
+    const pago = {
+      mp_payment_id: info.id,
+      cobrado_en: 'online',
+      medio: 'mp',
+      monto: Number(info.transaction_amount) || 0,
+      base,
+      commission: Number(m.commission) || 0,
+      at: FieldValue.serverTimestamp(),
+    };
+    if (r.estado !== 'confirmada') {
+      tx.set(resRef, { saldo_pagos: { [paymentId]: { ...pago, estado: 'a_reembolsar' } }, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      return { ok: false, reason: 'late', estado: r.estado, refund: true };
+    }
+
+    const saldo = Number(r.saldo_pendiente) || 0;
+    if (base > saldo + 0.005) {
+      // otra preferencia de saldo ya pagada o cobro en el complejo después de generarla:
+      // se devuelve entero y el saldo que quede se vuelve a cobrar aparte
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'reserva',
+        entidadId: reservaId,
+        reservaId,
+        accion: 'saldo_excedente',
+        actor: ACTOR_WEBHOOK,
+        mp_payment_id: info.id,
+        detalle: { monto: pago.monto, base, saldo_pendiente: saldo },
+      });
+      tx.set(resRef, { saldo_pagos: { [paymentId]: { ...pago, estado: 'a_reembolsar' } }, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+      return { ok: false, reason: 'excedente', estado: r.estado, saldo_pendiente: saldo, refund: true };
+    }
+    writeAudit(tx, {
+      complejoId,
+      entidad: 'reserva',
+      entidadId: reservaId,
+      reservaId,
+      accion: 'saldo_cobrado',
+      actor: ACTOR_WEBHOOK,
+      mp_payment_id: info.id,
+      antes: auditReserva(r),
+      despues: auditReserva({ ...r, saldo_pendiente: round2(Math.max(0, saldo - base)) }),
+      detalle: { cobrado_en: 'online', monto: pago.monto },
+    });
+    tx.set(resRef, {
+      saldo_pagos: { [paymentId]: { ...pago, estado: 'aprobado' } },
+      saldo_pendiente: round2(Math.max(0, saldo - base)),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { ok: true, estado: r.estado, saldo_pendiente: round2(Math.max(0, saldo - base)) };
+  });
+
+  // también si ya estaba aplicado: completa la liquidación si el intento anterior falló
+  if (result.ok && result.estado === 'confirmada') {
+    await upsertDailySettlement({ complejoId, fecha, paymentInfo: info });
+  }
+  if (result.refund) {
+    console.warn('[WEBHOOK] pago de saldo que no corresponde, se devuelve:', reservaId, paymentId, result.reason, result.estado);
+    result.reembolso = await refundSaldoPago({ resRef, paymentId });
+  }
+  return result;
+}
+
+/** Segunda preferencia de MP por el saldo pendiente (dueño de la reserva o staff). */
+app.post('/reservas/:complejoId/:reservaId/saldo/preference', authenticate, async (req, res) => {
+  try {
+    const { complejoId, reservaId } = req.params;
+    const reserva = await getReservaDoc({ complejoId, reservaId });
+    if (!reserva) return res.status(404).json({ error: true, message: 'Reserva no encontrada' });
+    if (!canSeeReserva(req.user, { complejoId, data: reserva.data })) {
+      return res.status(403).json({ error: true, message: 'La reserva no es tuya' });
+    }
+
+    const r = reserva.data;
+    const saldo = Number(r.saldo_pendiente) || 0;
+    if (r.estado !== 'confirmada') {
+      return res.status(409).json({ error: true, message: `La reserva está ${r.estado}` });
+    }
+    if (saldo <= 0) return res.status(409).json({ error: true, message: 'La reserva no tiene saldo pendiente' });
+    const inicio = slotStartMs(r.fecha, r.hora);
+    if (inicio <= Date.now()) {
+      return res.status(409).json({ error: true, message: 'El turno ya empezó; el saldo se cobra en el complejo' });
+    }
+
+    const complejoSnap = await db.collection('complejos').doc(String(complejoId)).get();
+    const fee = computeCommission({ complejo: complejoSnap.data() || {}, kind: 'saldo', amount: saldo });
+    const total = round2(saldo + fee.commission);
+    const external_reference = `${complejoId}|${r.fecha}|${tipoKey(r.tipo)}|${r.hora}|${reservaId}|saldo`;
+
+    const result = await payments.createPreference(preferenceBody({
+      external_reference,
+      title: req.body?.title || 'Saldo de reserva',
+      amount: total,
+      payer: req.body?.payer || {},
+      // el saldo online se paga antes del partido
+      expiresAt: inicio,
+      metadata: {
+        concepto: 'saldo',
+        cobrado_en: 'online',
+        payFull: false,
+        deposit_pct: null,
+
+        basePrice: r.precio ?? null,
+        base_fraction_amount: saldo,
+        commission: fee.commission,
+        commission_rule: fee.rule,
+        total,
+
+        complejoId, fecha: r.fecha, hora: r.hora, tipo: r.tipo, userId: r.userId || null,
+        reservaId,
+      },
+    }));
+
+    await reserva.ref.set({
+      saldo_mp: {
+        preference_id: result.id,
+        monto: saldo,
+        commission: fee.commission,
+        total,
+        createdAt: FieldValue.serverTimestamp(),
+      },
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    res.json({
+      id: result.id,
+      init_point: result.init_point,
+      sandbox_init_point: result.sandbox_init_point,
+      reservaId,
+      saldo_pendiente: saldo,
+      commission: fee.commission,
+      charged_amount: total,
+      expires_at: new Date(inicio).toISOString(),
+    });
+  } catch (e) {
+    console.error('saldo/preference error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/**
+ * Cobro del saldo en el complejo (staff).
+ * Body: { medio: 'efectivo' | 'transferencia', monto?, referencia? }; sin monto cobra todo el saldo.
+ */
+app.post('/reservas/:complejoId/:reservaId/saldo', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId, reservaId } = req.params;
+    const { medio, referencia } = req.body || {};
+    if (!SALDO_MEDIOS.includes(medio)) {
+      return res.status(400).json({ error: true, message: `medio debe ser ${SALDO_MEDIOS.join(' o ')}` });
+    }
+    const resRef = reservaRef(complejoId, reservaId);
+
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(resRef);
+      if (!snap.exists) return { ok: false, status: 404, message: 'Reserva no encontrada' };
+      const r = snap.data() || {};
+      if (r.estado !== 'confirmada') return { ok: false, status: 409, message: `La reserva está ${r.estado}` };
+
+      const saldo = Number(r.saldo_pendiente) || 0;
+      if (saldo <= 0) return { ok: false, status: 409, message: 'La reserva no tiene saldo pendiente' };
+      const monto = req.body?.monto != null ? round2(Number(req.body.monto)) : saldo;
+      if (!(monto > 0) || monto > saldo + 0.005) {
+        return { ok: false, status: 422, message: `El monto debe ser mayor a 0 y no superar el saldo ($${saldo})` };
+      }
+
+      const id = `saldo_${reservaId}_${Object.keys(r.saldo_pagos || {}).length + 1}`;
+      const restante = round2(Math.max(0, saldo - monto));
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'reserva',
+        entidadId: reservaId,
+        reservaId,
+        accion: 'saldo_cobrado',
+        actor: actorOf(req.user, complejoId),
+        mp_payment_id: id,
+        antes: auditReserva(r),
+        despues: auditReserva({ ...r, saldo_pendiente: restante }),
+        detalle: { cobrado_en: 'complejo', medio, monto, referencia: referencia || null },
+      });
+      tx.set(resRef, {
+        saldo_pagos: {
+          [id]: {
+            cobrado_en: 'complejo',
+            medio,
+            referencia: referencia || null,
+            monto,
+            base: monto,
+            commission: 0,
+            estado: 'aprobado',
+            by: req.user.uid,
+            at: FieldValue.serverTimestamp(),
+          },
+        },
+        saldo_pendiente: restante,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { ok: true, id, monto, saldo_pendiente: restante, fecha: r.fecha };
+    });
+
+    if (!result.ok) return res.status(result.status).json({ error: true, message: result.message });
+
+    try {
+      await upsertDailySettlement({
+        complejoId,
+        fecha: result.fecha,
+        actor: actorOf(req.user, complejoId),
+        paymentInfo: {
+          id: result.id,
+          status: 'approved',
+          transaction_amount: result.monto,
+          metadata: {
+            concepto: 'saldo',
+            cobrado_en: 'complejo',
+            manual: true,
+            manual_amount: result.monto,
+            base_fraction_amount: result.monto,
+            payFull: false,
+            deposit_pct: null,
+            commission: 0,
+            total: result.monto,
+            reservaId,
+          },
+        },
+      });
+    } catch (e) {
+      console.warn('[settlement] saldo warn:', e?.message || e);
+    }
+
+    res.json({ ok: true, pagoId: result.id, monto: result.monto, saldo_pendiente: result.saldo_pendiente });
+  } catch (e) {
+    console.error('saldo error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/* ============================================================
+   Turnos fijos (series semanales)
+   ============================================================
+   complejos/{id}/series/{serieId}: { userId, tipo, dia (0=domingo), hora,
+   desde, hasta, estado: activa | cancelada }. Al crearla se genera una
+   reserva `confirmada` por fecha (channel 'serie', serieId) con el mismo
+   chequeo de cupo que /checks/:id/approve; las fechas sin cupo vuelven en
+   `conflictos` y no se reservan. Cada fecha nace con saldo_pendiente = precio:
+     - por turno: con el flujo de saldo (preferencia o cobro en el complejo),
+     - por adelantado: POST .../series/:serieId/preference arma un cobro
+       (series/{serieId}/cobros/{cobroId}) con varias fechas y una sola
+       preferencia (external_reference `...|serieId|serie_<cobroId>`).
+       Al aprobarse, cada fecha queda pagada y liquidada en su propio día
+       (línea `${mp_payment_id}_${fecha}`). */
+const SERIE_MAX_FECHAS = 26;
+const HORA_RE = /^\d{2}:\d{2}$/;
+
+function serieRef(complejoId, serieId) {
+  return db.collection('complejos').doc(String(complejoId)).collection('series').doc(String(serieId));
+}
+
+async function getSerieReservas(complejoId, serieId) {
+  const snap = await db.collection('complejos').doc(String(complejoId)).collection('reservas')
+    .where('serieId', '==', String(serieId))
+    .get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ref: d.ref, data: d.data() || {} }))
+    .sort((a, b) => String(a.data.fecha).localeCompare(String(b.data.fecha)));
+}
+
+/** Crea la reserva de una fecha de la serie si hay cupo (misma lógica que aprobar un check). */
+async function reservarFechaSerie({ complejoId, serieId, serie, fecha, createdBy, actor = ACTOR_SISTEMA }) {
+  return db.runTransaction(async (tx) => {
+    const { tipo, hora } = serie;
+    const slot = await readSlotCapacity(tx, { complejoId, fecha, hora, tipo });
+    if (slot.libres <= 0) {
+      return { ok: false, fecha, motivo: slot.motivo || 'sin_cupo', total: slot.total, ocupadas: slot.ocupadas };
+    }
+
+    const precio = resolveBasePrice({ complejo: slot.complejo, tipo, fecha, hora });
+    const cancha = pickCancha(slot);
+    const resRef = slot.reservasRef.doc();
+    tx.set(resRef, {
+      key: `${fecha}|${tipo}|${hora}`,
+      fecha: String(fecha),
+      hora: String(hora),
+      tipo: Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo),
+      userId: String(serie.userId),
+      nombre: serie.nombre || null,
+      email: serie.email || null,
+      telefono: serie.telefono || null,
+      estado: 'confirmada',
+      serieId: String(serieId),
+      ...(cancha ? { cancha } : {}),
+      precio,
+      saldo_pendiente: computeSaldo(precio, 0),
+      createdAt: FieldValue.serverTimestamp(),
+      confirmedAt: FieldValue.serverTimestamp(),
+      createdBy,
+      channel: 'serie',
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    writeAudit(tx, {
+      complejoId,
+      entidad: 'reserva',
+      entidadId: resRef.id,
+      reservaId: resRef.id,
+      accion: 'creada',
+      actor,
+      antes: null,
+      despues: auditReserva({ estado: 'confirmada', precio, saldo_pendiente: computeSaldo(precio, 0), cancha }),
+      detalle: { serieId: String(serieId) },
+    });
+    touchSlotLock(tx, slot);
+    return { ok: true, fecha, reservaId: resRef.id, precio };
+  });
+}
+
+/**
+ * Alta de un turno fijo (staff del complejo).
+ * Body: { userId, nombre, email, telefono, tipo, dia, hora, desde, hasta }
+ */
+app.post('/complejos/:complejoId/series', authenticate, requireStaff(), async (req, res) => {
+  try {
+    const { complejoId } = req.params;
+    const { userId, nombre, email, telefono, tipo, hora, desde, hasta } = req.body || {};
+    const dia = Number(req.body?.dia);
+
+    if (!userId || tipo == null || !HORA_RE.test(String(hora || '')) || !isFecha(desde) || !isFecha(hasta)) {
+      return res.status(400).json({ error: true, message: 'Faltan userId, tipo, hora (HH:MM), desde o hasta (YYYY-MM-DD)' });
+    }
+    if (!Number.isInteger(dia) || dia < 0 || dia > 6) {
+      return res.status(400).json({ error: true, message: 'dia debe ser 0 (domingo) a 6 (sábado)' });
+    }
+    if (desde > hasta) return res.status(400).json({ error: true, message: 'desde debe ser anterior a hasta' });
+    // una fecha por semana: un rango más largo no puede entrar en SERIE_MAX_FECHAS
+    if (diasEnRango(desde, hasta) > SERIE_MAX_FECHAS * 7) {
+      return res.status(422).json({ error: true, message: `Una serie puede tener hasta ${SERIE_MAX_FECHAS} fechas` });
+    }
+
+    const fechas = eachFecha(desde, hasta)
+      .filter((f) => weekdayOf(f) === dia && slotStartMs(f, hora) > Date.now());
+    if (!fechas.length) return res.status(422).json({ error: true, message: 'No hay fechas futuras en ese rango para ese día' });
+    if (fechas.length > SERIE_MAX_FECHAS) {
+      return res.status(422).json({ error: true, message: `Una serie puede tener hasta ${SERIE_MAX_FECHAS} fechas` });
+    }
+
+    const ref = db.collection('complejos').doc(String(complejoId)).collection('series').doc();
+    const serie = {
+      userId: String(userId),
+      nombre: nombre || null,
+      email: email || null,
+      telefono: telefono || null,
+      tipo: Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo),
+      dia,
+      hora: String(hora),
+      desde: String(desde),
+      hasta: String(hasta),
+      estado: 'activa',
+      createdAt: FieldValue.serverTimestamp(),
+      createdBy: req.user.uid,
+    };
+    await ref.set(serie);
+
+    const creadas = [];
+    const conflictos = [];
+    for (const fecha of fechas) {
+      const out = await reservarFechaSerie({ complejoId, serieId: ref.id, serie, fecha, createdBy: req.user.uid, actor: actorOf(req.user, complejoId) });
+      if (out.ok) creadas.push({ fecha, reservaId: out.reservaId, precio: out.precio });
+      else conflictos.push({ fecha, motivo: out.motivo, total: out.total, ocupadas: out.ocupadas });
+    }
+
+    await ref.set({
+      fechas: creadas.map((c) => c.fecha),
+      conflictos,
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    res.status(creadas.length ? 200 : 409).json({ ok: creadas.length > 0, serieId: ref.id, creadas, conflictos });
+  } catch (e) {
+    console.error('series error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** Detalle de la serie con sus fechas (titular o staff). */
+app.get('/complejos/:complejoId/series/:serieId', authenticate, async (req, res) => {
+  try {
+    const { complejoId, serieId } = req.params;
+    const snap = await serieRef(complejoId, serieId).get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Serie no encontrada' });
+    const serie = snap.data() || {};
+    if (!canSeeReserva(req.user, { complejoId, data: serie })) {
+      return res.status(403).json({ error: true, message: 'La serie no es tuya' });
+    }
+
+    const reservas = await getSerieReservas(complejoId, serieId);
+    res.json({
+      ok: true,
+      serieId,
+      ...serie,
+      reservas: reservas.map(({ id, data }) => ({
+        reservaId: id,
+        fecha: data.fecha,
+        estado: data.estado,
+        precio: data.precio ?? null,
+        saldo_pendiente: data.saldo_pendiente ?? null,
+        pagado_por_adelantado: !!data.pago?.serie,
+      })),
+    });
+  } catch (e) {
+    console.error('serie get error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/**
+ * Baja de la serie entera (fechas futuras) o de una sola fecha con { fecha }.
+ * Cada fecha se cancela con cancelReserva, así que aplica la misma política de devolución.
+ */
+app.post('/complejos/:complejoId/series/:serieId/cancel', authenticate, async (req, res) => {
+  try {
+    const { complejoId, serieId } = req.params;
+    const { fecha, motivo } = req.body || {};
+    const ref = serieRef(complejoId, serieId);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Serie no encontrada' });
+    if (!canSeeReserva(req.user, { complejoId, data: snap.data() })) {
+      return res.status(403).json({ error: true, message: 'La serie no es tuya' });
+    }
+
+    const reservas = (await getSerieReservas(complejoId, serieId))
+      .filter(({ data }) => (fecha ? data.fecha === String(fecha) : slotStartMs(data.fecha, data.hora) > Date.now()))
+      .filter(({ data }) => data.estado === 'confirmada' || (data.estado === 'cancelada' && data.reembolso?.estado === 'error'));
+    if (fecha && !reservas.length) {
+      return res.status(404).json({ error: true, message: 'No hay una fecha activa de la serie ese día' });
+    }
+
+    const resultados = [];
+    for (const r of reservas) {
+      const out = await cancelReserva({
+        complejoId,
+        reservaId: r.id,
+        user: req.user,
+        motivo: motivo || (fecha ? 'baja de una fecha del turno fijo' : 'baja del turno fijo'),
+        comoComplejo: req.body?.by === 'complejo',
+      });
+      resultados.push({ fecha: r.data.fecha, reservaId: r.id, status: out.status, ...out.body });
+    }
+
+    if (!fecha) {
+      await ref.set({
+        estado: 'cancelada',
+        canceladaAt: FieldValue.serverTimestamp(),
+        canceladaBy: req.user.uid,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+
+    const fallidas = resultados.filter((x) => x.status !== 200);
+    res.status(fallidas.length ? 207 : 200).json({ ok: !fallidas.length, serieId, canceladas: resultados });
+  } catch (e) {
+    console.error('serie cancel error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/**
+ * Pago adelantado de varias fechas con una sola preferencia (titular o staff).
+ * Body: { semanas?: n, fechas?: [...] }; por defecto todas las fechas futuras sin pagar.
+ * Cada fecha se cobra completa con la comisión de pago total.
+ */
+app.post('/complejos/:complejoId/series/:serieId/preference', authenticate, async (req, res) => {
+  try {
+    const { complejoId, serieId } = req.params;
+    const snap = await serieRef(complejoId, serieId).get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Serie no encontrada' });
+    const serie = snap.data() || {};
+    if (!canSeeReserva(req.user, { complejoId, data: serie })) {
+      return res.status(403).json({ error: true, message: 'La serie no es tuya' });
+    }
+    if (serie.estado !== 'activa') return res.status(409).json({ error: true, message: 'La serie está cancelada' });
+
+    const pedidas = Array.isArray(req.body?.fechas) ? req.body.fechas.map(String) : null;
+    let impagas = (await getSerieReservas(complejoId, serieId)).filter(({ data }) => data.estado === 'confirmada'
+      && !data.pago
+      && !Object.values(data.saldo_pagos || {}).some((p) => p?.estado === 'aprobado')
+      && Number(data.saldo_pendiente) > 0
+      && slotStartMs(data.fecha, data.hora) > Date.now()
+      && (!pedidas || pedidas.includes(data.fecha)));
+    const semanas = Number(req.body?.semanas);
+    if (Number.isInteger(semanas) && semanas > 0) impagas = impagas.slice(0, semanas);
+    if (!impagas.length) return res.status(409).json({ error: true, message: 'No hay fechas pendientes de pago' });
+
+    const complejo = (await db.collection('complejos').doc(String(complejoId)).get()).data() || {};
+    const ocurrencias = impagas.map(({ id, data }) => {
+      const base = round2(data.saldo_pendiente);
+      const fee = computeCommission({ complejo, kind: 'full', amount: base });
+      return { reservaId: id, fecha: data.fecha, base, commission: fee.commission, commission_rule: fee.rule };
+    });
+    const baseTotal = round2(ocurrencias.reduce((a, o) => a + o.base, 0));
+    const commissionTotal = round2(ocurrencias.reduce((a, o) => a + o.commission, 0));
+    const total = round2(baseTotal + commissionTotal);
+    // MP no debe aceptar el pago una vez empezado el primer turno incluido
+    const vence = Math.min(...impagas.map(({ data }) => slotStartMs(data.fecha, data.hora)));
+
+    const cobroRef = serieRef(complejoId, serieId).collection('cobros').doc();
+    const external_reference = `${complejoId}|${ocurrencias[0].fecha}|${tipoKey(serie.tipo)}|${serie.hora}|${serieId}|serie_${cobroRef.id}`;
+    await cobroRef.set({
+      ocurrencias,
+      base_total: baseTotal,
+      commission_total: commissionTotal,
+      total,
+      estado: 'pendiente',
+      createdAt: FieldValue.serverTimestamp(),
+      createdBy: req.user.uid,
+    });
+
+    const result = await payments.createPreference(preferenceBody({
+      external_reference,
+      title: req.body?.title || `Turno fijo (${ocurrencias.length} fechas)`,
+      amount: total,
+      payer: req.body?.payer || {},
+      expiresAt: vence,
+      metadata: {
+        serie: true,
+        serieId,
+        cobroId: cobroRef.id,
+        payFull: true,
+        base_fraction_amount: baseTotal,
+        commission: commissionTotal,
+        total,
+        complejoId,
+        userId: serie.userId,
+        fechas: ocurrencias.map((o) => o.fecha),
+      },
+    }));
+    await cobroRef.set({ mp_preference_id: result.id }, { merge: true });
+
+    res.json({
+      id: result.id,
+      init_point: result.init_point,
+      sandbox_init_point: result.sandbox_init_point,
+      serieId,
+      cobroId: cobroRef.id,
+      fechas: ocurrencias.map((o) => o.fecha),
+      base_total: baseTotal,
+      commission: commissionTotal,
+      charged_amount: total,
+      expires_at: new Date(vence).toISOString(),
+    });
+  } catch (e) {
+    console.error('serie preference error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/**
+ * Aplica el pago de un cobro adelantado de turnos fijos. Aprobado: cada fecha
+ * todavía confirmada y sin pagar queda pagada y se liquida en su día; las que
+ * no (canceladas o ya pagas por otro medio) se devuelven por su parte.
+ * Devolución/contracargo del pago: se aplica a todas las fechas que cubrió.
+ */
+async function applySeriePayment({ complejoId, serieId, cobroId, info }) {
+  const cobroRef = serieRef(complejoId, serieId).collection('cobros').doc(String(cobroId));
+  const cobroSnap = await cobroRef.get();
+  if (!cobroSnap.exists) return { ok: false, reason: 'not_found' };
+  const cobro = cobroSnap.data() || {};
+  const ocurrencias = Array.isArray(cobro.ocurrencias) ? cobro.ocurrencias : [];
+  const lineaId = (fecha) => `${info.id}_${fecha}`;
+
+  if (info.status !== 'approved') {
+    const target = MP_STATUS_TO_ESTADO[info.status];
+    const kind = REVERSAL_KIND[target];
+    await cobroRef.set({ pago: buildPagoFromPayment(info), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    if (!kind) return { ok: true, cobroId, estado: cobro.estado };
+
+    const fechas = [];
+    for (const o of ocurrencias) {
+      const changed = await db.runTransaction(async (tx) => {
+        const ref = reservaRef(complejoId, o.reservaId);
+        const snap = await tx.get(ref);
+        const r = snap.data() || {};
+        if (String(r.pago?.mp_payment_id) !== String(info.id) || !canTransition(r.estado, target)) return false;
+        writeAudit(tx, {
+          complejoId,
+          entidad: 'reserva',
+          entidadId: o.reservaId,
+          reservaId: o.reservaId,
+          accion: target,
+          actor: ACTOR_WEBHOOK,
+          mp_payment_id: info.id,
+          antes: auditReserva(r),
+          despues: auditReserva({ ...r, estado: target, pago: { ...r.pago, status: info.status } }),
+          detalle: { serieId, cobroId },
+        });
+        tx.set(ref, { estado: target, pago: { status: info.status }, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+        return true;
+      });
+      await reverseDailySettlement({ complejoId, fecha: o.fecha, mp_payment_id: lineaId(o.fecha), kind, status: info.status });
+      if (changed) fechas.push(o.fecha);
+    }
+    await cobroRef.set({ estado: target }, { merge: true });
+    return { ok: true, cobroId, estado: target, fechas };
+  }
+
+  const aplicadas = [];
+  const devolver = [];
+  for (const o of ocurrencias) {
+    const out = await db.runTransaction(async (tx) => {
+      const ref = reservaRef(complejoId, o.reservaId);
+      const snap = await tx.get(ref);
+      if (!snap.exists) return 'devolver';
+      const r = snap.data() || {};
+      if (r.pago?.mp_payment_id != null && String(r.pago.mp_payment_id) === String(info.id)) return 'aplicada';
+      if (r.estado !== 'confirmada' || r.pago) return 'devolver';
+
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'reserva',
+        entidadId: o.reservaId,
+        reservaId: o.reservaId,
+        accion: 'pagada',
+        actor: ACTOR_WEBHOOK,
+        mp_payment_id: info.id,
+        antes: auditReserva(r),
+        despues: auditReserva({
+          ...r,
+          pago: { status: info.status, mp_payment_id: info.id, amount_total: round2(o.base + o.commission) },
+          saldo_pendiente: computeSaldo(r.precio ?? o.base, o.base),
+        }),
+        detalle: { serieId, cobroId },
+      });
+      tx.set(ref, {
+        pago: {
+          ...buildPagoFromPayment(info),
+          amount: round2(o.base + o.commission),
+          amount_base: r.precio ?? o.base,
+          amount_base_fraction: o.base,
+          commission: o.commission,
+          amount_total: round2(o.base + o.commission),
+          payFull: true,
+          deposit_pct: null,
+          serie: true,
+          cobroId,
+          settlement_id: lineaId(o.fecha),
+        },
+        saldo_pendiente: computeSaldo(r.precio ?? o.base, o.base),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return 'aplicada';
+    });
+    (out === 'aplicada' ? aplicadas : devolver).push(o);
+  }
+
+  // cada fecha se liquida en su día (idempotente por línea)
+  for (const o of aplicadas) {
+    await upsertDailySettlement({
+      complejoId,
+      fecha: o.fecha,
+      paymentInfo: {
+        id: lineaId(o.fecha),
+        status: info.status,
+        transaction_amount: round2(o.base + o.commission),
+        metadata: {
+          payFull: true,
+          deposit_pct: null,
+          base_fraction_amount: o.base,
+          commission: o.commission,
+          commission_rule: o.commission_rule ?? null,
+          total: round2(o.base + o.commission),
+          serieId,
+          reservaId: o.reservaId,
+          mp_payment_id: info.id,
+        },
+      },
+    });
+  }
+
+  const reembolsos = [];
+  for (const o of devolver) {
+    const monto = round2(o.base + o.commission);
+    try {
+      const refund = await payments.refund({
+        paymentId: info.id,
+        amount: monto,
+        idempotencyKey: `serie_${info.id}_${o.reservaId}`,
+      });
+      reembolsos.push({ fecha: o.fecha, monto, ok: true, refund_id: refund?.id ?? null });
+    } catch (err) {
+      console.error('[serie] refund error:', serieId, o.fecha, err);
+      reembolsos.push({ fecha: o.fecha, monto, ok: false, error: String(err?.message || err) });
+    }
+  }
+  if (devolver.length) console.warn('[WEBHOOK] fechas de turno fijo sin poder aplicar, se devuelven:', serieId, devolver.map((o) => o.fecha));
+
+  await cobroRef.set({
+    estado: 'pagado',
+    pago: buildPagoFromPayment(info),
+    aplicadas: aplicadas.map((o) => o.fecha),
+    reembolsos,
+    updatedAt: FieldValue.serverTimestamp(),
+  }, { merge: true });
+  return { ok: true, cobroId, aplicadas: aplicadas.map((o) => o.fecha), reembolsos };
+}
+
+/* ============================================================
+   Lista de espera
+   ============================================================
+   complejos/{id}/waitlist/{entryId}: { fecha, hora, tipo, userId, payFull,
+   estado: esperando | ofrecida | tomada | vencida | cancelada }.
+   Cuando un slot se libera (cancelación, hold vencido en el sweep o pago
+   rechazado) se le ofrece al primero en espera: se crea una reserva pending
+   con hold de WAITLIST_HOLD_MINUTES y su preferencia de MP, y el link queda
+   en entry.oferta. Si no paga a tiempo, el sweep vence el hold y el slot
+   pasa al siguiente. */
+const WAITLIST_HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES) || 30;
+
+function waitlistRef(complejoId) {
+  return db.collection('complejos').doc(String(complejoId)).collection('waitlist');
+}
+
+function waitlistQuery(complejoId, { fecha, hora, tipo }) {
+  return waitlistRef(complejoId)
+    .where('fecha', '==', String(fecha))
+    .where('hora', '==', String(hora))
+    .where('tipo', '==', Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo));
+}
+
+/** Pasa la entrada de la lista de espera de una reserva ofrecida a `estado`. */
+async function closeWaitlistOffer({ complejoId, reserva, estado, motivo }) {
+  if (!reserva?.waitlistId) return;
+  const ref = waitlistRef(complejoId).doc(String(reserva.waitlistId));
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data()?.estado !== 'ofrecida') return;
+    tx.set(ref, {
+      estado,
+      motivo: motivo || null,
+      cerradaAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
     }, { merge: true });
   });
 }
 
 /**
- * Webhook de MP (se mantiene)
+ * Ofrece el slot liberado al siguiente en espera. Sigue con el próximo si el
+ * primero no tiene precio; frena cuando no queda cupo o nadie espera.
+ * Nunca tira: un error acá no debe romper la cancelación/sweep que lo llamó.
  */
-app.post('/mp/webhook', async (req, res) => {
+async function offerFreedSlot({ complejoId, fecha, hora, tipo }) {
   try {
-    const { type, 'data.id': dataId } = { ...req.query, ...req.body?.data };
-    console.log('[WEBHOOK] query:', req.query);
-    console.log('[WEBHOOK] body:', JSON.stringify(req.body));
+    if (slotStartMs(fecha, hora) <= Date.now()) return { ofrecidas: 0 };
+    let ofrecidas = 0;
+    // entradas cuya preferencia falló en esta pasada: conservan su lugar pero no se reintentan ahora
+    const fallidas = new Set();
 
-    const paymentId = req.query?.['data.id'] || dataId;
-    if (String(type).toLowerCase() === 'payment' && paymentId) {
-      const payment = new Payment(mp);
-      const info = await payment.get({ id: paymentId });
+    for (;;) {
+      const next = await waitlistQuery(complejoId, { fecha, hora, tipo })
+        .where('estado', '==', 'esperando')
+        .orderBy('createdAt', 'asc')
+        .limit(fallidas.size + 1)
+        .get();
+      const doc = next.docs.find((d) => !fallidas.has(d.id));
+      if (!doc) break;
+      const entryRef = doc.ref;
 
-      console.log('[PAYMENT]', {
-        id: info.id,
-        status: info.status,
-        external_reference: info.external_reference,
-        transaction_amount: info.transaction_amount,
-      });
-
-      if (info.status === 'approved') {
-        const ref = String(info.external_reference || '');
-        const [complejoId, fecha, tipo, hora] = ref.split('|');
-        if (complejoId && fecha && tipo && hora) {
-          const reservasRef = db.collection('complejos').doc(complejoId).collection('reservas');
-          const snap = await reservasRef
-            .where('fecha', '==', fecha)
-            .where('tipo', '==', Number(tipo))
-            .where('hora', '==', hora)
-            .where('estado', 'in', ['pending', 'pendiente'])
-            .limit(1).get();
-
-          if (!snap.empty) {
-            const docRef = snap.docs[0].ref;
-            const m = info?.metadata || {};
-            await docRef.set({
-              estado: 'confirmada',
-              pago: {
-                mp_payment_id: info.id,
-                status: info.status,
-                date_approved: info.date_approved || FieldValue.serverTimestamp(),
-                amount: info.transaction_amount,
-                amount_base: m.basePrice ?? null,
-                amount_base_fraction: m.base_fraction_amount ?? null,
-                commission: m.commission_fixed ?? COMMISSION_FIXED,
-                amount_total: m.total ?? info.transaction_amount,
-                payFull: m.payFull ?? null,
-                deposit_pct: m.deposit_pct ?? null,
-                manual: false,
-              },
-              updatedAt: FieldValue.serverTimestamp(),
-            }, { merge: true });
-
-            await upsertDailySettlement({ complejoId, fecha, paymentInfo: info });
-          } else {
-            console.log('[WEBHOOK] No se encontró reserva pendiente para', ref);
-          }
+      const hold = await db.runTransaction(async (tx) => {
+        const entrySnap = await tx.get(entryRef);
+        const e = entrySnap.data() || {};
+        if (e.estado !== 'esperando') return { ok: false, reason: 'taken' };
+
+        const slot = await readSlotCapacity(tx, { complejoId, fecha, hora, tipo });
+        if (slot.libres <= 0) return { ok: false, reason: 'capacity' };
+        const price = computeReservaPrice({ complejo: slot.complejo, tipo, fecha, hora, payFull: e.payFull });
+        if (!price) {
+          tx.set(entryRef, { estado: 'vencida', motivo: 'sin_precio', updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+          return { ok: false, reason: 'price' };
         }
-      }
-    }
+        const fee = computeCommission({ complejo: slot.complejo, kind: price.payFull ? 'full' : 'deposit', amount: price.baseFractionAmount });
 
-    res.sendStatus(200);
-  } catch (err) {
-    console.error('webhook error:', err);
-    res.sendStatus(200);
-  }
-});
+        const holdUntil = Timestamp.fromMillis(Date.now() + WAITLIST_HOLD_MINUTES * 60 * 1000);
+        const resRef = slot.reservasRef.doc();
+        tx.set(resRef, {
+          key: `${fecha}|${tipo}|${hora}`,
+          fecha: String(fecha),
+          hora: String(hora),
+          tipo: Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo),
+          userId: String(e.userId),
+          nombre: e.nombre || null,
+          email: e.email || null,
+          estado: 'pending',
+          holdUntil,
+          precio: price.basePrice,
+          saldo_pendiente: computeSaldo(price.basePrice, price.baseFractionAmount),
+          waitlistId: entryRef.id,
+          createdAt: FieldValue.serverTimestamp(),
+          createdBy: 'waitlist',
+          channel: 'mp',
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        writeAudit(tx, {
+          complejoId,
+          entidad: 'reserva',
+          entidadId: resRef.id,
+          reservaId: resRef.id,
+          accion: 'creada',
+          actor: ACTOR_SISTEMA,
+          antes: null,
+          despues: auditReserva({ estado: 'pending', holdUntil, precio: price.basePrice, saldo_pendiente: computeSaldo(price.basePrice, price.baseFractionAmount) }),
+          detalle: { channel: 'waitlist', waitlistId: entryRef.id },
+        });
+        tx.set(entryRef, {
+          estado: 'ofrecida',
+          oferta: { reservaId: resRef.id, holdUntil, ofrecidaAt: FieldValue.serverTimestamp() },
+          updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        touchSlotLock(tx, slot);
+        return { ok: true, entry: e, price, fee, resRef, holdUntil };
+      });
 
-/* =====================================================================================
-   PDF (igual que antes)
-   ===================================================================================== */
-async function getReservaDoc({ complejoId, reservaId }) {
-  const ref = db.collection('complejos').doc(complejoId).collection('reservas').doc(reservaId);
-  const snap = await ref.get();
-  if (!snap.exists) return null;
-  return { id: snap.id, ref, data: snap.data() };
-}
+      if (!hold.ok && hold.reason === 'capacity') break;
+      if (!hold.ok) continue;
 
-async function findReservaByExternalRef(external_reference) {
-  if (!external_reference) return null;
-  const [complejoId, fecha, tipo, hora] = String(external_reference).split('|');
-  if (!complejoId || !fecha || !tipo || !hora) return null;
+      const external_reference = `${complejoId}|${fecha}|${tipoKey(tipo)}|${hora}|${hold.resRef.id}`;
+      const metadata = reservaPreferenceMetadata({ price: hold.price, fee: hold.fee, reservaId: hold.resRef.id });
+      let pref;
+      try {
+        pref = await payments.createPreference(preferenceBody({
+          external_reference,
+          title: 'Reserva (lista de espera)',
+          amount: metadata.total,
+          payer: hold.entry.email ? { email: hold.entry.email } : {},
+          expiresAt: hold.holdUntil.toMillis(),
+          metadata: {
+            ...metadata,
+            complejoId, fecha, hora, tipo, userId: hold.entry.userId, userEmail: hold.entry.email || null,
+            waitlistId: entryRef.id,
+          },
+        }));
+      } catch (err) {
+        // sin link no hay oferta: se libera el hold, la entrada vuelve a esperar (primera en
+        // la fila para la próxima liberación) y el slot se ofrece al siguiente. Si MP está
+        // caído fallan todas y el slot queda libre para reservar directamente
+        console.error('[waitlist] preference error:', entryRef.id, err);
+        const batch = db.batch();
+        batch.set(hold.resRef, { estado: 'expirada', holdUntil: null, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+        writeAudit(batch, {
+          complejoId, entidad: 'reserva', entidadId: hold.resRef.id, accion: 'expirada',
+          actor: ACTOR_SISTEMA,
+          antes: { estado: 'pending' }, despues: { estado: 'expirada', holdUntil: null },
+          detalle: { motivo: 'falló la preferencia de MP', waitlistId: entryRef.id },
+        });
+        batch.set(entryRef, { estado: 'esperando', oferta: null, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+        await batch.commit();
+        fallidas.add(entryRef.id);
+        continue;
+      }
 
-  const reservasRef = db.collection('complejos').doc(complejoId).collection('reservas');
-  const q = reservasRef
-    .where('fecha', '==', fecha)
-    .where('tipo', '==', Number(tipo))
-    .where('hora', '==', hora)
-    .where('estado', '==', 'confirmada')
-    .limit(1);
-  const snap = await q.get();
-  if (snap.empty) return null;
-  const d = snap.docs[0];
-  return { id: d.id, ref: d.ref, data: d.data(), complejoId };
+      await hold.resRef.set({ mp_preference_id: pref.id }, { merge: true });
+      await entryRef.set({
+        oferta: { mp_preference_id: pref.id, init_point: pref.init_point, sandbox_init_point: pref.sandbox_init_point || null, total: metadata.total },
+      }, { merge: true });
+      console.log('[waitlist] slot ofrecido a', hold.entry.userId, { complejoId, fecha, hora, tipo, reservaId: hold.resRef.id });
+      await notify({
+        evento: 'waitlist_oferta',
+        key: `${complejoId}_${hold.resRef.id}`,
+        complejoId,
+        reservaId: hold.resRef.id,
+        jugador: { userId: hold.entry.userId, email: hold.entry.email },
+        datos: {
+          fecha, hora, tipo,
+          total: metadata.total,
+          init_point: pref.init_point,
+          vence: new Date(hold.holdUntil.toMillis() + tzOffsetMs()).toISOString().slice(11, 16),
+        },
+      });
+      ofrecidas += 1;
+    }
+    return { ofrecidas };
+  } catch (e) {
+    console.warn('[waitlist] offer warn:', e?.message || e);
+    return { ofrecidas: 0, error: String(e?.message || e) };
+  }
 }
 
-function streamReservaPDF({ res, reserva, complejoId }) {
-  const d = reserva?.data || {};
-  const doc = new PDFDocument({ size: 'A4', margin: 48 });
+/** Anotarse en la lista de espera de un slot lleno. Body: { complejoId, fecha, hora, tipo, payFull } */
+app.post('/waitlist', authenticate, async (req, res) => {
+  try {
+    const { complejoId, fecha, hora, tipo, payFull = false, name } = req.body || {};
+    if (!complejoId || !isFecha(fecha) || !HORA_RE.test(String(hora || '')) || tipo == null) {
+      return res.status(400).json({ error: true, message: 'Faltan complejoId, fecha, hora o tipo' });
+    }
+    if (slotStartMs(fecha, hora) <= Date.now()) return res.status(409).json({ error: true, message: 'El turno ya pasó' });
 
-  const fileName = `reserva-${reserva?.id || 'comprobante'}.pdf`;
-  res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
-  doc.pipe(res);
+    const userId = req.user.uid;
+    const result = await db.runTransaction(async (tx) => {
+      const slot = await readSlotCapacity(tx, { complejoId, fecha, hora, tipo });
+      if (slot.motivo) return { ok: false, status: 409, message: `El slot no se puede reservar (${slot.motivo})` };
+      if (slot.libres > 0) return { ok: false, status: 409, message: 'Hay lugar: reservá directamente', libres: slot.libres };
 
-  doc.fontSize(18).text('Comprobante de Reserva', { align: 'center' }).moveDown(0.5);
-  doc.fontSize(10).fillColor('#666')
-    .text(`Complejo: ${d.complejoNombre || d.complejoName || complejoId || '—'}`, { align: 'center' })
-    .text(`Reserva ID: ${reserva?.id || '—'}`, { align: 'center' })
-    .text(`Fecha de emisión: ${new Date().toLocaleString('es-AR')}`, { align: 'center' })
-    .fillColor('#000').moveDown(1.2);
+      const activas = await tx.get(waitlistQuery(complejoId, { fecha, hora, tipo }).where('estado', 'in', ['esperando', 'ofrecida']));
+      const esperando = activas.docs.filter((d) => d.data()?.estado === 'esperando');
+      const mia = activas.docs.find((d) => String(d.data()?.userId) === String(userId));
+      if (mia) {
+        const posicion = esperando.filter((d) => toMillis(d.data()?.createdAt) < toMillis(mia.data().createdAt)).length + 1;
+        return { ok: true, id: mia.id, estado: mia.data().estado, posicion, existente: true, oferta: ofertaPublica(mia.data()) };
+      }
 
-  const kv = (k, v) => { doc.font('Helvetica-Bold').text(`${k}: `, { continued: true }); doc.font('Helvetica').text(String(v ?? '—')); };
+      const ref = waitlistRef(complejoId).doc();
+      tx.set(ref, {
+        fecha: String(fecha),
+        hora: String(hora),
+        tipo: Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo),
+        userId: String(userId),
+        nombre: name || null,
+        email: req.user.email || null,
+        payFull: !!payFull,
+        estado: 'esperando',
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return { ok: true, id: ref.id, estado: 'esperando', posicion: esperando.length + 1 };
+    });
 
-  kv('Estado', (d.estado || '').toUpperCase());
-  kv('Fecha', d.fecha);
-  kv('Hora', d.hora);
-  kv('Tipo de cancha', `F${d.tipo}`);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: true, message: result.message, libres: result.libres });
+    }
+    res.status(result.existente ? 200 : 201).json({ ok: true, complejoId, ...result });
+  } catch (e) {
+    console.error('waitlist error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
+  }
+});
 
-  const nombre = d.fullName || d.nombre || d.displayName || '—';
-  kv('A nombre de', nombre);
-  if (d.telefono || d.phone) kv('Teléfono', d.telefono || d.phone);
-  if (d.email) kv('Email', d.email);
+/** Oferta de una entrada tal como la ve el jugador (link de pago y vencimiento), o null. */
+function ofertaPublica(e) {
+  if (e?.estado !== 'ofrecida' || !e.oferta) return null;
+  const o = e.oferta;
+  return {
+    reservaId: o.reservaId || null,
+    init_point: o.init_point || null,
+    sandbox_init_point: o.sandbox_init_point || null,
+    total: o.total ?? null,
+    vence: o.holdUntil ? new Date(toMillis(o.holdUntil)).toISOString() : null,
+  };
+}
 
-  doc.moveDown(0.6);
-  doc.font('Helvetica-Bold').text('Pago', { underline: true }).moveDown(0.2);
-  const pago = d.pago || {};
-  kv('Estado del pago', pago.status || '—');
-  kv('Importe total', pago.amount_total != null ? `$${Number(pago.amount_total).toLocaleString('es-AR')}` : (pago.amount != null ? `$${Number(pago.amount).toLocaleString('es-AR')}` : '—'));
-  if (pago.amount_base_fraction != null) kv('Reserva (según modalidad)', `$${Number(pago.amount_base_fraction).toLocaleString('es-AR')}`);
-  if (pago.commission != null) kv('Comisión YoReservo', `$${Number(pago.commission).toLocaleString('es-AR')}`);
-  if (pago.mp_payment_id) kv('MP Payment ID', pago.mp_payment_id);
-  if (pago.manual) kv('Carga manual verificada', 'Sí');
+/** Estado de una entrada (titular o staff): posición mientras espera, link de pago si tiene oferta. */
+app.get('/waitlist/:complejoId/:id', authenticate, async (req, res) => {
+  try {
+    const { complejoId, id } = req.params;
+    const snap = await waitlistRef(complejoId).doc(String(id)).get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Entrada no encontrada' });
+    const e = snap.data() || {};
+    if (!canSeeReserva(req.user, { complejoId, data: e })) {
+      return res.status(403).json({ error: true, message: 'La entrada no es tuya' });
+    }
 
-  doc.moveDown(1);
-  doc.fontSize(9).fillColor('#555')
-    .text('Este comprobante certifica que la reserva fue registrada como CONFIRMADA según la información provista por el complejo y la plataforma de pago. Conservalo para tu ingreso.', { align: 'left' })
-    .fillColor('#000');
-  doc.end();
-}
+    let posicion = null;
+    if (e.estado === 'esperando') {
+      const activas = await waitlistQuery(complejoId, { fecha: e.fecha, hora: e.hora, tipo: e.tipo }).where('estado', '==', 'esperando').get();
+      posicion = activas.docs.filter((d) => toMillis(d.data()?.createdAt) < toMillis(e.createdAt)).length + 1;
+    }
+    res.json({
+      ok: true,
+      id: snap.id,
+      complejoId,
+      fecha: e.fecha,
+      hora: e.hora,
+      tipo: e.tipo,
+      estado: e.estado,
+      posicion,
+      oferta: ofertaPublica(e),
+    });
+  } catch (err) {
+    console.error('waitlist get error:', err);
+    res.status(500).json({ error: true, message: String(err?.message || err) });
+  }
+});
 
-app.get('/receipt/:complejoId/:reservaId.pdf', async (req, res) => {
+/** Salir de la lista de espera (titular o staff). Si tenía una oferta activa, el slot pasa al siguiente. */
+app.delete('/waitlist/:complejoId/:id', authenticate, async (req, res) => {
   try {
-    const { complejoId, reservaId } = req.params || {};
-    if (!complejoId || !reservaId) return res.status(400).send('Faltan parámetros');
-    const reserva = await getReservaDoc({ complejoId, reservaId });
-    if (!reserva) return res.status(404).send('Reserva no encontrada');
-    streamReservaPDF({ res, reserva, complejoId });
-  } catch (e) {
-    console.error('receipt error:', e);
-    res.status(500).send('Error generando PDF');
+    const { complejoId, id } = req.params;
+    const ref = waitlistRef(complejoId).doc(String(id));
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Entrada no encontrada' });
+    const e = snap.data() || {};
+    if (!canSeeReserva(req.user, { complejoId, data: e })) {
+      return res.status(403).json({ error: true, message: 'La entrada no es tuya' });
+    }
+    if (!['esperando', 'ofrecida'].includes(e.estado)) {
+      return res.status(409).json({ error: true, message: `La entrada está ${e.estado}` });
+    }
+
+    await ref.set({ estado: 'cancelada', updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+
+    let siguiente = null;
+    if (e.estado === 'ofrecida' && e.oferta?.reservaId) {
+      const liberada = await db.runTransaction(async (tx) => {
+        const resRef = reservaRef(complejoId, e.oferta.reservaId);
+        const r = (await tx.get(resRef)).data() || {};
+        if (!PENDING_STATES.includes(r.estado)) return false;
+        tx.set(resRef, { estado: 'expirada', holdUntil: null, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+        writeAudit(tx, {
+          complejoId, entidad: 'reserva', entidadId: e.oferta.reservaId, accion: 'expirada',
+          actor: actorOf(req.user, complejoId),
+          antes: auditReserva(r), despues: { estado: 'expirada', holdUntil: null },
+          detalle: { motivo: 'salió de la lista de espera', waitlistId: id },
+        });
+        return true;
+      });
+      if (liberada) siguiente = await offerFreedSlot({ complejoId, fecha: e.fecha, hora: e.hora, tipo: e.tipo });
+    }
+    res.json({ ok: true, id, estado: 'cancelada', ofrecidas: siguiente?.ofrecidas ?? 0 });
+  } catch (err) {
+    console.error('waitlist delete error:', err);
+    res.status(500).json({ error: true, message: String(err?.message || err) });
   }
 });
 
-app.get('/receipt/by-ref', async (req, res) => {
+/** Lista de espera del complejo (staff). ?fecha=YYYY-MM-DD&estado= */
+app.get('/complejos/:complejoId/waitlist', authenticate, requireStaff(), async (req, res) => {
   try {
-    const { external_reference } = req.query || {};
-    if (!external_reference) return res.status(400).send('Falta external_reference');
-    const reserva = await findReservaByExternalRef(String(external_reference));
-    if (!reserva) return res.status(404).send('Reserva no encontrada o no confirmada');
-    streamReservaPDF({ res, reserva, complejoId: reserva.complejoId });
+    let q = waitlistRef(req.params.complejoId);
+    if (req.query?.fecha) q = q.where('fecha', '==', String(req.query.fecha));
+    if (req.query?.estado) q = q.where('estado', '==', String(req.query.estado));
+    const snap = await q.limit(500).get();
+    const items = snap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+    res.json({ ok: true, items });
   } catch (e) {
-    console.error('receipt/by-ref error:', e);
-    res.status(500).send('Error generando PDF');
+    console.error('waitlist list error:', e);
+    res.status(500).json({ error: true, message: String(e?.message || e) });
   }
 });
 
 /* =========================================================================
    💠 Endpoints isCheck con chequeo de cupos ATÓMICO
    ========================================================================= */
-function normalizeTipoVariants(tipo) {
-  const out = [];
-  const n = Number(tipo);
-  if (Number.isFinite(n)) out.push(n);
-  out.push(String(tipo));
-  // quitar duplicados
-  return Array.from(new Set(out));
+/* ------------------------------------------------------------------
+   Alta de checks (transferencia con comprobante)
+   ------------------------------------------------------------------
+   POST /checks { complejoId, fecha, hora, tipo, monto, operacion,
+                  comprobante: { data: <base64>, contentType, filename } }
+   El comprobante (imagen o PDF) va a Firebase Storage en
+   checks/{complejoId}/{sha256}.{ext}. Duplicados:
+     - mismo archivo (sha256) ya usado en otro check pendiente/aprobado → 409
+     - mismo número de operación → se crea igual, marcado para el revisor
+   Los índices viven en check_proofs/{sha256} y check_operaciones/{operacion}
+   (este guarda todos los checks con ese número: rechazar uno no oculta al resto).
+   El archivo se sube recién cuando el pedido pasó cupo y duplicados. */
+const CHECK_PROOF_MAX_BYTES = 4 * 1024 * 1024;
+const CHECK_PROOF_TYPES = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+// tipo real del archivo por sus primeros bytes (no confiamos en contentType)
+function sniffProofType(buf) {
+  if (buf.length >= 4 && buf.subarray(0, 4).toString('latin1') === '%PDF') return 'application/pdf';
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.length >= 12 && buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  return null;
+}
+
+function normalizeOperacion(op) {
+  return String(op || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// un check previo cuenta como "uso" del comprobante si no fue rechazado
+const CHECK_LIVE_STATES = ['pending', 'approved'];
+
+app.post('/checks', authenticate, async (req, res) => {
+  try {
+    const { complejoId, fecha, hora, tipo, monto, operacion, comprobante } = req.body || {};
+    if (!complejoId || !fecha || !hora || tipo == null) {
+      return res.status(400).json({ error: true, message: 'Faltan complejoId, fecha, hora o tipo' });
+    }
+    const amount = Number(monto);
+    if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ error: true, message: 'Monto inválido' });
+    const op = normalizeOperacion(operacion);
+    if (!op) return res.status(400).json({ error: true, message: 'Falta el número de operación' });
+    if (!comprobante?.data) return res.status(400).json({ error: true, message: 'Falta el comprobante' });
+
+    const buf = Buffer.from(String(comprobante.data).replace(/^data:[^,]*,/, ''), 'base64');
+    if (!buf.length || buf.length > CHECK_PROOF_MAX_BYTES) {
+      return res.status(413).json({ error: true, message: 'El comprobante está vacío o supera los 4 MB' });
+    }
+    const contentType = sniffProofType(buf);
+    if (!contentType) return res.status(415).json({ error: true, message: 'El comprobante tiene que ser una imagen (JPG, PNG, WEBP) o un PDF' });
+
+    const sha256 = crypto.createHash('sha256').update(buf).digest('hex');
+    const path = `checks/${complejoId}/${sha256}.${CHECK_PROOF_TYPES[contentType]}`;
+    const bucket = backend.bucket();
+
+    const checkRef = db.collection('checks').doc();
+    const proofRef = db.collection('check_proofs').doc(sha256);
+    const opRef = db.collection('check_operaciones').doc(op);
+
+    // cupo y duplicados; se evalúa antes de subir el archivo y otra vez al escribir
+    const evaluar = async (tx) => {
+      const slot = await readSlotCapacity(tx, { complejoId, fecha, hora, tipo });
+      const [proofSnap, opSnap] = [await tx.get(proofRef), await tx.get(opRef)];
+
+      const prevProof = proofSnap.exists ? await tx.get(db.collection('checks').doc(String(proofSnap.data().checkId))) : null;
+      // checkId: índices anteriores a la lista
+      const opIds = opSnap.exists ? [...new Set([...(opSnap.data().checkIds || []), opSnap.data().checkId].filter(Boolean).map(String))] : [];
+      const prevOps = opIds.length ? await tx.getAll(...opIds.map((id) => db.collection('checks').doc(id))) : [];
+
+      // proofUsado: el archivo ya lo referencia otro check (aunque esté rechazado)
+      const proofUsado = proofSnap.exists;
+      if (slot.libres <= 0) {
+        return { ok: false, proofUsado, status: 409, body: { message: 'Sin disponibilidad', total: slot.total, ocupadas: slot.ocupadas, libres: 0, motivo: slot.motivo || undefined } };
+      }
+      if (prevProof?.exists && CHECK_LIVE_STATES.includes(prevProof.data()?.estado)) {
+        return { ok: false, proofUsado, status: 409, body: { message: 'Este comprobante ya fue usado en otro check', checkId: prevProof.id } };
+      }
+
+      const flags = {};
+      const vivos = prevOps.filter((d) => d.exists && CHECK_LIVE_STATES.includes(d.data()?.estado));
+      // se marca contra el aprobado si lo hay
+      const prevOp = vivos.find((d) => d.data().estado === 'approved') || vivos[0];
+      if (prevOp) flags.operacion_duplicada = prevOp.id;
+
+      return { ok: true, slot, flags, proofUsado };
+    };
+
+    const pre = await db.runTransaction(evaluar);
+    if (!pre.ok) return res.status(pre.status).json({ error: true, ...pre.body });
+
+    // mismo contenido → mismo path, subirlo dos veces no duplica nada
+    await bucket.file(path).save(buf, {
+      resumable: false,
+      contentType,
+      metadata: { metadata: { uploadedBy: req.user.uid, filename: String(comprobante.filename || '') } },
+    });
+
+    const result = await db.runTransaction(async (tx) => {
+      const ev = await evaluar(tx);
+      if (!ev.ok) return ev;
+      const { slot, flags } = ev;
+
+      const price = computeReservaPrice({ complejo: slot.complejo, tipo, fecha, hora, payFull: false });
+
+      tx.set(checkRef, {
+        estado: 'pending',
+        userId: req.user.uid,
+        email: req.user.email,
+        complejoId: String(complejoId),
+        fecha: String(fecha),
+        hora: String(hora),
+        tipo: Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo),
+        monto: amount,
+        monto_esperado: price ? price.baseFractionAmount : null,
+        operacion: op,
+        comprobante: {
+          bucket: bucket.name,
+          path,
+          contentType,
+          size: buf.length,
+          sha256,
+          filename: comprobante.filename || null,
+        },
+        flags,
+        requiereRevision: Object.keys(flags).length > 0,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      tx.set(proofRef, { checkId: checkRef.id, complejoId: String(complejoId), updatedAt: FieldValue.serverTimestamp() });
+      tx.set(opRef, {
+        checkIds: FieldValue.arrayUnion(checkRef.id),
+        complejoId: String(complejoId),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      return { ok: true, flags };
+    });
+
+    if (!result.ok && !result.proofUsado) {
+      // otro pedido ganó el cupo entre la validación y la escritura: el archivo no quedó en ningún check
+      await bucket.file(path).delete().catch((e) => console.warn('[checks] delete proof warn:', path, e?.message || e));
+    }
+    if (!result.ok) return res.status(result.status).json({ error: true, ...result.body });
+    res.status(201).json({ ok: true, id: checkRef.id, estado: 'pending', flags: result.flags });
+  } catch (e) {
+    console.error('check create error:', e);
+    res.status(400).json({ error: true, message: String(e?.message || e) });
+  }
+});
+
+/** Staff del complejo al que pertenece el check (o admin). */
+async function requireCheckStaff(req, res, next) {
+  try {
+    const snap = await db.collection('checks').doc(String(req.params.id)).get();
+    if (!snap.exists) return res.status(404).json({ error: true, message: 'Check no encontrado' });
+    if (!isStaffOf(req.user, snap.data()?.complejoId)) {
+      return res.status(403).json({ error: true, message: 'Sin permisos sobre este complejo' });
+    }
+    next();
+  } catch (e) {
+    next(e);
+  }
 }
 
-app.post('/checks/:id/approve', async (req, res) => {
+app.post('/checks/:id/approve', authenticate, requireCheckStaff, async (req, res) => {
   try {
     const { id } = req.params;
-    const { reviewerUid } = req.body || {};
+    const reviewerUid = req.user.uid;
+    let fee = null;
+    let checkComplejoId = null;
 
     const result = await db.runTransaction(async (tx) => {
       const checkRef = db.collection('checks').doc(id);
@@ -443,40 +6232,29 @@ app.post('/checks/:id/approve', async (req, res) => {
       if (!userId || !complejoId || !fecha || !hora) {
         throw new Error('Datos incompletos en el check');
       }
+      checkComplejoId = complejoId;
 
-      // total canchas por tipo (mapa canchas["<tipo>"])
-      const complejoRef = db.collection('complejos').doc(String(complejoId));
-      const complejoSnap = await tx.get(complejoRef);
-      if (!complejoSnap.exists) throw new Error('Complejo no encontrado');
-
-      const map = (complejoSnap.data()?.canchas) || {};
-      const key = String(Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo));
-      const total = Number(map?.[key] ?? 0) || 1;
-
-      // count confirmadas en ese slot
-      const reservasRef = complejoRef.collection('reservas');
-      const variants = normalizeTipoVariants(tipo);
-
-      const q = reservasRef
-        .where('fecha', '==', String(fecha))
-        .where('hora', '==', String(hora))
-        .where('tipo', 'in', variants)
-        .where('estado', '==', 'confirmada')
-        .limit(total + 1);
-
-      const ocupadasSnap = await q.get();
-      const ocupadas = ocupadasSnap.size || 0;
+      const slot = await readSlotCapacity(tx, { complejoId, fecha, hora, tipo });
+      const { total, ocupadas, reservasRef } = slot;
 
-      if (ocupadas >= total) {
+      if (slot.libres <= 0) {
         return {
           ok: false,
           reason: 'capacity',
           total,
           ocupadas,
           libres: 0,
+          motivo: slot.motivo,
         };
       }
 
+      // en checks el jugador transfiere directo al complejo: la comisión la debe el complejo
+      const amount = Number(monto) || 0;
+      fee = computeCommission({ complejo: slot.complejo, kind: 'manual', amount });
+      const baseFraction = Number((amount - fee.commission).toFixed(2));
+      const precio = resolveBasePrice({ complejo: slot.complejo, tipo, fecha, hora });
+      const cancha = pickCancha(slot);
+
       // crear reserva confirmada
       const newResRef = reservasRef.doc();
       tx.set(newResRef, {
@@ -486,18 +6264,22 @@ app.post('/checks/:id/approve', async (req, res) => {
         tipo: Number.isFinite(Number(tipo)) ? Number(tipo) : String(tipo),
         userId: String(userId),
         estado: 'confirmada',
+        ...(cancha ? { cancha } : {}),
         createdAt: FieldValue.serverTimestamp(),
-        createdBy: reviewerUid || 'check-bot',
+        confirmedAt: FieldValue.serverTimestamp(),
+        createdBy: reviewerUid,
         channel: 'check',
+        precio,
+        saldo_pendiente: computeSaldo(precio, amount),
         updatedAt: FieldValue.serverTimestamp(),
         pago: {
           manual: true,
           status: 'approved',
-          amount: Number(monto) || 0,
-          amount_base: Number(monto) || 0,
-          amount_base_fraction: Number(monto) || 0,
-          commission: 0,
-          amount_total: Number(monto) || 0,
+          amount,
+          amount_base: amount,
+          amount_base_fraction: baseFraction,
+          commission: fee.commission,
+          amount_total: amount,
           date_approved: FieldValue.serverTimestamp(),
           payFull: null,
           deposit_pct: null,
@@ -505,13 +6287,41 @@ app.post('/checks/:id/approve', async (req, res) => {
         },
       });
 
+      touchSlotLock(tx, slot);
+
       // aprobar check
       tx.set(checkRef, {
         estado: 'approved',
         reviewedAt: FieldValue.serverTimestamp(),
-        reviewedBy: reviewerUid || 'check-bot',
+        reviewedBy: reviewerUid,
       }, { merge: true });
 
+      const actor = actorOf(req.user, complejoId, { bot: 'check-bot' });
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'check',
+        entidadId: id,
+        reservaId: newResRef.id,
+        accion: 'approved',
+        actor,
+        mp_payment_id: `manual_${id}`,
+        antes: { estado: c.estado },
+        despues: { estado: 'approved' },
+        detalle: { monto: amount, operacion: c.operacion ?? null, flags: c.flags ?? null },
+      });
+      writeAudit(tx, {
+        complejoId,
+        entidad: 'reserva',
+        entidadId: newResRef.id,
+        reservaId: newResRef.id,
+        accion: 'confirmada',
+        actor,
+        mp_payment_id: `manual_${id}`,
+        antes: null,
+        despues: auditReserva({ estado: 'confirmada', precio, saldo_pendiente: computeSaldo(precio, amount), pago: { status: 'approved', mp_payment_id: `manual_${id}`, amount_total: amount }, cancha }),
+        detalle: { checkId: id },
+      });
+
       return {
         ok: true,
         reservaId: newResRef.id,
@@ -528,6 +6338,7 @@ app.post('/checks/:id/approve', async (req, res) => {
         total: result.total,
         ocupadas: result.ocupadas,
         libres: result.libres,
+        motivo: result.motivo || undefined,
       });
     }
 
@@ -539,6 +6350,7 @@ app.post('/checks/:id/approve', async (req, res) => {
       await upsertDailySettlement({
         complejoId: c.complejoId,
         fecha: c.fecha,
+        actor: actorOf(req.user, c.complejoId, { bot: 'check-bot' }),
         paymentInfo: {
           id: `manual_${req.params.id}`,
           status: 'approved',
@@ -546,9 +6358,11 @@ app.post('/checks/:id/approve', async (req, res) => {
           metadata: {
             manual: true,
             manual_amount: Number(c.monto) || 0,
+            base_fraction_amount: Number(((Number(c.monto) || 0) - (fee?.commission || 0)).toFixed(2)),
             payFull: null,
             deposit_pct: null,
-            commission_fixed: 0,
+            commission: fee?.commission || 0,
+            commission_rule: fee?.rule || null,
             total: Number(c.monto) || 0,
           },
         },
@@ -557,6 +6371,8 @@ app.post('/checks/:id/approve', async (req, res) => {
       console.warn('[settlement] warn:', e?.message || e);
     }
 
+    await notifyReservaConfirmada({ complejoId: checkComplejoId, reservaId: result.reservaId });
+
     res.json(result);
   } catch (e) {
     console.error('approve error:', e);
@@ -564,10 +6380,11 @@ app.post('/checks/:id/approve', async (req, res) => {
   }
 });
 
-app.post('/checks/:id/reject', async (req, res) => {
+app.post('/checks/:id/reject', authenticate, requireCheckStaff, async (req, res) => {
   try {
     const { id } = req.params;
-    const { reviewerUid, reason } = req.body || {};
+    const reviewerUid = req.user.uid;
+    const { reason } = req.body || {};
 
     const result = await db.runTransaction(async (tx) => {
       const checkRef = db.collection('checks').doc(id);
@@ -579,21 +6396,158 @@ app.post('/checks/:id/reject', async (req, res) => {
       tx.set(checkRef, {
         estado: 'rejected',
         reviewedAt: FieldValue.serverTimestamp(),
-        reviewedBy: reviewerUid || 'check-bot',
+        reviewedBy: reviewerUid,
         reason: reason || 'Rechazado',
       }, { merge: true });
+      writeAudit(tx, {
+        complejoId: c.complejoId,
+        entidad: 'check',
+        entidadId: id,
+        accion: 'rejected',
+        actor: actorOf(req.user, c.complejoId, { bot: 'check-bot' }),
+        antes: { estado: c.estado },
+        despues: { estado: 'rejected' },
+        detalle: { reason: reason || 'Rechazado', monto: c.monto ?? null },
+      });
 
-      return { ok: true };
+      return { ok: true, check: c };
     });
 
-    res.json(result);
+    const { check: c, ...body } = result;
+    await notify({
+      evento: 'check_rechazado',
+      key: id,
+      complejoId: c.complejoId,
+      jugador: { userId: c.userId, email: c.email },
+      datos: { fecha: c.fecha, hora: c.hora, tipo: c.tipo, monto: c.monto, motivo: reason || 'Rechazado' },
+    });
+
+    res.json(body);
   } catch (e) {
     console.error('reject error:', e);
     res.status(400).json({ error: true, message: String(e?.message || e) });
   }
 });
 
+/* =========================================================================
+   Modo offline: checkout y notificaciones de MP simulados
+   =========================================================================
+   Solo con PAYMENTS_BACKEND=fake, que exige DATA_BACKEND=memory (OFFLINE=1).
+   El init_point de cada preferencia apunta a GET /dev/mp/checkout/:id, una
+   página con un botón por resultado: al elegir uno se crea el pago, se
+   entrega el webhook (firmado si hay MP_WEBHOOK_SECRET) y se vuelve a la
+   back_url como haría MP.
+   Para scripts y tests, sin pasar por la página:
+     POST /dev/mp/payments { preference_id | external_reference, status, amount }
+     POST /dev/mp/payments/:id/status { status }     refunded, charged_back, …
+     GET  /dev/mp                                    preferencias, pagos y devoluciones
+   Las respuestas incluyen el status HTTP con el que contestó /mp/webhook. */
+const DEV_CHECKOUT_BACK = { approved: 'success', pending: 'pending', in_process: 'pending', rejected: 'failure' };
+
+if (payments.nombre === 'fake') {
+  const devError = (res, e) => res.status(e?.status || 500).json({ error: true, message: String(e?.message || e) });
+  const htmlEscape = (x) => String(x).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+  app.get('/dev/mp', (req, res) => res.json(payments.dump()));
+
+  app.get('/dev/mp/checkout/:id', async (req, res) => {
+    const pref = await payments.getPreference(req.params.id);
+    if (!pref) return res.status(404).json({ error: true, message: 'Preferencia inexistente' });
+
+    const item = pref.body.items?.[0] || {};
+    const boton = (status, label) => `<button name="status" value="${status}">${label}</button>`;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(`<!doctype html>
+<html>
+<head>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Checkout simulado</title>
+  <style>
+    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;padding:24px;background:#fafafa}
+    .box{max-width:560px;margin:auto;border:1px solid #eee;border-radius:12px;padding:24px;background:#fff}
+    button{margin:4px 8px 0 0;padding:8px 14px;font-weight:700}
+  </style>
+</head>
+<body>
+  <div class="box">
+    <h2>Checkout simulado (offline)</h2>
+    <p>${htmlEscape(item.title || '')}: <b>$ ${htmlEscape(item.unit_price ?? '')}</b></p>
+    <p><small>${htmlEscape(pref.body.external_reference || '')}</small></p>
+    <form method="post">
+      ${boton('approved', 'Aprobar')}${boton('pending', 'Dejar pendiente')}${boton('rejected', 'Rechazar')}
+    </form>
+  </div>
+</body>
+</html>`);
+  });
+
+  app.post('/dev/mp/checkout/:id', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+      const status = DEV_CHECKOUT_BACK[req.body?.status] ? req.body.status : 'approved';
+      const { payment, webhook } = await payments.pay({ preferenceId: req.params.id, status });
+
+      const pref = await payments.getPreference(req.params.id);
+      const back = pref?.body?.back_urls?.[DEV_CHECKOUT_BACK[status]];
+      if (!back) return res.json({ payment, webhook });
+
+      const qs = new URLSearchParams({
+        payment_id: String(payment.id),
+        status: payment.status,
+        external_reference: payment.external_reference || '',
+        preference_id: req.params.id,
+      });
+      res.redirect(303, `${back}${back.includes('?') ? '&' : '?'}${qs}`);
+    } catch (e) {
+      devError(res, e);
+    }
+  });
+
+  app.post('/dev/mp/payments', async (req, res) => {
+    try {
+      const { preference_id, external_reference, status = 'approved', amount } = req.body || {};
+      if (!preference_id && !external_reference) {
+        return res.status(400).json({ error: true, message: 'Falta preference_id o external_reference' });
+      }
+      const out = await payments.pay({
+        preferenceId: preference_id,
+        external_reference,
+        status,
+        amount: amount != null ? Number(amount) : undefined,
+      });
+      res.status(201).json(out);
+    } catch (e) {
+      devError(res, e);
+    }
+  });
+
+  app.post('/dev/mp/payments/:id/status', async (req, res) => {
+    try {
+      if (!req.body?.status) return res.status(400).json({ error: true, message: 'Falta status' });
+      res.json(await payments.setStatus(req.params.id, String(req.body.status)));
+    } catch (e) {
+      devError(res, e);
+    }
+  });
+}
+
+if (backend.nombre === 'memory') {
+  console.warn('[WARN] DATA_BACKEND=memory: los datos viven en memoria y se pierden al reiniciar. Tokens: "Bearer dev:<uid>".');
+}
+if (payments.nombre === 'fake') {
+  console.warn('[WARN] PAYMENTS_BACKEND=fake: Mercado Pago simulado, los cobros no son reales (ver /dev/mp).');
+}
+
 // Puesto en marcha
-app.listen(PORT, () => {
-  console.log(`MP backend listening on :${PORT}`);
-});
+function listen(port = PORT) {
+  const server = app.listen(port, () => {
+    listeningPort = server.address().port;
+    console.log(`MP backend listening on :${listeningPort}`);
+  });
+  return server;
+}
+
+// escucha solo como entrypoint (`node server.js`); importado desde los tests no
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) listen();
+
+// para levantar el backend desde tests (OFFLINE=1) e inspeccionar datos y pagos
+export { app, backend, payments, listen };
@@ -0,0 +1,47 @@
+// test/calendario.test.js
+/* Feed ICS: un turno que estuvo confirmado sale con STATUS:CANCELLED al
+   cancelarse, aunque nunca haya tenido pago (turnos fijos). */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline } from './helpers.js';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    env: { ICS_FEED_SECRET: 'ics-test' },
+    docs: { 'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 2 }, precios: { 5: 10000 } } },
+  });
+});
+after(() => ctx.close());
+
+/** VEVENTs del feed del complejo, por UID. */
+async function eventos() {
+  const { body } = await ctx.call('GET', '/complejos/c1/calendar', { uid: 's1' });
+  const ics = await ctx.call('GET', new URL(body.url, ctx.base).pathname);
+  assert.equal(ics.status, 200);
+  return Object.fromEntries(ics.body.split('BEGIN:VEVENT').slice(1)
+    .map((ev) => [ev.match(/UID:(\S+)/)[1], ev]));
+}
+
+test('un turno fijo cancelado queda en el feed como cancelado', async () => {
+  const { call } = ctx;
+  // lunes 6 y 13 de mayo de 2030
+  const serie = await call('POST', '/complejos/c1/series', {
+    uid: 's1',
+    body: { userId: 'u1', tipo: 5, dia: 1, hora: '20:00', desde: '2030-05-01', hasta: '2030-05-14' },
+  });
+  assert.equal(serie.status, 200);
+  assert.equal(serie.body.creadas.length, 2);
+  const [primera, segunda] = serie.body.creadas;
+
+  assert.equal((await call('POST', `/reservas/c1/${primera.reservaId}/cancel`, { uid: 'u1' })).status, 200);
+
+  // un hold que se cancela antes de pagar nunca estuvo en el calendario
+  const pref = await call('POST', '/mp/create-preference', { uid: 'u2', body: { complejoId: 'c1', fecha: '2030-05-06', hora: '21:00', tipo: 5 } });
+  assert.equal((await call('POST', `/reservas/c1/${pref.body.reservaId}/cancel`, { uid: 'u2' })).status, 200);
+
+  const ev = await eventos();
+  assert.match(ev[`c1-${primera.reservaId}@yoreservo`], /STATUS:CANCELLED/);
+  assert.match(ev[`c1-${segunda.reservaId}@yoreservo`], /STATUS:CONFIRMED/);
+  assert.equal(ev[`c1-${pref.body.reservaId}@yoreservo`], undefined);
+});
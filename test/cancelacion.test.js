@@ -0,0 +1,53 @@
+// test/cancelacion.test.js
+/* POST /reservas/:complejoId/:reservaId/cancel: permisos y efectos. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline } from './helpers.js';
+
+const F = '2030-03-15';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: {
+      'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 2 }, precios: { 5: 10000 } },
+      // cancelada con la devolución en error: el dueño (o el staff) la puede reintentar
+      'complejos/c1/reservas/r-error': {
+        estado: 'cancelada', userId: 'u1', fecha: F, hora: '18:00', tipo: 5,
+        pago: { mp_payment_id: '123', amount: 4000 },
+        reembolso: { estado: 'error', monto: 3000, base: 3000, comision: 0, manual: false },
+      },
+    },
+  });
+});
+after(() => ctx.close());
+
+test('otro jugador no puede reintentar la devolución de una reserva ajena', async () => {
+  const r = await ctx.call('POST', `/reservas/c1/r-error/cancel`, { uid: 'u2' });
+  assert.equal(r.status, 403);
+  assert.equal(r.body.reembolso, undefined);
+  assert.equal(ctx.payments.dump().refunds.length, 0);
+});
+
+test('una reserva ya cancelada sin error no se vuelve a cancelar', async () => {
+  await ctx.db.doc('complejos/c1/reservas/r-ok').set({ estado: 'cancelada', userId: 'u1', fecha: F, hora: '18:00', tipo: 5 });
+  assert.equal((await ctx.call('POST', '/reservas/c1/r-ok/cancel', { uid: 'u1' })).status, 409);
+  assert.equal((await ctx.call('POST', '/reservas/c1/r-ok/cancel', { uid: 'u2' })).status, 403);
+});
+
+test('cancelar un hold sin pagar devuelve el uso del código promocional', async () => {
+  const promo = await ctx.call('POST', '/complejos/c1/promos', { uid: 's1', body: { code: 'UNAVEZ', modo: 'porcentaje', valor: 10, usos_max: 1 } });
+  assert.ok([200, 201].includes(promo.status));
+
+  const hold = await ctx.call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha: F, hora: '21:00', tipo: 5, promo_code: 'UNAVEZ' } });
+  assert.equal(hold.status, 200);
+  const cancel = await ctx.call('POST', `/reservas/c1/${hold.body.reservaId}/cancel`, { uid: 'u1' });
+  assert.equal(cancel.status, 200);
+
+  const p = (await ctx.db.doc('complejos/c1/promos/UNAVEZ').get()).data();
+  assert.equal(p.usos, 0);
+  assert.equal(p.usos_restantes, 1);
+
+  const otro = await ctx.call('POST', '/mp/create-preference', { uid: 'u2', body: { complejoId: 'c1', fecha: F, hora: '22:00', tipo: 5, promo_code: 'UNAVEZ' } });
+  assert.equal(otro.status, 200);
+});
@@ -0,0 +1,59 @@
+// test/checks.test.js
+/* POST /checks: duplicados por número de operación, archivos y tamaño. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline, comprobante, PNG } from './helpers.js';
+
+const F = '2030-03-15';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: {
+      'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 5 }, precios: { 5: 10000 } },
+      'complejos/c2': { nombre: 'Complejo Lleno', canchas: { 5: 1 }, precios: { 5: 10000 } },
+      'complejos/c2/reservas/r1': { estado: 'confirmada', userId: 'u2', fecha: F, hora: '20:00', tipo: 5 },
+    },
+  });
+});
+after(() => ctx.close());
+
+const crear = (hora, extra = {}) => ctx.call('POST', '/checks', {
+  uid: 'u1',
+  body: { complejoId: 'c1', fecha: F, hora, tipo: 5, monto: 3000, operacion: 'OP-9', ...extra },
+});
+
+test('rechazar un duplicado no oculta el check aprobado con ese número de operación', async () => {
+  const a = await crear('17:00', { comprobante: comprobante(10) });
+  assert.equal(a.status, 201);
+  assert.deepEqual(a.body.flags, {});
+  assert.equal((await ctx.call('POST', `/checks/${a.body.id}/approve`, { uid: 's1' })).status, 200);
+
+  const b = await crear('18:00', { comprobante: comprobante(11) });
+  assert.equal(b.status, 201);
+  assert.equal(b.body.flags.operacion_duplicada, a.body.id);
+  assert.equal((await ctx.call('POST', `/checks/${b.body.id}/reject`, { uid: 's1', body: { reason: 'duplicado' } })).status, 200);
+
+  const c = await crear('19:00', { comprobante: comprobante(12) });
+  assert.equal(c.status, 201);
+  assert.equal(c.body.flags.operacion_duplicada, a.body.id);
+});
+
+test('un pedido sin cupo no sube el comprobante', async () => {
+  const antes = ctx.backend.files.size;
+  const r = await crear('20:00', { complejoId: 'c2', operacion: 'OP-10', comprobante: comprobante(20) });
+  assert.equal(r.status, 409);
+  assert.equal(ctx.backend.files.size, antes);
+});
+
+test('el comprobante puede llegar a 4 MB y no más', async () => {
+  const limite = 4 * 1024 * 1024;
+  const archivo = (n) => ({ data: Buffer.concat([PNG, Buffer.alloc(n - PNG.length, 7)]).toString('base64'), filename: 'grande.png' });
+
+  const ok = await crear('21:00', { operacion: 'OP-11', comprobante: archivo(limite) });
+  assert.equal(ok.status, 201);
+
+  const grande = await crear('22:00', { operacion: 'OP-12', comprobante: archivo(limite + 1) });
+  assert.equal(grande.status, 413);
+  assert.match(grande.body.message, /4 MB/);
+});
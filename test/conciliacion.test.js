@@ -0,0 +1,92 @@
+// test/conciliacion.test.js
+/* POST /admin/reconcile con MP "real" contra un stub local (MP_API_URL). */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline } from './helpers.js';
+import { startMpStub } from './mp-stub.js';
+
+const F = '2030-03-15';
+const HOY = new Date().toISOString().slice(0, 10);
+const metadata = { total: 4000, base_fraction_amount: 3000, commission: 1000, payFull: false, deposit_pct: 30 };
+const pago = (id, reservaId, extra = {}) => ({
+  id,
+  status: 'approved',
+  external_reference: `c1|${F}|5|20:00|${reservaId}`,
+  transaction_amount: 4000,
+  metadata: { ...metadata, reservaId },
+  date_created: new Date().toISOString(),
+  ...extra,
+});
+
+let ctx;
+let stub;
+before(async () => {
+  stub = await startMpStub([
+    pago(1001, 'r1'), pago(1002, 'r1'),
+    pago(1003, 'r2'), pago(1004, 'r3'), pago(1005, 'r4'), pago(1006, 'r5'), pago(1007, 'r6'),
+  ]);
+  const reserva = (estado, mpId, extra = {}) => ({
+    estado, userId: 'u2', fecha: F, hora: '21:00', tipo: 5,
+    pago: { mp_payment_id: mpId, status: 'approved', amount: 4000 },
+    ...extra,
+  });
+  ctx = await startOffline({
+    docs: {
+      'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 2 }, precios: { 5: 10000 } },
+      // confirmada por 1001 sin línea en la liquidación; 1002 es un segundo cobro de la misma preferencia
+      'complejos/c1/reservas/r1': {
+        estado: 'confirmada', userId: 'u1', fecha: F, hora: '20:00', tipo: 5,
+        pago: { mp_payment_id: 1001, status: 'approved', amount: 4000 },
+      },
+      // cobrados sin turno: sin devolución registrada se reportan
+      'complejos/c1/reservas/r2': reserva('sin_cupo', 1003),
+      'complejos/c1/reservas/r3': reserva('sin_cupo', 1004, { reembolso: { estado: 'emitido', mp_payment_id: 1004 } }),
+      'complejos/c1/reservas/r4': reserva('cancelada', 1005, { reembolso: { estado: 'error', monto: 4000 } }),
+      'complejos/c1/reservas/r5': reserva('cancelada', 1006, { reembolso: { estado: 'no_corresponde', monto: 0 } }),
+      'complejos/c1/reservas/r6': reserva('reembolsada', 1007),
+    },
+    env: { OFFLINE: '', DATA_BACKEND: 'memory', PAYMENTS_BACKEND: 'mercadopago', MP_ACCESS_TOKEN: 'TEST-token', MP_API_URL: stub.url },
+  });
+});
+after(async () => {
+  await ctx.close();
+  await stub.close();
+});
+
+const reconcile = (body) => ctx.call('POST', '/admin/reconcile', { uid: 'a1', body: { desde: HOY, hasta: HOY, ...body } });
+
+test('busca en MP con el token y reporta la liquidación faltante y el cobro doble', async () => {
+  const r = await reconcile();
+  assert.equal(r.status, 200);
+  assert.equal(stub.requests[0].auth, 'Bearer TEST-token');
+  assert.equal(r.body.pagos_revisados, 7);
+  assert.equal(r.body.totales.confirmada_sin_liquidacion, 1);
+  assert.equal(r.body.totales.approved_sin_reserva, 0);
+  assert.equal(r.body.totales.pago_duplicado, 1);
+  assert.equal(r.body.issues.pago_duplicado[0].mp_payment_id, 1002);
+  assert.equal(r.body.issues.pago_duplicado[0].requiere_reembolso, true);
+});
+
+test('reporta los pagos aprobados de reservas sin_cupo o canceladas sin devolución', async () => {
+  const r = await reconcile();
+  assert.deepEqual(r.body.issues.pago_sin_turno.map((x) => [x.mp_payment_id, x.estado, x.requiere_reembolso]), [
+    [1003, 'sin_cupo', true],
+    [1005, 'cancelada', true],
+  ]);
+  assert.equal(r.body.totales.approved_sin_reserva, 0);
+});
+
+test('repair completa la liquidación del pago válido y no liquida el duplicado', async () => {
+  const r = await reconcile({ repair: true });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.reparados.map((x) => x.mp_payment_id), [1001]);
+
+  const lineas = await ctx.db.collection(`liquidaciones/c1/days/${F}/pagos`).get();
+  assert.deepEqual(lineas.docs.map((d) => d.id), ['1001']);
+
+  const again = await reconcile();
+  assert.equal(again.body.totales.confirmada_sin_liquidacion, 0);
+  assert.equal(again.body.totales.pago_duplicado, 1);
+  // los cobros sin turno tampoco se reaplican
+  assert.equal(again.body.totales.pago_sin_turno, 2);
+});
@@ -0,0 +1,42 @@
+// test/disponibilidad.test.js
+/* GET /complejos/:id/availability (pública): validación de fechas y rango. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline } from './helpers.js';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: { 'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 2 }, precios: { 5: 10000 } } },
+  });
+});
+after(() => ctx.close());
+
+test('un rango enorme se rechaza sin recorrerlo', async () => {
+  const t0 = Date.now();
+  const r = await ctx.call('GET', '/complejos/c1/availability?desde=0001-01-01&hasta=9999-12-31');
+  assert.equal(r.status, 400);
+  assert.match(r.body.message, /Rango máximo/);
+  assert.ok(Date.now() - t0 < 1000);
+});
+
+test('fechas que no existen se rechazan', async () => {
+  for (const q of ['fecha=2026-02-30', 'fecha=2026-13-01', 'desde=2026-04-31&hasta=2026-05-02']) {
+    const r = await ctx.call('GET', `/complejos/c1/availability?${q}`);
+    assert.equal(r.status, 400, q);
+  }
+});
+
+test('un rango válido devuelve un día por fecha', async () => {
+  const r = await ctx.call('GET', '/complejos/c1/availability?desde=2030-02-27&hasta=2030-03-02&tipo=5');
+  assert.equal(r.status, 200);
+  assert.equal(JSON.stringify(r.body).includes('2030-02-28'), true);
+  assert.equal(JSON.stringify(r.body).includes('2030-03-02'), true);
+});
+
+test('los rangos de liquidaciones también validan antes de recorrer', async () => {
+  const r = await ctx.call('GET', '/admin/liquidaciones/c1/days?desde=0001-01-01&hasta=9999-12-31', { uid: 's1' });
+  assert.equal(r.status, 400);
+  const mal = await ctx.call('GET', '/admin/liquidaciones/c1/days?desde=2026-02-29&hasta=2026-03-01', { uid: 's1' });
+  assert.equal(mal.status, 400);
+});
@@ -0,0 +1,118 @@
+// test/flujo-pago.test.js
+/* Flujo completo offline: preferencia → checkout simulado → webhook firmado →
+   check manual con conflicto de cupo → liquidación → comprobante PDF. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline, comprobante, reservasDe } from './helpers.js';
+
+const F = '2030-03-15';
+const H = '20:00';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: { 'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 1 }, precios: { 5: 10000 } } },
+  });
+});
+after(() => ctx.close());
+
+test('preferencia + checkout aprobado confirman la reserva vía webhook', async () => {
+  const { call, db, payments } = ctx;
+
+  const check = await call('POST', '/checks', {
+    uid: 'u2',
+    body: { complejoId: 'c1', fecha: F, hora: H, tipo: 5, monto: 5000, operacion: 'OP-1', comprobante: comprobante(1) },
+  });
+  assert.equal(check.status, 201);
+  ctx.checkId = check.body.id;
+
+  const pref = await call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha: F, hora: H, tipo: 5 } });
+  assert.equal(pref.status, 200);
+  assert.match(pref.body.init_point, /\/dev\/mp\/checkout\/pref-dev-/);
+
+  const page = await fetch(pref.body.init_point);
+  assert.equal(page.status, 200);
+
+  const back = await fetch(pref.body.init_point, {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: 'status=approved',
+  });
+  assert.equal(back.status, 303);
+  assert.match(back.headers.get('location'), /^\/mp\/success\?payment_id=\d+&status=approved/);
+
+  const [reserva] = await reservasDe(db, 'c1');
+  assert.equal(reserva.data().estado, 'confirmada');
+  const [payment] = payments.dump().payments;
+  assert.equal(String(reserva.data().pago.mp_payment_id), String(payment.id));
+  ctx.reservaId = reserva.id;
+
+  const events = await db.collection('mp_events').get();
+  assert.deepEqual(events.docs.map((d) => d.data().status), ['processed']);
+});
+
+test('el webhook sin firma válida se rechaza', async () => {
+  const [payment] = ctx.payments.dump().payments;
+  const r = await fetch(`${ctx.base}/mp/webhook?type=payment&data.id=${payment.id}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-signature': 'ts=1,v1=00', 'x-request-id': 'r1' },
+    body: '{}',
+  });
+  assert.equal(r.status, 401);
+});
+
+test('aprobar un check sobre un slot ya vendido devuelve conflicto de cupo', async () => {
+  const r = await ctx.call('POST', `/checks/${ctx.checkId}/approve`, { uid: 's1' });
+  assert.equal(r.status, 409);
+  const check = await ctx.db.collection('checks').doc(ctx.checkId).get();
+  assert.equal(check.data().estado, 'pending');
+});
+
+test('un pago rechazado libera el hold y no liquida', async () => {
+  const pref = await ctx.call('POST', '/mp/create-preference', { uid: 'u2', body: { complejoId: 'c1', fecha: F, hora: '21:00', tipo: 5 } });
+  assert.equal(pref.status, 200);
+  const pago = await ctx.call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id, status: 'rejected' } });
+  assert.equal(pago.status, 201);
+  assert.equal(pago.body.webhook.status, 200);
+
+  const reservas = await reservasDe(ctx.db, 'c1');
+  const r = reservas.find((d) => d.data().hora === '21:00');
+  assert.equal(r.data().estado, 'rechazada');
+});
+
+test('la liquidación del día tiene la línea del pago online', async () => {
+  const r = await ctx.call('GET', `/admin/liquidaciones/c1/days?desde=${F}&hasta=${F}`, { uid: 's1' });
+  assert.equal(r.status, 200);
+  const [day] = r.body.items;
+  assert.equal(day.fecha, F);
+  assert.equal(day.count_total, 1);
+  assert.equal(day.desglose.deposit.count, 1);
+
+  const lineas = await ctx.db.collection(`liquidaciones/c1/days/${F}/pagos`).get();
+  assert.equal(lineas.size, 1);
+});
+
+test('el comprobante PDF sale para el dueño y no para otro jugador', async () => {
+  const ok = await ctx.call('GET', `/receipt/c1/${ctx.reservaId}.pdf`, { uid: 'u1', raw: true });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get('content-type'), 'application/pdf');
+  const pdf = Buffer.from(await ok.arrayBuffer());
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+
+  const otro = await ctx.call('GET', `/receipt/c1/${ctx.reservaId}.pdf`, { uid: 'u2' });
+  assert.equal(otro.status, 403);
+});
+
+test('cancelar devuelve el pago por la pasarela y revierte la liquidación', async () => {
+  const r = await ctx.call('POST', `/reservas/c1/${ctx.reservaId}/cancel`, { uid: 'u1' });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.reembolso.estado, 'emitido');
+
+  const { refunds } = ctx.payments.dump();
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].amount, r.body.reembolso.monto);
+
+  const day = await ctx.db.doc(`liquidaciones/c1/days/${F}`).get();
+  assert.equal(day.data().count_total, 0);
+});
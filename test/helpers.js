@@ -0,0 +1,77 @@
+// test/helpers.js
+/* Levanta el backend en modo offline (Firestore en memoria + MP simulado)
+   en un puerto libre. Cada archivo de test corre en su propio proceso con
+   `node --test`, así que el env se fija antes de importar server.js. */
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+
+export const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.alloc(32, 1),
+]);
+
+/** Un comprobante PNG distinto por `n` (mismo contenido → mismo hash). */
+export const comprobante = (n = 0) => ({
+  data: Buffer.concat([PNG, Buffer.from(String(n))]).toString('base64'),
+  filename: `comprobante-${n}.png`,
+});
+
+export const USERS = {
+  a1: { email: 'admin@test.local', claims: { admin: true } },
+  s1: { email: 'staff@test.local', claims: { complejos: ['c1'] } },
+  u1: { email: 'u1@test.local' },
+  u2: { email: 'u2@test.local' },
+};
+
+export async function startOffline({ docs = {}, users = USERS, env = {} } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'yoreservo-test-'));
+  const seedFile = path.join(dir, 'seed.json');
+  await fs.writeFile(seedFile, JSON.stringify({ docs, users }));
+
+  Object.assign(process.env, {
+    OFFLINE: '1',
+    MEMORY_SEED: seedFile,
+    NOTIFY_DEV_DIR: path.join(dir, 'notificaciones'),
+    MP_WEBHOOK_SECRET: 'test-secret',
+    ...env,
+  });
+
+  const mod = await import('../server.js');
+  const server = mod.listen(0);
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /** fetch con `Bearer dev:<uid>`; devuelve { status, body, headers }. */
+  async function call(method, url, { uid, body, raw = false } = {}) {
+    const r = await fetch(base + url, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'content-type': 'application/json',
+        ...(uid ? { authorization: `Bearer dev:${uid}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (raw) return r;
+    const text = await r.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch { /* texto plano */ }
+    return { status: r.status, body: parsed, headers: r.headers };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  return { ...mod, db: mod.backend.db, base, call, close, dir };
+}
+
+/** Reservas de un complejo (docs de Firestore). */
+export async function reservasDe(db, complejoId) {
+  const snap = await db.collection('complejos').doc(complejoId).collection('reservas').get();
+  return snap.docs;
+}
@@ -0,0 +1,36 @@
+// test/mp-stub.js
+/* Stub local de la API de MP: solo /v1/payments/search (lo que usa la
+   conciliación con MP real). Pagina con limit/offset como MP y filtra por
+   external_reference y date_created. */
+import http from 'node:http';
+import { once } from 'node:events';
+
+export async function startMpStub(payments = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const u = new URL(req.url, 'http://stub');
+    requests.push({ path: u.pathname, query: Object.fromEntries(u.searchParams), auth: req.headers.authorization || null });
+    if (u.pathname !== '/v1/payments/search') {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ message: 'not_found' }));
+    }
+    const q = u.searchParams;
+    const begin = q.get('begin_date') ? Date.parse(q.get('begin_date')) : -Infinity;
+    const end = q.get('end_date') ? Date.parse(q.get('end_date')) : Infinity;
+    const all = payments
+      .filter((p) => !q.get('external_reference') || p.external_reference === q.get('external_reference'))
+      .filter((p) => Date.parse(p.date_created) >= begin && Date.parse(p.date_created) <= end);
+    const offset = Number(q.get('offset')) || 0;
+    const limit = Number(q.get('limit')) || 30;
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ paging: { total: all.length, offset, limit }, results: all.slice(offset, offset + limit) }));
+  });
+  server.listen(0);
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    payments,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
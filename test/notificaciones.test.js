@@ -0,0 +1,63 @@
+// test/notificaciones.test.js
+/* Transporte por canal: un deploy con FCM y sin SMTP manda los push y deja
+   los email sin_transporte (en disco, pero no marcados como enviados). */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startOffline } from './helpers.js';
+
+let ctx;
+before(async () => {
+  delete process.env.SMTP_HOST;
+  ctx = await startOffline({
+    // sin OFFLINE: el email no está en dev a propósito
+    env: { OFFLINE: '0', DATA_BACKEND: 'memory', PAYMENTS_BACKEND: 'fake' },
+    docs: {
+      'complejos/c1': {
+        nombre: 'Complejo Test',
+        canchas: { 5: 2 },
+        precios: { 5: 10000 },
+        notificaciones: { email: 'c1@test.local', fcmTokens: ['tok-c1'] },
+      },
+      'usuarios/u1': { fcmTokens: ['tok-u1'] },
+    },
+  });
+});
+after(() => ctx.close());
+
+async function notificaciones() {
+  for (let i = 0; i < 50; i += 1) {
+    const snap = await ctx.db.collection('notificaciones').get();
+    const docs = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    if (docs.length && docs.every((n) => !['pendiente', 'enviando'].includes(n.estado))) return docs;
+    await sleep(100);
+  }
+  throw new Error('las notificaciones no terminaron de procesarse');
+}
+
+test('push sale por FCM y el email sin SMTP queda sin_transporte', async () => {
+  const { call } = ctx;
+  const pref = await call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha: '2030-04-10', hora: '20:00', tipo: 5 } });
+  assert.equal(pref.status, 200);
+  await call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id } });
+
+  const docs = await notificaciones();
+  const push = docs.filter((n) => n.canal === 'push');
+  const email = docs.filter((n) => n.canal === 'email');
+  assert.equal(push.length, 2);
+  assert.equal(email.length, 2);
+  assert.ok(push.every((n) => n.estado === 'enviada'));
+  assert.ok(email.every((n) => n.estado === 'sin_transporte' && !n.sentAt));
+
+  assert.deepEqual(ctx.backend.push.map((m) => m.tokens[0]).sort(), ['tok-c1', 'tok-u1']);
+  // el email quedó en disco para inspeccionar, el push no
+  const archivos = await fs.readdir(path.join(ctx.dir, 'notificaciones'));
+  assert.ok(email.every((n) => archivos.includes(`${n.id}.json`)));
+  assert.ok(push.every((n) => !archivos.includes(`${n.id}.json`)));
+
+  const lista = await call('GET', '/admin/notificaciones?estado=sin_transporte', { uid: 'a1' });
+  assert.equal(lista.status, 200);
+  assert.deepEqual(lista.body.items.map((n) => n.id).sort(), email.map((n) => n.id).sort());
+});
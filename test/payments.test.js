@@ -0,0 +1,36 @@
+// test/payments.test.js
+/* lib/payments.js sin levantar el server. */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMercadoPagoGateway } from '../lib/payments.js';
+import { startMpStub } from './mp-stub.js';
+
+test('searchPayments pagina la búsqueda de MP hasta traer todo', async () => {
+  const now = new Date().toISOString();
+  const stub = await startMpStub(Array.from({ length: 230 }, (_, i) => ({ id: i + 1, status: 'approved', external_reference: `ref-${i % 2}`, date_created: now })));
+  try {
+    const mp = createMercadoPagoGateway({ accessToken: 'TEST-token', apiUrl: `${stub.url}/` });
+    const begin = new Date(Date.now() - 60_000).toISOString();
+    const end = new Date(Date.now() + 60_000).toISOString();
+
+    const all = await mp.searchPayments({ begin, end });
+    assert.equal(all.length, 230);
+    assert.deepEqual(stub.requests.map((r) => r.query.offset), ['0', '100', '200']);
+    assert.ok(stub.requests.every((r) => r.auth === 'Bearer TEST-token'));
+
+    const some = await mp.searchPayments({ begin, end, external_reference: 'ref-1' });
+    assert.equal(some.length, 115);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('searchPayments falla si MP responde con error', async () => {
+  const stub = await startMpStub();
+  try {
+    const mp = createMercadoPagoGateway({ accessToken: 'x', apiUrl: `${stub.url}/otra-api` });
+    await assert.rejects(mp.searchPayments({ begin: 'a', end: 'b' }), /MP search 404/);
+  } finally {
+    await stub.close();
+  }
+});
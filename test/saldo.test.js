@@ -0,0 +1,47 @@
+// test/saldo.test.js
+/* Saldo online de una reserva con seña. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline } from './helpers.js';
+
+const F = '2030-03-15';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: { 'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 2 }, precios: { 5: 10000 } } },
+  });
+});
+after(() => ctx.close());
+
+test('pagar dos preferencias de saldo devuelve la segunda y no la liquida', async () => {
+  const { call, db, payments } = ctx;
+  const pref = await call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha: F, hora: '20:00', tipo: 5 } });
+  await call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id } });
+  const resRef = db.doc(`complejos/c1/reservas/${pref.body.reservaId}`);
+  const saldo = (await resRef.get()).data().saldo_pendiente;
+  assert.ok(saldo > 0);
+
+  const s1 = await call('POST', `/reservas/c1/${pref.body.reservaId}/saldo/preference`, { uid: 'u1' });
+  const s2 = await call('POST', `/reservas/c1/${pref.body.reservaId}/saldo/preference`, { uid: 'u1' });
+  assert.equal(s1.status, 200);
+  assert.equal(s2.status, 200);
+
+  const p1 = await call('POST', '/dev/mp/payments', { body: { preference_id: s1.body.id } });
+  const p2 = await call('POST', '/dev/mp/payments', { body: { preference_id: s2.body.id } });
+  assert.equal(p2.body.webhook.status, 200);
+
+  const r = (await resRef.get()).data();
+  assert.equal(r.saldo_pendiente, 0);
+  assert.equal(r.saldo_pagos[p1.body.payment.id].estado, 'aprobado');
+  assert.equal(r.saldo_pagos[p2.body.payment.id].estado, 'reembolsada');
+  assert.deepEqual(payments.dump().refunds.map((x) => x.payment_id), [p2.body.payment.id]);
+
+  // la reentrega del pago devuelto no lo liquida ni lo devuelve dos veces
+  await payments.deliverWebhook(p2.body.payment.id);
+  const lineas = (await db.collection(`liquidaciones/c1/days/${F}/pagos`).get()).docs.map((d) => d.id);
+  assert.equal(lineas.length, 2);
+  assert.ok(lineas.includes(String(p1.body.payment.id)));
+  assert.ok(!lineas.includes(String(p2.body.payment.id)));
+  assert.equal(payments.dump().refunds.length, 1);
+});
@@ -0,0 +1,52 @@
+// test/split.test.js
+/* Pago dividido: plazo del hold y confirmación por cuotas. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline, reservasDe } from './helpers.js';
+
+const F = '2030-03-15';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: { 'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 2 }, precios: { 5: 10000 } } },
+    env: { SPLIT_HOLD_MINUTES: '120' },
+  });
+});
+after(() => ctx.close());
+
+test('el cliente no puede estirar el plazo del hold más allá del máximo', async () => {
+  const t0 = Date.now();
+  const r = await ctx.call('POST', '/mp/create-preference', {
+    uid: 'u1',
+    body: { complejoId: 'c1', fecha: F, hora: '20:00', tipo: 5, split: { cuotas: 2, minutos: 10_000_000 } },
+  });
+  assert.equal(r.status, 200);
+  const holdUntil = Date.parse(r.body.hold_until);
+  assert.ok(holdUntil <= t0 + 120 * 60 * 1000 + 5000, r.body.hold_until);
+  assert.ok(holdUntil >= t0 + 119 * 60 * 1000);
+});
+
+test('un plazo más corto que el máximo se respeta', async () => {
+  const t0 = Date.now();
+  const r = await ctx.call('POST', '/mp/create-preference', {
+    uid: 'u1',
+    body: { complejoId: 'c1', fecha: F, hora: '21:00', tipo: 5, split: { cuotas: 2, minutos: 60 } },
+  });
+  assert.equal(r.status, 200);
+  assert.ok(Math.abs(Date.parse(r.body.hold_until) - (t0 + 60 * 60 * 1000)) < 5000);
+});
+
+test('las dos cuotas pagas confirman la reserva', async () => {
+  const r = await ctx.call('POST', '/mp/create-preference', {
+    uid: 'u2',
+    body: { complejoId: 'c1', fecha: F, hora: '19:00', tipo: 5, split: { cuotas: 2 } },
+  });
+  assert.equal(r.body.split.links.length, 2);
+  for (const l of r.body.split.links) {
+    const pago = await ctx.call('POST', '/dev/mp/payments', { body: { preference_id: l.id } });
+    assert.equal(pago.body.webhook.status, 200);
+  }
+  const reserva = (await reservasDe(ctx.db, 'c1')).find((d) => d.id === r.body.reservaId);
+  assert.equal(reserva.data().estado, 'confirmada');
+});
@@ -0,0 +1,63 @@
+// test/stats.test.js
+/* Estadísticas: devoluciones y contracargos cuentan como cancelación y los
+   días materializados se recalculan cuando una cancelación o reversión los toca. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline } from './helpers.js';
+
+const PASADO = '2020-01-06';
+const reserva = (extra) => ({ fecha: PASADO, hora: '20:00', tipo: 5, userId: 'u1', precio: 10000, ...extra });
+const pago = (id) => ({ status: 'approved', mp_payment_id: id, amount_total: 4000 });
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: {
+      'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 4 }, precios: { 5: 10000 } },
+      'complejos/c1/reservas/r1': reserva({ estado: 'confirmada', pago: pago(1) }),
+      'complejos/c1/reservas/r2': reserva({ estado: 'reembolsada', pago: pago(2) }),
+      'complejos/c1/reservas/r3': reserva({ estado: 'contracargo', pago: pago(3) }),
+      'complejos/c1/reservas/r4': reserva({ estado: 'confirmada', serieId: 'serie1' }),
+      // hold que nunca se pagó: no es una cancelación
+      'complejos/c1/reservas/r5': reserva({ estado: 'cancelada', userId: 'u2' }),
+    },
+  });
+});
+after(() => ctx.close());
+
+const stats = (from, to = from) => ctx.call('GET', `/complejos/c1/stats?from=${from}&to=${to}`, { uid: 's1' });
+
+test('reembolsadas y contracargos cuentan como canceladas', async () => {
+  const { body } = await stats(PASADO);
+  assert.deepEqual(
+    { confirmadas: body.cancelaciones.confirmadas, canceladas: body.cancelaciones.canceladas },
+    { confirmadas: 2, canceladas: 2 },
+  );
+  assert.equal(body.dias.calculados, 1);
+  assert.equal((await stats(PASADO)).body.dias.materializados, 1);
+});
+
+test('cancelar un turno de un día materializado lo recalcula', async () => {
+  const cancel = await ctx.call('POST', `/reservas/c1/r4/cancel`, { uid: 's1' });
+  assert.equal(cancel.status, 200);
+
+  const { body } = await stats(PASADO);
+  assert.equal(body.dias.materializados, 0);
+  assert.equal(body.cancelaciones.confirmadas, 1);
+  assert.equal(body.cancelaciones.canceladas, 3);
+});
+
+test('una devolución de MP borra el día materializado', async () => {
+  const { call, db, payments } = ctx;
+  const fecha = '2030-06-03';
+  const pref = await call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha, hora: '20:00', tipo: 5 } });
+  const { payment } = await payments.pay({ preferenceId: pref.body.id });
+
+  const dia = db.doc(`complejos/c1/stats_dias/${fecha}`);
+  await dia.set({ fecha, v: 2, turnos: { confirmadas: 1, canceladas: 0 } });
+  await payments.setStatus(payment.id, 'refunded');
+
+  assert.equal((await dia.get()).exists, false);
+  const r = (await db.doc(`complejos/c1/reservas/${pref.body.reservaId}`).get()).data();
+  assert.equal(r.estado, 'reembolsada');
+});
@@ -0,0 +1,107 @@
+// test/waitlist.test.js
+/* Lista de espera: el jugador ve su oferta y la puede pagar; el cupo que se
+   libera (cancelación, devolución) se ofrece aunque falle una preferencia. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline, USERS } from './helpers.js';
+
+const F = '2030-03-15';
+const H = '20:00';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: { 'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 1 }, precios: { 5: 10000 } } },
+    users: { ...USERS, u3: { email: 'u3@test.local' } },
+  });
+});
+after(() => ctx.close());
+
+test('el jugador consulta su entrada y recibe el link cuando se libera el slot', async () => {
+  const { call } = ctx;
+  const pref = await call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha: F, hora: H, tipo: 5 } });
+  await call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id } });
+
+  const alta = await call('POST', '/waitlist', { uid: 'u2', body: { complejoId: 'c1', fecha: F, hora: H, tipo: 5 } });
+  assert.equal(alta.status, 201);
+
+  const esperando = await call('GET', `/waitlist/c1/${alta.body.id}`, { uid: 'u2' });
+  assert.equal(esperando.status, 200);
+  assert.equal(esperando.body.estado, 'esperando');
+  assert.equal(esperando.body.posicion, 1);
+  assert.equal(esperando.body.oferta, null);
+  assert.equal((await call('GET', `/waitlist/c1/${alta.body.id}`, { uid: 'u1' })).status, 403);
+
+  assert.equal((await call('POST', `/reservas/c1/${pref.body.reservaId}/cancel`, { uid: 'u1' })).status, 200);
+
+  const ofrecida = await call('GET', `/waitlist/c1/${alta.body.id}`, { uid: 'u2' });
+  assert.equal(ofrecida.body.estado, 'ofrecida');
+  assert.match(ofrecida.body.oferta.init_point, /\/dev\/mp\/checkout\//);
+  assert.ok(ofrecida.body.oferta.vence);
+
+  // anotarse de nuevo devuelve la misma entrada con la oferta
+  const again = await call('POST', '/waitlist', { uid: 'u2', body: { complejoId: 'c1', fecha: F, hora: H, tipo: 5 } });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.oferta.init_point, ofrecida.body.oferta.init_point);
+
+  const prefId = ofrecida.body.oferta.init_point.split('/').pop();
+  await call('POST', '/dev/mp/payments', { body: { preference_id: prefId } });
+  const reserva = (await ctx.db.doc(`complejos/c1/reservas/${ofrecida.body.oferta.reservaId}`).get()).data();
+  assert.equal(reserva.estado, 'confirmada');
+  assert.equal(reserva.userId, 'u2');
+});
+
+/** u1 ocupa el slot pagando; devuelve { reservaId, paymentId }. */
+async function ocupar(hora) {
+  const pref = await ctx.call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha: F, hora, tipo: 5 } });
+  const pago = await ctx.call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id } });
+  return { reservaId: pref.body.reservaId, paymentId: pago.body.payment.id };
+}
+
+const anotar = (uid, hora) => ctx.call('POST', '/waitlist', { uid, body: { complejoId: 'c1', fecha: F, hora, tipo: 5 } });
+const entrada = async (uid, id) => (await ctx.call('GET', `/waitlist/c1/${id}`, { uid })).body;
+
+test('si falla la preferencia, la entrada vuelve a esperar y el slot pasa al siguiente', async () => {
+  const { call, db, payments } = ctx;
+  const hora = '21:00';
+  const { reservaId } = await ocupar(hora);
+  const u2 = await anotar('u2', hora);
+  const u3 = await anotar('u3', hora);
+
+  const original = payments.createPreference;
+  let fallas = 1;
+  payments.createPreference = async (body) => {
+    if (fallas-- > 0) throw new Error('MP no responde');
+    return original(body);
+  };
+  try {
+    assert.equal((await call('POST', `/reservas/c1/${reservaId}/cancel`, { uid: 'u1' })).status, 200);
+  } finally {
+    payments.createPreference = original;
+  }
+
+  assert.equal((await entrada('u2', u2.body.id)).estado, 'esperando');
+  const ofrecida = await entrada('u3', u3.body.id);
+  assert.equal(ofrecida.estado, 'ofrecida');
+  assert.ok(ofrecida.oferta.init_point);
+
+  // el hold de u2 se liberó con su auditoría
+  const holds = (await db.collection('complejos/c1/reservas').where('waitlistId', '==', u2.body.id).get()).docs;
+  assert.equal(holds.length, 1);
+  assert.equal(holds[0].data().estado, 'expirada');
+  const audit = (await db.collection('auditoria').where('entidadId', '==', holds[0].id).get()).docs.map((d) => d.data().accion);
+  assert.deepEqual(audit.sort(), ['creada', 'expirada']);
+});
+
+test('una devolución de MP sobre una confirmada ofrece el cupo a la lista de espera', async () => {
+  const hora = '22:00';
+  const { paymentId } = await ocupar(hora);
+  const u2 = await anotar('u2', hora);
+  assert.equal(u2.status, 201);
+
+  await ctx.payments.setStatus(paymentId, 'refunded');
+
+  const e = await entrada('u2', u2.body.id);
+  assert.equal(e.estado, 'ofrecida');
+  assert.ok(e.oferta.init_point);
+});
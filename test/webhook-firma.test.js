@@ -0,0 +1,37 @@
+// test/webhook-firma.test.js
+/* Sin MP_WEBHOOK_SECRET y con MP real el webhook no acepta nada; el MP
+   simulado (que sí acepta) no arranca contra datos reales. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { startOffline } from './helpers.js';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    env: { OFFLINE: '', DATA_BACKEND: 'memory', PAYMENTS_BACKEND: 'mercadopago', MP_ACCESS_TOKEN: 'TEST-x', MP_WEBHOOK_SECRET: '' },
+  });
+});
+after(() => ctx.close());
+
+test('sin secreto el webhook rechaza notificaciones sin firma', async () => {
+  const r = await fetch(`${ctx.base}/mp/webhook?type=payment&data.id=123`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ type: 'payment', data: { id: '123' } }),
+  });
+  assert.equal(r.status, 401);
+  assert.equal((await ctx.db.collection('mp_events').get()).size, 0);
+});
+
+test('PAYMENTS_BACKEND=fake no arranca con Firestore real', () => {
+  const server = fileURLToPath(new URL('../server.js', import.meta.url));
+  const out = spawnSync(process.execPath, [server], {
+    env: { ...process.env, OFFLINE: '', DATA_BACKEND: 'firebase', PAYMENTS_BACKEND: 'fake', PORT: '0' },
+    encoding: 'utf8',
+    timeout: 20000,
+  });
+  assert.notEqual(out.status, 0);
+  assert.match(out.stderr, /PAYMENTS_BACKEND=fake solo funciona con DATA_BACKEND=memory/);
+});
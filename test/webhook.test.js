@@ -0,0 +1,96 @@
+// test/webhook.test.js
+/* Entregas del webhook de MP: reentregas, pagos de más y pagos que llegan
+   cuando la reserva ya no puede confirmarse. */
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOffline, reservasDe } from './helpers.js';
+
+const F = '2030-03-15';
+
+let ctx;
+before(async () => {
+  ctx = await startOffline({
+    docs: {
+      'complejos/c1': { nombre: 'Complejo Test', canchas: { 5: 2 }, precios: { 5: 10000 } },
+      'complejos/c2': { nombre: 'Complejo Chico', canchas: { 5: 1 }, precios: { 5: 10000 } },
+    },
+  });
+});
+after(() => ctx.close());
+
+const lineas = async (fecha) => (await ctx.db.collection(`liquidaciones/c1/days/${fecha}/pagos`).get()).docs;
+
+test('la reentrega del mismo pago no duplica la liquidación', async () => {
+  const pref = await ctx.call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha: F, hora: '19:00', tipo: 5 } });
+  const { body } = await ctx.call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id } });
+  const again = await ctx.payments.deliverWebhook(body.payment.id);
+  assert.equal(again.status, 200);
+  assert.equal((await lineas(F)).length, 1);
+});
+
+test('un segundo pago aprobado sobre una reserva confirmada se devuelve y no se liquida', async () => {
+  const pref = await ctx.call('POST', '/mp/create-preference', { uid: 'u2', body: { complejoId: 'c1', fecha: F, hora: '20:00', tipo: 5 } });
+  const primero = await ctx.call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id } });
+  const segundo = await ctx.call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id } });
+  assert.equal(segundo.body.webhook.status, 200);
+
+  const reserva = (await reservasDe(ctx.db, 'c1')).find((d) => d.data().hora === '20:00').data();
+  assert.equal(reserva.estado, 'confirmada');
+  assert.equal(String(reserva.pago.mp_payment_id), String(primero.body.payment.id));
+  assert.equal(reserva.pagos_duplicados[segundo.body.payment.id].estado, 'reembolsada');
+
+  const { refunds, payments } = ctx.payments.dump();
+  assert.deepEqual(refunds.map((r) => r.payment_id), [segundo.body.payment.id]);
+  assert.equal(payments.find((p) => p.id === segundo.body.payment.id).status, 'refunded');
+
+  const ids = (await lineas(F)).map((d) => d.id);
+  assert.equal(ids.length, 2);
+  assert.ok(!ids.includes(String(segundo.body.payment.id)));
+
+  // MP notifica la devolución del segundo pago: la reserva sigue confirmada con el primero
+  await ctx.payments.deliverWebhook(segundo.body.payment.id);
+  const despues = (await reservasDe(ctx.db, 'c1')).find((d) => d.data().hora === '20:00').data();
+  assert.equal(despues.estado, 'confirmada');
+});
+
+test('un pago que llega después de que otro tomó el slot vencido queda sin_cupo y se devuelve', async () => {
+  const { call, db, payments, backend } = ctx;
+  const body = { complejoId: 'c2', fecha: F, hora: '20:00', tipo: 5 };
+  const primera = await call('POST', '/mp/create-preference', { uid: 'u1', body });
+  // vence el hold del primero y el segundo toma el slot
+  await db.doc(`complejos/c2/reservas/${primera.body.reservaId}`)
+    .set({ holdUntil: backend.Timestamp.fromMillis(Date.now() - 1000) }, { merge: true });
+  const segunda = await call('POST', '/mp/create-preference', { uid: 'u2', body });
+  assert.equal(segunda.status, 200);
+  await call('POST', '/dev/mp/payments', { body: { preference_id: segunda.body.id } });
+
+  const tarde = await call('POST', '/dev/mp/payments', { body: { preference_id: primera.body.id } });
+  assert.equal(tarde.body.webhook.status, 200);
+  const r = (await db.doc(`complejos/c2/reservas/${primera.body.reservaId}`).get()).data();
+  assert.equal(r.estado, 'sin_cupo');
+  assert.equal(r.reembolso.estado, 'emitido');
+  assert.equal(r.reembolso.motivo, 'sin_cupo');
+  assert.equal(r.reembolso.monto, tarde.body.payment.transaction_amount);
+
+  // la reentrega no devuelve dos veces
+  await payments.deliverWebhook(tarde.body.payment.id);
+  const { refunds, payments: pagos } = payments.dump();
+  assert.equal(refunds.filter((x) => x.payment_id === tarde.body.payment.id).length, 1);
+  assert.equal(pagos.find((p) => p.id === tarde.body.payment.id).status, 'refunded');
+  assert.equal((await db.doc(`complejos/c2/reservas/${primera.body.reservaId}`).get()).data().estado, 'reembolsada');
+
+  assert.equal((await db.doc(`complejos/c2/reservas/${segunda.body.reservaId}`).get()).data().estado, 'confirmada');
+});
+
+test('un pago sobre un hold ya cancelado se devuelve', async () => {
+  const { call, db, payments } = ctx;
+  const pref = await call('POST', '/mp/create-preference', { uid: 'u1', body: { complejoId: 'c1', fecha: F, hora: '22:00', tipo: 5 } });
+  assert.equal((await call('POST', `/reservas/c1/${pref.body.reservaId}/cancel`, { uid: 'u1' })).status, 200);
+
+  const pago = await call('POST', '/dev/mp/payments', { body: { preference_id: pref.body.id } });
+  const r = (await db.doc(`complejos/c1/reservas/${pref.body.reservaId}`).get()).data();
+  assert.equal(r.estado, 'cancelada');
+  assert.equal(r.reembolso.estado, 'emitido');
+  assert.equal(r.reembolso.motivo, 'reserva_cancelada');
+  assert.equal(payments.dump().payments.find((p) => p.id === pago.body.payment.id).status, 'refunded');
+});